@@ -187,6 +187,10 @@ function buildQuery(bbox, roadTypes) {
   // Cities and towns
   node["place"~"^(city|town)$"](${bboxStr});
 
+  // Industrial sites and mines (job depots)
+  node["landuse"~"^(industrial|quarry)$"](${bboxStr});
+  node["man_made"~"^(works|mineshaft|adit)$"](${bboxStr});
+
   // Fuel stations
   node["amenity"="fuel"](${bboxStr});
   way["amenity"="fuel"](${bboxStr});
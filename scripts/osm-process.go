@@ -26,6 +26,7 @@ var config = struct {
 	MetersPerDegreeLat float64
 	MetersPerDegreeLon float64
 	RoadWidths         map[string]float64
+	MinLaneWidth       float64
 	SpeedLimits        map[string]int
 }{
 	Origin: struct {
@@ -42,6 +43,7 @@ var config = struct {
 		"tertiary":  6,
 		"default":   6,
 	},
+	MinLaneWidth: 2.75,
 	SpeedLimits: map[string]int{
 		"motorway":  100,
 		"trunk":     80,
@@ -99,6 +101,7 @@ type POI struct {
 	ID   string  `json:"id"`
 	Type string  `json:"type"`
 	Name *string `json:"name"`
+	Kind string  `json:"kind,omitempty"` // industrial sites: "mine" or "factory"
 	X    float64 `json:"x"`
 	Y    float64 `json:"y"`
 	Z    float64 `json:"z"`
@@ -111,6 +114,7 @@ type Road struct {
 	Width      float64     `json:"width"`
 	SpeedLimit int         `json:"speedLimit"`
 	Lanes      int         `json:"lanes"`
+	Oneway     bool        `json:"oneway"`
 	Surface    string      `json:"surface"`
 	Points     [][]float64 `json:"points"`
 }
@@ -345,7 +349,7 @@ func processNodesParallel(osmNodes []OSMNode, numWorkers int) (map[int64]*Node,
 				}
 
 				var name *string
-				var place, amenity string
+				var place, amenity, landuse, manMade string
 
 				for _, tag := range n.Tags {
 					switch tag.K {
@@ -361,6 +365,10 @@ func processNodesParallel(osmNodes []OSMNode, numWorkers int) (map[int64]*Node,
 						place = tag.V
 					case "amenity":
 						amenity = tag.V
+					case "landuse":
+						landuse = tag.V
+					case "man_made":
+						manMade = tag.V
 					}
 				}
 
@@ -390,6 +398,21 @@ func processNodesParallel(osmNodes []OSMNode, numWorkers int) (map[int64]*Node,
 						Y:    coords[1],
 						Z:    coords[2],
 					})
+				} else if landuse == "industrial" || landuse == "quarry" || manMade == "works" || manMade == "mineshaft" || manMade == "adit" {
+					coords := toGameCoords(n.Lat, n.Lon, node.Ele)
+					kind := "factory"
+					if landuse == "quarry" || manMade == "mineshaft" || manMade == "adit" {
+						kind = "mine"
+					}
+					localPOIs = append(localPOIs, POI{
+						ID:   strconv.FormatInt(n.ID, 10),
+						Type: "industrial",
+						Name: name,
+						Kind: kind,
+						X:    coords[0],
+						Y:    coords[1],
+						Z:    coords[2],
+					})
 				}
 			}
 
@@ -481,6 +504,11 @@ func processWaysParallel(osmWays []OSMWay, nodes map[int64]*Node, elevationPoint
 				if width == 0 {
 					width = config.RoadWidths["default"]
 				}
+				if widthStr, ok := tags["width"]; ok {
+					if w, err := strconv.ParseFloat(strings.TrimSpace(strings.TrimSuffix(widthStr, "m")), 64); err == nil && w > 0 {
+						width = w
+					}
+				}
 
 				speedLimit := config.SpeedLimits[highway]
 				if speedLimit == 0 {
@@ -499,6 +527,19 @@ func processWaysParallel(osmWays []OSMWay, nodes map[int64]*Node, elevationPoint
 					}
 				}
 
+				// Class widths are too narrow for wide multi-lane roads
+				if minWidth := float64(lanes) * config.MinLaneWidth; width < minWidth {
+					width = minWidth
+				}
+
+				oneway := parseOneway(tags)
+				if tags["oneway"] == "-1" {
+					// Traffic runs against the way's node order
+					for i, j := 0, len(points)-1; i < j; i, j = i+1, j-1 {
+						points[i], points[j] = points[j], points[i]
+					}
+				}
+
 				surface := tags["surface"]
 				if surface == "" {
 					surface = "asphalt"
@@ -518,6 +559,7 @@ func processWaysParallel(osmWays []OSMWay, nodes map[int64]*Node, elevationPoint
 					Width:      width,
 					SpeedLimit: speedLimit,
 					Lanes:      lanes,
+					Oneway:     oneway,
 					Surface:    surface,
 					Points:     points,
 				})
@@ -540,6 +582,18 @@ func processWaysParallel(osmWays []OSMWay, nodes map[int64]*Node, elevationPoint
 	return roads, totalPoints, pointsWithElevation
 }
 
+// parseOneway reports whether a way is one-way from its OSM tags.
+// Motorways and roundabouts are one-way unless tagged otherwise.
+func parseOneway(tags map[string]string) bool {
+	switch tags["oneway"] {
+	case "yes", "true", "1", "-1":
+		return true
+	case "no", "false", "0":
+		return false
+	}
+	return tags["highway"] == "motorway" || tags["junction"] == "roundabout"
+}
+
 func toGameCoords(lat, lon float64, ele *float64) []float64 {
 	x := (lon - config.Origin.Lon) * config.MetersPerDegreeLon
 	y := 0.0
@@ -11,7 +11,7 @@ import '@babylonjs/loaders/glTF';
 
 import { updateLoadingProgress, hideLoadingScreen } from '../main.js';
 import { InputManager, InputAction } from './InputManager.js';
-import { AudioManager, loadGameSounds, EngineAudio, HornAudio } from '../systems/AudioManager.js';
+import { AudioManager, loadGameSounds, EngineAudio, HornAudio, CollisionAudio, RainAudio, NavigationAudio } from '../systems/AudioManager.js';
 import { UIManager } from '../ui/UIManager.js';
 import { MainMenu } from '../ui/MainMenu.js';
 import { PauseMenu } from '../ui/PauseMenu.js';
@@ -19,14 +19,30 @@ import { OptionsMenu } from '../ui/OptionsMenu.js';
 import { HUD } from '../ui/HUD.js';
 import { MiniMap } from '../ui/MiniMap.js';
 import { JobMarket } from '../ui/JobMarket.js';
-import { JobSystem } from '../systems/JobSystem.js';
+import { JobSystem, JobStage } from '../systems/JobSystem.js';
 import { Pathfinder } from '../systems/Pathfinder.js';
 import { RadioSystem } from '../systems/RadioSystem.js';
 import { RadioWidget } from '../ui/RadioWidget.js';
-import { Garage } from '../ui/Garage.js';
+import { Garage, TruckTypes } from '../ui/Garage.js';
 import { FuelSystem } from '../systems/FuelSystem.js';
+import { MaintenanceSystem } from '../systems/MaintenanceSystem.js';
+import { TrafficSystem } from '../systems/TrafficSystem.js';
+import { NavigationSystem } from '../systems/NavigationSystem.js';
+import { VehicleController } from '../systems/VehicleController.js';
+import { Drivetrain, TransmissionMode } from '../systems/Drivetrain.js';
+import { TrailerSystem } from '../systems/TrailerSystem.js';
 import { Notification } from '../ui/Notification.js';
 import { EnvironmentProps } from '../world/EnvironmentProps.js';
+import { Terrain } from '../world/Terrain.js';
+import { RoadColliders } from '../world/RoadColliders.js';
+import { RoadRenderer } from '../world/RoadRenderer.js';
+import { JunctionBuilder } from '../world/JunctionBuilder.js';
+import { FloatingOrigin } from './FloatingOrigin.js';
+import { SimulationClock } from './SimulationClock.js';
+import { DayNightCycle } from '../world/DayNightCycle.js';
+import { WeatherSystem } from '../world/WeatherSystem.js';
+import { SaveSystem, AUTOSAVE_SLOT } from '../systems/SaveSystem.js';
+import { SaveLoadMenu } from '../ui/SaveLoadMenu.js';
 
 export class BabylonGame {
   constructor() {
@@ -38,6 +54,10 @@ export class BabylonGame {
     this.isRunning = false;
     this.isPaused = false;
 
+    // In-game time for all gameplay timers; only advances while playing
+    this.clock = new SimulationClock();
+    this.clock.loadSettings();
+
     // Game systems
     this.input = null;
     this.audio = null;
@@ -56,15 +76,33 @@ export class BabylonGame {
     this.notification = null;
     this.engineAudio = null;
     this.hornAudio = null;
+    this.collisionAudio = null;
+    this.rainAudio = null;
     this.fuelSystem = null;
+    this.maintenanceSystem = null;
+    this.trafficSystem = null;
+    this.trailerSystem = null;
+    this.navigationSystem = null;
+    this.navigationAudio = null;
+    this.saveSystem = null;
+    this.saveLoadMenu = null;
 
     // Road data
     this.roadData = null;
     this.poiData = null;
-    this.roadMeshes = [];
+    this.roadRenderer = null;
+    this.roadColliders = null;
+    this.serviceStations = [];
+    this.gasStations = [];
 
     // Environment
+    this.terrain = null;
+    this.floatingOrigin = null;
     this.environmentProps = null;
+    this.dayNightCycle = null;
+    this.weatherSystem = null;
+    this.ambientLight = null;
+    this.sunLight = null;
 
     // Game state
     this.gameState = 'menu';
@@ -74,14 +112,35 @@ export class BabylonGame {
     this.vehicleMesh = null;
     this.vehicleBody = null;
     this.vehicleContainer = null;
+    this.vehicleController = null;
+    this.drivetrain = null;
     this.truckModel = null;
+    this.bodyMaterial = null;
     this.wheelMeshes = [];
     this.truckSpeed = 0;
+    this.roadGrade = 0; // rise over run in the direction of travel
+    this.flippedTime = 0; // seconds spent on the side or roof
     this.headlightsOn = false;
+    this.headlights = [];
+    this.engineRunning = true;
+
+    this.lastVehicleVelocity = BABYLON.Vector3.Zero();
+
+    // Collision damage tuning
+    this.minImpactSpeed = 2.5; // m/s closing speed below which contacts count as scrapes
+    this.maxImpactSpeed = 20; // m/s closing speed treated as a full-force hit
+    this.cargoDamagePerImpact = 25; // cargo damage % for a full-force hit
+    this.collisionCooldown = 0.3; // seconds before another impact can register
+    this.lastCollisionTime = 0;
+    this.criticalWarnings = new Set(); // components already warned about
 
     // Camera settings
     this.cameraMode = 'chase';
 
+    // Autosave
+    this.autosaveInterval = 120; // seconds of driving between autosaves
+    this.autosaveTimer = 0;
+
     // Last frame time for delta calculation
     this.lastTime = 0;
   }
@@ -146,13 +205,30 @@ export class BabylonGame {
     // Create vehicle
     await this.createVehicle();
 
+    updateLoadingProgress(80);
+
+    // AI traffic on the road graph
+    if (this.pathfinder) {
+      this.trafficSystem = new TrafficSystem(this.scene, this.pathfinder, this.shadowGenerator, this.floatingOrigin);
+      await this.trafficSystem.init();
+    }
+
+    // Trailers couple to the truck's fifth wheel
+    this.trailerSystem = new TrailerSystem(this.scene, this.pathfinder, this.shadowGenerator, this.floatingOrigin);
+    this.trailerSystem.setTractor(this.vehicleBody, this.vehicleMesh, this.vehicleController);
+
     updateLoadingProgress(85);
 
     // Create audio manager
     this.audio = new AudioManager();
 
+    // Open save storage
+    this.saveSystem = new SaveSystem();
+    await this.saveSystem.init();
+
     // Initialize UI
     this.initUI();
+    await this.refreshContinueButton();
 
     updateLoadingProgress(90);
 
@@ -165,7 +241,7 @@ export class BabylonGame {
     hideLoadingScreen();
 
     console.log('Game initialized successfully (Babylon.js + Havok)');
-    console.log('Controls: WASD/Arrows to drive, Space for handbrake, H for horn, L for lights, C for camera');
+    console.log('Controls: WASD/Arrows to drive, Space for handbrake, H for horn, L for lights, C for camera, E/Q to shift, T for auto/manual, U to hitch');
   }
 
   /**
@@ -178,6 +254,12 @@ export class BabylonGame {
     const havokPlugin = new HavokPlugin(true, this.havokInstance);
     this.scene.enablePhysics(new BABYLON.Vector3(0, -9.81, 0), havokPlugin);
 
+    // Re-centres the scene on the truck; gameplay keeps absolute coordinates
+    this.floatingOrigin = new FloatingOrigin(this.scene);
+    this.floatingOrigin.onShift = (dx, dz) => {
+      if (this.audio) this.audio.shiftOrigin(dx, dz);
+    };
+
     // Sky color
     this.scene.clearColor = new BABYLON.Color4(0.53, 0.81, 0.92, 1);
 
@@ -185,7 +267,7 @@ export class BabylonGame {
     this.camera = new BABYLON.FreeCamera('camera', new BABYLON.Vector3(0, 10, 20), this.scene);
     this.camera.attachControl(this.canvas, false);
     this.camera.minZ = 0.5;
-    this.camera.maxZ = 50000; // 50km view distance
+    this.camera.maxZ = 20000; // 20km view distance keeps depth precision usable
 
     // Lighting
     const ambientLight = new BABYLON.HemisphericLight('ambient', new BABYLON.Vector3(0, 1, 0), this.scene);
@@ -195,6 +277,16 @@ export class BabylonGame {
     sunLight.intensity = 1.0;
     sunLight.position = new BABYLON.Vector3(50, 100, 50);
 
+    this.ambientLight = ambientLight;
+    this.sunLight = sunLight;
+
+    // Time of day drives sun, sky and ambient lighting
+    this.dayNightCycle = new DayNightCycle(this.scene, ambientLight, sunLight, this.clock);
+    this.dayNightCycle.applyLighting();
+
+    this.weatherSystem = new WeatherSystem(this.scene, this.camera, ambientLight, sunLight, this.clock);
+    this.weatherSystem.init();
+
     // Enable shadows
     const shadowGenerator = new BABYLON.ShadowGenerator(2048, sunLight);
     shadowGenerator.useBlurExponentialShadowMap = true;
@@ -204,46 +296,32 @@ export class BabylonGame {
   }
 
   /**
-   * Create ground plane with physics
+   * Create terrain with physics from road elevations
    */
   async createGround() {
-    // Calculate ground position and size from road bounds
     const bounds = this.getBounds();
-    const groundX = (bounds.minX + bounds.maxX) / 2;
-    const groundZ = (bounds.minZ + bounds.maxZ) / 2;
-    const groundY = (this.startPosition?.y || 0) - 5; // Ground slightly below spawn point
-
-    // Ground size with margin
-    const groundWidth = (bounds.maxX - bounds.minX) + 2000;
-    const groundDepth = (bounds.maxZ - bounds.minZ) + 2000;
+    const dem = await this.loadElevationGrid();
 
-    console.log(`Creating ground at (${groundX.toFixed(0)}, ${groundY.toFixed(0)}, ${groundZ.toFixed(0)}) size ${groundWidth.toFixed(0)}x${groundDepth.toFixed(0)}`);
-
-    // Large ground plane covering all roads
-    const ground = BABYLON.MeshBuilder.CreateGround('ground', {
-      width: groundWidth,
-      height: groundDepth,
-    }, this.scene);
-
-    ground.position = new BABYLON.Vector3(groundX, groundY, groundZ);
-
-    // Ground material
-    const groundMaterial = new BABYLON.StandardMaterial('groundMat', this.scene);
-    groundMaterial.diffuseColor = new BABYLON.Color3(0.24, 0.36, 0.24);
-    groundMaterial.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
-    ground.material = groundMaterial;
-    ground.receiveShadows = true;
-
-    // Ground physics (static)
-    const groundAggregate = new BABYLON.PhysicsAggregate(
-      ground,
-      BABYLON.PhysicsShapeType.BOX,
-      { mass: 0, friction: 0.8, restitution: 0.1 },
-      this.scene
-    );
+    this.terrain = new Terrain(this.scene);
+    this.terrain.build(this.roadData || [], bounds, dem);
+    this.ground = this.terrain.mesh;
+  }
 
-    this.ground = ground;
-    this.groundPosition = { x: groundX, y: groundY, z: groundZ };
+  /**
+   * Load an optional DEM to refine the terrain between roads
+   * @returns {Object|null} Elevation grid {minX, minZ, cellSize, cols, rows, heights}
+   */
+  async loadElevationGrid() {
+    try {
+      const response = await fetch('/data/processed/dem.json');
+      if (!response.ok) return null;
+      const dem = await response.json();
+      if (!dem.heights || !dem.cols || !dem.rows) return null;
+      console.log(`Loaded DEM: ${dem.cols}x${dem.rows} @ ${dem.cellSize}m`);
+      return dem;
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
@@ -257,6 +335,10 @@ export class BabylonGame {
         // Handle both formats: { roads: [...] } or just [...]
         this.roadData = data.roads || data;
         console.log(`Loaded ${this.roadData.length} roads`);
+        // Data processed before one-way support has no oneway field: every road is two-way
+        if (this.roadData.length > 0 && !('oneway' in this.roadData[0])) {
+          console.warn('roads.json has no oneway tags - rerun npm run osm:download and npm run osm:process');
+        }
 
         // Load POIs
         const poiResponse = await fetch('/data/processed/pois.json');
@@ -265,6 +347,10 @@ export class BabylonGame {
           // Handle both formats: { pois: [...] } or just [...]
           this.poiData = poiData.pois || poiData;
           console.log(`Loaded ${this.poiData.length} POIs`);
+          // Data processed before industrial sites were extracted only has city and town depots
+          if (!this.poiData.some(poi => poi.type === 'industrial')) {
+            console.warn('pois.json has no industrial sites - rerun npm run osm:download and npm run osm:process');
+          }
         }
 
         // Render roads
@@ -288,8 +374,12 @@ export class BabylonGame {
 
         // Initialize job system
         this.pathfinder = new Pathfinder();
+        this.pathfinder.loadSettings();
         this.pathfinder.buildGraph(this.roadData);
 
+        this.navigationSystem = new NavigationSystem(this.pathfinder);
+        this.navigationSystem.init(this.roadData);
+
         if (this.miniMap) {
           this.miniMap.setRoadData(this.roadData, this.getBounds());
           this.miniMap.setPOIData(this.poiData);
@@ -326,7 +416,7 @@ export class BabylonGame {
   }
 
   /**
-   * Render roads using Babylon.js ribbon meshes with lane markings
+   * Build tiled road meshes and their colliders
    */
   renderRoads() {
     if (!this.roadData) {
@@ -336,153 +426,23 @@ export class BabylonGame {
 
     console.log(`Rendering ${this.roadData.length} roads...`);
 
-    // Asphalt colors - visible gray tones
-    const roadColors = {
-      motorway: new BABYLON.Color3(0.25, 0.25, 0.28),
-      trunk: new BABYLON.Color3(0.28, 0.28, 0.30),
-      primary: new BABYLON.Color3(0.30, 0.30, 0.32),
-      secondary: new BABYLON.Color3(0.32, 0.32, 0.34),
-      tertiary: new BABYLON.Color3(0.35, 0.35, 0.37),
-      default: new BABYLON.Color3(0.38, 0.38, 0.40),
-    };
-
-    const roadWidths = {
-      motorway: 16,
-      trunk: 14,
-      primary: 12,
-      secondary: 10,
-      tertiary: 8,
-      default: 6,
-    };
-
     let roadCount = 0;
     let errorCount = 0;
 
-    // Shared materials
-    const lineMaterial = new BABYLON.StandardMaterial('roadLineMat', this.scene);
-    lineMaterial.diffuseColor = new BABYLON.Color3(1, 1, 0.9); // Slightly warm white/yellow
-    lineMaterial.emissiveColor = new BABYLON.Color3(0.3, 0.3, 0.2);
-    lineMaterial.specularColor = new BABYLON.Color3(0.2, 0.2, 0.2);
-    lineMaterial.backFaceCulling = false;
+    // Tiles merge roads per class; colliders merge per chunk and surface
+    this.roadRenderer = new RoadRenderer(this.scene);
+    this.roadColliders = new RoadColliders(this.scene);
 
-    const edgeLineMaterial = new BABYLON.StandardMaterial('edgeLineMat', this.scene);
-    edgeLineMaterial.diffuseColor = new BABYLON.Color3(1, 1, 1);
-    edgeLineMaterial.emissiveColor = new BABYLON.Color3(0.2, 0.2, 0.2);
-    edgeLineMaterial.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
-    edgeLineMaterial.backFaceCulling = false;
-
-    for (const road of this.roadData) {
-      if (!road.points || road.points.length < 2) continue;
-
-      const width = roadWidths[road.type] || roadWidths.default;
-      const color = roadColors[road.type] || roadColors.default;
-      const halfWidth = width / 2;
+    // Roads are trimmed back where they meet and joined by junction polygons
+    const junctions = new JunctionBuilder();
+    junctions.build(this.roadData);
 
+    this.roadData.forEach((road, r) => {
       try {
-        // Create paths for road and lines
-        const leftPath = [];
-        const rightPath = [];
-        const centerPath = [];
-        const leftEdgePath = [];
-        const rightEdgePath = [];
-
-        for (let i = 0; i < road.points.length; i++) {
-          const p = road.points[i];
-          const baseY = (p[1] || 0) + 0.15;
-          const curr = new BABYLON.Vector3(p[0], baseY, p[2]);
-
-          // Get direction to next/prev point for perpendicular offset
-          let dir;
-          if (i < road.points.length - 1) {
-            const next = road.points[i + 1];
-            dir = new BABYLON.Vector3(next[0] - p[0], 0, next[2] - p[2]);
-          } else {
-            const prev = road.points[i - 1];
-            dir = new BABYLON.Vector3(p[0] - prev[0], 0, p[2] - prev[2]);
-          }
-
-          // Handle zero-length direction
-          if (dir.length() < 0.001) {
-            dir = new BABYLON.Vector3(1, 0, 0);
-          }
-          dir.normalize();
-
-          // Perpendicular vector (rotate 90 degrees in XZ plane)
-          const perp = new BABYLON.Vector3(-dir.z, 0, dir.x);
-
-          leftPath.push(curr.add(perp.scale(halfWidth)));
-          rightPath.push(curr.subtract(perp.scale(halfWidth)));
-
-          // Center line (slightly above road)
-          const lineY = baseY + 0.02;
-          centerPath.push(new BABYLON.Vector3(p[0], lineY, p[2]));
-
-          // Edge lines
-          leftEdgePath.push(new BABYLON.Vector3(
-            p[0] + perp.x * (halfWidth - 0.3),
-            lineY,
-            p[2] + perp.z * (halfWidth - 0.3)
-          ));
-          rightEdgePath.push(new BABYLON.Vector3(
-            p[0] - perp.x * (halfWidth - 0.3),
-            lineY,
-            p[2] - perp.z * (halfWidth - 0.3)
-          ));
-        }
-
-        // Need at least 2 points for a ribbon
-        if (leftPath.length < 2) continue;
-
-        // Create road surface ribbon mesh
-        const roadMesh = BABYLON.MeshBuilder.CreateRibbon(`road_${roadCount}`, {
-          pathArray: [leftPath, rightPath],
-          sideOrientation: BABYLON.Mesh.DOUBLESIDE,
-          updatable: false,
-        }, this.scene);
-
-        const material = new BABYLON.StandardMaterial(`roadMat_${roadCount}`, this.scene);
-        material.diffuseColor = color;
-        material.specularColor = new BABYLON.Color3(0.15, 0.15, 0.15);
-        material.backFaceCulling = false;
-        material.emissiveColor = color.scale(0.15); // Slight ambient for visibility
-        roadMesh.material = material;
-        roadMesh.receiveShadows = true;
-
-        this.roadMeshes.push(roadMesh);
-
-        // Create center line (dashed effect using tube)
-        if (centerPath.length >= 2) {
-          const centerLine = BABYLON.MeshBuilder.CreateTube(`centerLine_${roadCount}`, {
-            path: centerPath,
-            radius: 0.15,
-            tessellation: 6,
-            sideOrientation: BABYLON.Mesh.DOUBLESIDE,
-          }, this.scene);
-          centerLine.material = lineMaterial;
-          this.roadMeshes.push(centerLine);
-        }
-
-        // Create edge lines for major roads
-        if ((road.type === 'motorway' || road.type === 'trunk' || road.type === 'primary') && leftEdgePath.length >= 2) {
-          const leftLine = BABYLON.MeshBuilder.CreateTube(`leftEdge_${roadCount}`, {
-            path: leftEdgePath,
-            radius: 0.1,
-            tessellation: 6,
-            sideOrientation: BABYLON.Mesh.DOUBLESIDE,
-          }, this.scene);
-          leftLine.material = edgeLineMaterial;
-          this.roadMeshes.push(leftLine);
-
-          const rightLine = BABYLON.MeshBuilder.CreateTube(`rightEdge_${roadCount}`, {
-            path: rightEdgePath,
-            radius: 0.1,
-            tessellation: 6,
-            sideOrientation: BABYLON.Mesh.DOUBLESIDE,
-          }, this.scene);
-          rightLine.material = edgeLineMaterial;
-          this.roadMeshes.push(rightLine);
-        }
+        const surfaces = this.roadRenderer.addRoad(road, junctions.getPieces(r));
+        if (surfaces.length === 0) return;
 
+        surfaces.forEach(edges => this.roadColliders.addRoad(road, edges.leftPath, edges.rightPath));
         roadCount++;
       } catch (e) {
         errorCount++;
@@ -490,8 +450,16 @@ export class BabylonGame {
           console.warn('Failed to create road:', e.message);
         }
       }
+    });
+
+    for (const junction of junctions.junctions) {
+      const surface = this.roadRenderer.addJunction(junction);
+      this.roadColliders.addJunction(junction.road, surface.center, surface.ring);
     }
 
+    this.roadRenderer.build();
+    this.roadColliders.build();
+
     console.log(`Rendered ${roadCount} roads with lane markings (${errorCount} errors)`);
 
     // Log first road position for debugging
@@ -510,7 +478,7 @@ export class BabylonGame {
       return;
     }
 
-    this.environmentProps = new EnvironmentProps(this.scene, this.shadowGenerator);
+    this.environmentProps = new EnvironmentProps(this.scene, this.shadowGenerator, this.terrain);
     await this.environmentProps.generate(this.roadData);
   }
 
@@ -518,13 +486,14 @@ export class BabylonGame {
    * Create vehicle with Havok physics
    */
   async createVehicle() {
-    const startPos = this.startPosition || { x: 0, y: 2, z: 0 };
+    const startPos = this.floatingOrigin.toLocal(this.startPosition || { x: 0, y: 2, z: 0 });
+    const truckType = this.getActiveTruckType();
 
     // Create a container for the vehicle
     this.vehicleContainer = new BABYLON.TransformNode('vehicleContainer', this.scene);
     this.vehicleContainer.position = new BABYLON.Vector3(startPos.x, startPos.y, startPos.z);
 
-    // Create invisible physics box for collision
+    // Create invisible physics box for the chassis (wheels are raycast)
     const chassisWidth = 2.5;
     const chassisHeight = 1.5;
     const chassisLength = 4;
@@ -542,8 +511,8 @@ export class BabylonGame {
       physicsBox,
       BABYLON.PhysicsShapeType.BOX,
       {
-        mass: 2000,
-        friction: 0.8,
+        mass: truckType.specs.mass,
+        friction: 0.3, // Only slides along walls and traffic; tires provide grip
         restitution: 0.1,
       },
       this.scene
@@ -556,9 +525,18 @@ export class BabylonGame {
     this.vehicleBody.setMotionType(BABYLON.PhysicsMotionType.DYNAMIC);
     this.vehicleBody.disablePreStep = false;
 
-    // Increase damping to prevent flipping
-    this.vehicleBody.setLinearDamping(0.3);
-    this.vehicleBody.setAngularDamping(0.95);
+    // Light damping; suspension and tires do the rest
+    this.vehicleBody.setLinearDamping(0.05);
+    this.vehicleBody.setAngularDamping(0.3);
+
+    this.vehicleController = new VehicleController(this.scene, this.vehicleBody, physicsBox, {
+      mass: truckType.specs.mass,
+    });
+    const rideHeight = this.vehicleController.getRideHeight();
+
+    this.drivetrain = new Drivetrain(truckType.specs, this.vehicleController.wheelRadius);
+
+    this.setupCollisionEvents();
 
     // Load GLB truck model
     let modelLoaded = false;
@@ -568,7 +546,8 @@ export class BabylonGame {
       if (result.meshes.length > 0) {
         this.truckModel = result.meshes[0];
         this.truckModel.parent = this.vehicleContainer;
-        this.truckModel.position = new BABYLON.Vector3(0, -0.7, 0);
+        // Model origin is at tire contact height
+        this.truckModel.position = new BABYLON.Vector3(0, -rideHeight, 0);
         this.truckModel.scaling = new BABYLON.Vector3(2.0, 2.0, 2.0);
         // Rotate 180 degrees so model faces Z+ (forward direction)
         this.truckModel.rotation = new BABYLON.Vector3(0, Math.PI, 0);
@@ -581,6 +560,15 @@ export class BabylonGame {
           mesh.receiveShadows = true;
         });
 
+        this.attachModelWheels(result.meshes);
+
+        // Body gets its own material so it can be recolored without tinting the wheels
+        const bodyMeshes = result.meshes.filter(mesh => mesh.material && !/wheel/i.test(mesh.name));
+        if (bodyMeshes.length > 0) {
+          this.bodyMaterial = bodyMeshes[0].material.clone('truckBodyMat');
+          bodyMeshes.forEach(mesh => { mesh.material = this.bodyMaterial; });
+        }
+
         console.log('Truck GLB model loaded with', result.meshes.length, 'meshes');
         modelLoaded = true;
       }
@@ -594,10 +582,16 @@ export class BabylonGame {
       this.createWheels();
     }
 
+    this.createHeadlights();
+    this.setTruckColor(truckType.color);
+
     // Position camera behind the truck (Z- is behind since vehicle faces Z+)
     this.camera.position = new BABYLON.Vector3(startPos.x, startPos.y + 10, startPos.z - 20);
     this.camera.setTarget(physicsBox.position);
 
+    // Road tiles around the start are ready before the first frame
+    if (this.roadRenderer) this.roadRenderer.update(0, this.camera.position, true);
+
     console.log(`Vehicle created at (${startPos.x.toFixed(0)}, ${startPos.y.toFixed(0)}, ${startPos.z.toFixed(0)})`);
   }
 
@@ -607,6 +601,7 @@ export class BabylonGame {
   createFallbackTruck() {
     const chassisMaterial = new BABYLON.StandardMaterial('chassisMat', this.scene);
     chassisMaterial.diffuseColor = new BABYLON.Color3(0.3, 0.69, 0.31);
+    this.bodyMaterial = chassisMaterial;
 
     // Body
     const body = BABYLON.MeshBuilder.CreateBox('truckBody', {
@@ -635,28 +630,44 @@ export class BabylonGame {
   }
 
   /**
-   * Create visual wheels (parented to vehicle, no physics)
+   * Hand the GLB model's wheel meshes to the vehicle controller
+   * Wheels are matched by where they sit on the truck rather than by name,
+   * since the import transform mirrors the model.
+   * @param {Array} meshes - Meshes from the truck import
+   */
+  attachModelWheels(meshes) {
+    const wheels = meshes.filter(mesh => /wheel/i.test(mesh.name));
+    if (wheels.length === 0) return;
+
+    this.vehicleContainer.computeWorldMatrix(true);
+    const inverse = this.vehicleContainer.getWorldMatrix().clone().invert();
+
+    for (const mesh of wheels) {
+      mesh.computeWorldMatrix(true);
+      const local = BABYLON.Vector3.TransformCoordinates(mesh.getAbsolutePosition(), inverse);
+      const id = `${local.z > 0 ? 'f' : 'r'}${local.x < 0 ? 'l' : 'r'}`;
+      const radius = mesh.getBoundingInfo().boundingBox.extendSizeWorld.y;
+
+      this.vehicleController.attachWheelVisual(id, mesh, this.vehicleContainer, radius);
+      this.wheelMeshes.push({ mesh, id });
+    }
+  }
+
+  /**
+   * Create visual wheels for the fallback truck at the controller's wheel mounts
    */
   createWheels() {
-    const wheelRadius = 0.4;
+    const controller = this.vehicleController;
+    const wheelRadius = controller.wheelRadius;
     const wheelWidth = 0.3;
-
-    // Wheel positions relative to vehicle center
-    const wheelPositions = [
-      { x: -1.0, y: -0.6, z: 1.2, isFront: true },   // Front-left
-      { x: 1.0, y: -0.6, z: 1.2, isFront: true },    // Front-right
-      { x: -1.0, y: -0.6, z: -1.2, isFront: false }, // Back-left
-      { x: 1.0, y: -0.6, z: -1.2, isFront: false },  // Back-right
-    ];
+    const restDrop = controller.suspensionRestLength - controller.staticCompression;
 
     const wheelMaterial = new BABYLON.StandardMaterial('wheelMat', this.scene);
     wheelMaterial.diffuseColor = new BABYLON.Color3(0.15, 0.15, 0.15);
 
-    for (let i = 0; i < wheelPositions.length; i++) {
-      const pos = wheelPositions[i];
-
+    for (const wheelDef of controller.wheels) {
       // Create wheel mesh
-      const wheel = BABYLON.MeshBuilder.CreateCylinder(`wheel_${i}`, {
+      const wheel = BABYLON.MeshBuilder.CreateCylinder(`wheel_${wheelDef.id}`, {
         height: wheelWidth,
         diameter: wheelRadius * 2,
         tessellation: 16,
@@ -664,17 +675,79 @@ export class BabylonGame {
 
       wheel.rotation.z = Math.PI / 2;
       wheel.material = wheelMaterial;
-      wheel.position = new BABYLON.Vector3(pos.x, pos.y, pos.z);
-      wheel.parent = this.vehicleContainer; // Parent to vehicle, moves with it
+      wheel.parent = this.vehicleContainer;
+      wheel.position = new BABYLON.Vector3(wheelDef.position.x, wheelDef.position.y - restDrop, wheelDef.position.z);
 
       if (this.shadowGenerator) {
         this.shadowGenerator.addShadowCaster(wheel);
       }
 
-      this.wheelMeshes.push({ mesh: wheel, isFront: pos.isFront, localPos: pos });
+      controller.attachWheelVisual(wheelDef.id, wheel, this.vehicleContainer);
+      this.wheelMeshes.push({ mesh: wheel, id: wheelDef.id });
+    }
+
+    console.log('Fallback wheels created');
+  }
+
+  /**
+   * Create headlight spot lights (parented to vehicle, off by default)
+   */
+  createHeadlights() {
+    const lensMaterial = new BABYLON.StandardMaterial('headlightLensMat', this.scene);
+    lensMaterial.diffuseColor = new BABYLON.Color3(0.9, 0.9, 0.85);
+    lensMaterial.emissiveColor = BABYLON.Color3.Black();
+
+    for (const side of [-1, 1]) {
+      const light = new BABYLON.SpotLight(
+        `headlight_${side < 0 ? 'left' : 'right'}`,
+        new BABYLON.Vector3(side * 0.8, 0.3, 2.1),
+        new BABYLON.Vector3(0, -0.12, 1),
+        Math.PI / 3,
+        2,
+        this.scene
+      );
+      light.parent = this.vehicleContainer;
+      light.diffuse = new BABYLON.Color3(1.0, 0.95, 0.85);
+      light.specular = new BABYLON.Color3(0.3, 0.3, 0.3);
+      light.range = 90;
+      light.intensity = 0;
+
+      const lens = BABYLON.MeshBuilder.CreateBox(`headlightLens_${side}`, {
+        width: 0.35,
+        height: 0.2,
+        depth: 0.05,
+      }, this.scene);
+      lens.material = lensMaterial;
+      lens.position = new BABYLON.Vector3(side * 0.8, 0.3, 2.05);
+      lens.parent = this.vehicleContainer;
+
+      this.headlights.push(light);
     }
 
-    console.log('Visual wheels created (no physics)');
+    this.headlightLensMaterial = lensMaterial;
+  }
+
+  /**
+   * Apply headlight state to the spot lights
+   */
+  updateHeadlights() {
+    const intensity = this.headlightsOn ? 3 : 0;
+    for (const light of this.headlights) {
+      light.intensity = intensity;
+    }
+    if (this.headlightLensMaterial) {
+      this.headlightLensMaterial.emissiveColor = this.headlightsOn
+        ? new BABYLON.Color3(1.0, 0.95, 0.8)
+        : BABYLON.Color3.Black();
+    }
+  }
+
+  /**
+   * Get current in-game hour (0-24)
+   * @returns {number}
+   */
+  getHour() {
+    return this.clock.getHour();
   }
 
   /**
@@ -689,9 +762,49 @@ export class BabylonGame {
 
     this.input.onAction(InputAction.HEADLIGHTS, () => {
       this.headlightsOn = !this.headlightsOn;
+      this.updateHeadlights();
       console.log(`Headlights: ${this.headlightsOn ? 'ON' : 'OFF'}`);
     });
 
+    this.input.onAction(InputAction.WEATHER_CYCLE, () => {
+      if (this.gameState === 'playing' && this.weatherSystem) {
+        this.weatherSystem.cycleWeather();
+      }
+    });
+
+    this.input.onAction(InputAction.REFUEL, () => {
+      this.refuelTruck();
+    });
+
+    this.input.onAction(InputAction.REPAIR, () => {
+      this.repairTruck();
+    });
+
+    this.input.onAction(InputAction.SHIFT_UP, () => {
+      if (this.gameState === 'playing' && this.drivetrain) {
+        this.drivetrain.shiftUp(this.vehicleController.getForwardSpeed());
+      }
+    });
+
+    this.input.onAction(InputAction.SHIFT_DOWN, () => {
+      if (this.gameState === 'playing' && this.drivetrain) {
+        this.drivetrain.shiftDown(this.vehicleController.getForwardSpeed());
+      }
+    });
+
+    this.input.onAction(InputAction.HITCH, () => {
+      this.toggleHitch();
+    });
+
+    this.input.onAction(InputAction.TRANSMISSION_MODE, () => {
+      if (this.gameState !== 'playing' || !this.drivetrain) return;
+      const mode = this.drivetrain.toggleMode();
+      this.notification.showInfo(
+        mode === TransmissionMode.MANUAL ? 'Manual Transmission' : 'Automatic Transmission',
+        mode === TransmissionMode.MANUAL ? 'E / Q to shift up and down' : 'Gears shift automatically'
+      );
+    });
+
     this.input.onAction(InputAction.CAMERA_NEXT, () => {
       this.cycleCamera();
     });
@@ -730,11 +843,20 @@ export class BabylonGame {
 
     this.optionsMenu = new OptionsMenu(this.ui, this.audio, this.input, {
       onClose: () => this.closeOptions(),
+      getRouteMode: () => (this.pathfinder ? this.pathfinder.getRouteMode() : undefined),
+      onRouteModeChange: (mode) => this.setRouteMode(mode),
+      getTimeScale: () => this.clock.timeScale,
+      onTimeScaleChange: (scale) => {
+        this.clock.setTimeScale(scale);
+        this.clock.saveSettings();
+      },
     });
     this.optionsMenu.init();
 
     this.mainMenu = new MainMenu(this.ui, {
+      onContinue: () => this.continueGame(),
       onStart: () => this.startGame(),
+      onLoadGame: () => this.showSaveLoad('load', 'menu'),
       onOptions: () => this.showOptions('menu'),
       onAbout: () => this.showAbout(),
     });
@@ -742,26 +864,50 @@ export class BabylonGame {
 
     this.pauseMenu = new PauseMenu(this.ui, {
       onResume: () => this.resumeGame(),
+      onSaveGame: () => this.showSaveLoad('save', 'paused'),
+      onLoadGame: () => this.showSaveLoad('load', 'paused'),
       onOptions: () => this.showOptions('paused'),
       onMainMenu: () => this.returnToMainMenu(),
     });
     this.pauseMenu.init();
 
+    this.saveLoadMenu = new SaveLoadMenu(this.ui, this.saveSystem, {
+      onSave: (slot) => this.saveGame(slot),
+      onLoad: (slot) => this.loadGame(slot),
+      onSlotsChanged: () => this.refreshContinueButton(),
+      onClose: () => this.closeSaveLoad(),
+    });
+    this.saveLoadMenu.init();
+
     this.hud = new HUD(this.ui);
     this.hud.init();
 
     this.miniMap = new MiniMap(this.ui);
     this.miniMap.init();
 
-    this.jobSystem = new JobSystem();
+    this.jobSystem = new JobSystem(this.clock);
     this.jobSystem.onJobCompleted = (job) => this.onJobCompleted(job);
     this.jobSystem.onJobFailed = (job) => this.onJobFailed(job);
+    this.jobSystem.onDestinationReached = (job) => {
+      this.notification.showInfo(job.destination.name, 'Unhitch the trailer to deliver the cargo');
+    };
+    this.jobSystem.onDepotAvailable = (depot) => {
+      if (this.jobSystem.activeJob) return;
+      this.notification.showInfo(`${depot.name} Depot`, 'Park and press J to browse jobs');
+    };
+    this.jobSystem.onCargoLoaded = (job) => {
+      this.updateJobObjective();
+      this.notification.showInfo('Cargo Loaded', `Deliver ${job.cargo.name} to ${job.destination.name}`);
+    };
 
     this.jobMarket = new JobMarket(this.ui, this.jobSystem, {
       onJobAccepted: (job) => this.onJobAccepted(job),
       onClose: () => {},
+      getTruckPosition: () => this.getTruckWorldPosition(),
+      getTruckSpeed: () => this.truckSpeed,
     });
     this.jobMarket.init();
+    this.jobMarket.setRoadData(this.roadData);
 
     this.radioSystem = new RadioSystem(this.audio);
     this.radioSystem.init();
@@ -772,12 +918,86 @@ export class BabylonGame {
     this.garage = new Garage(this.ui);
     this.garage.init();
     this.garage.updateBalance(this.playerMoney);
+    this.garage.onPurchase = (truckId, price) => this.onTruckPurchased(truckId, price);
+    this.garage.onSelectTruck = (truckId, previousId) => this.switchTruck(truckId, previousId);
 
     this.notification = new Notification(this.ui);
     this.notification.init();
 
-    this.fuelSystem = new FuelSystem();
+    this.fuelSystem = new FuelSystem(this.clock);
+    const specs = this.getActiveTruckType().specs;
+    this.fuelSystem.setTruckSpecs(specs.fuelCapacity, specs.fuelEfficiency);
     this.fuelSystem.setFuelLevel(this.fuelSystem.getTankCapacity() * 0.5);
+    this.fuelSystem.onRefuelAvailable = (station) => {
+      const cost = this.fuelSystem.getFullTankCost();
+      if (cost === 0) return;
+      this.notification.showInfo(station.name, `Press F to refuel (\u20B1${cost.toLocaleString()} to fill)`);
+    };
+    this.fuelSystem.onFuelLow = (liters) => {
+      this.notification.show({
+        type: 'warning',
+        title: 'Low Fuel',
+        message: `${Math.round(liters)}L left - find a gas station`,
+      });
+    };
+    this.fuelSystem.onFuelEmpty = () => {
+      this.stopEngine();
+      this.notification.show({
+        type: 'error',
+        title: 'Out of Fuel',
+        message: 'The engine has stopped',
+      });
+    };
+    this.gasStations = this.getGasStations();
+
+    if (this.navigationSystem) {
+      this.navigationSystem.onManeuverCue = (maneuver, distance, prompt) => {
+        if (this.navigationAudio) this.navigationAudio.announce(prompt);
+      };
+      this.navigationSystem.onReroute = (points) => {
+        if (this.miniMap) this.miniMap.setRoute(points, this.navigationSystem.destination);
+        this.notification.showInfo('Rerouting', 'New route calculated');
+      };
+      this.navigationSystem.onRerouteFailed = () => {
+        this.notification.showInfo('No Route', 'No road route from here - head back to the highlighted route');
+      };
+    }
+
+    this.weatherSystem.onWeatherChange = (weather, preset) => {
+      if (this.gameState !== 'playing') return;
+      const wet = preset.grip < 1 ? ' - roads are slippery' : '';
+      this.notification.showInfo('Weather', `${preset.name}${wet}`);
+    };
+
+    this.dayNightCycle.onNightStart = () => {
+      if (this.gameState !== 'playing' || this.headlightsOn) return;
+      this.notification.showInfo('Night Falls', 'Press L to turn on headlights');
+    };
+
+    this.maintenanceSystem = new MaintenanceSystem();
+    this.maintenanceSystem.onComponentDamaged = (component, damage, condition) => {
+      this.notification.show({
+        type: 'warning',
+        title: 'Truck Damaged',
+        message: `${this.getComponentLabel(component)} condition ${Math.round(condition)}%`,
+      });
+    };
+    this.maintenanceSystem.onComponentCritical = (component) => {
+      // Wear keeps reporting critical components every frame, so warn once per repair
+      if (this.criticalWarnings.has(component)) return;
+      this.criticalWarnings.add(component);
+      this.notification.show({
+        type: 'error',
+        title: 'Critical Damage',
+        message: `${this.getComponentLabel(component)} needs repair at a service station`,
+      });
+    };
+    this.maintenanceSystem.onServiceAvailable = () => {
+      if (!this.maintenanceSystem.needsRepair()) return;
+      const cost = this.maintenanceSystem.getTotalRepairCost();
+      this.notification.showInfo('Service Station', `Press N to repair (\u20B1${cost.toLocaleString()})`);
+    };
+    this.serviceStations = this.getServiceStations();
 
     if (this.poiData && this.pathfinder) {
       this.jobSystem.init(this.poiData, this.pathfinder);
@@ -805,6 +1025,262 @@ export class BabylonGame {
     }
   }
 
+  /**
+   * Change the GPS route preference and recalculate the active route
+   * @param {string} mode - RouteMode value
+   */
+  setRouteMode(mode) {
+    if (!this.pathfinder) return;
+    this.pathfinder.setRouteMode(mode);
+    this.pathfinder.saveSettings();
+
+    const nav = this.navigationSystem;
+    if (nav && nav.isActive() && this.vehicleMesh) {
+      const pos = this.getTruckWorldPosition();
+      if (nav.calculateRoute(pos.x, pos.z) && this.miniMap) {
+        this.miniMap.setRoute(nav.getRoutePoints(), nav.destination);
+      }
+    }
+  }
+
+  /**
+   * Show save/load menu
+   * @param {string} mode - 'save' or 'load'
+   * @param {string} returnTo - Menu to return to on close ('menu' or 'paused')
+   */
+  showSaveLoad(mode, returnTo) {
+    this.saveLoadReturnTo = returnTo;
+    this.saveLoadMenu.show(mode);
+  }
+
+  /**
+   * Close save/load menu
+   */
+  closeSaveLoad() {
+    if (this.saveLoadReturnTo === 'menu') {
+      this.mainMenu.show();
+    } else if (this.saveLoadReturnTo === 'paused') {
+      this.pauseMenu.show();
+    }
+  }
+
+  /**
+   * Show the Continue button if there is a save to continue from
+   */
+  async refreshContinueButton() {
+    if (!this.saveSystem || !this.mainMenu) return;
+    this.mainMenu.setContinueAvailable(await this.saveSystem.hasSaves());
+  }
+
+  /**
+   * Collect the state of every game system for saving
+   * @returns {Object}
+   */
+  collectSaveData() {
+    if (this.garage) this.garage.setTruckState(this.garage.activeTruckId, this.getActiveTruckState());
+
+    const data = {
+      economy: { money: this.playerMoney },
+      jobs: this.jobSystem ? this.jobSystem.getSaveData() : null,
+      garage: this.garage ? this.garage.getSaveData() : null,
+      fuel: this.fuelSystem ? this.fuelSystem.getSaveData() : null,
+      maintenance: this.maintenanceSystem ? this.maintenanceSystem.getSaveData() : null,
+      drivetrain: this.drivetrain ? this.drivetrain.getSaveData() : null,
+      vehicle: null,
+      trailers: this.trailerSystem ? this.trailerSystem.getSaveData() : null,
+      radio: this.radioSystem ? this.radioSystem.getSaveData() : null,
+      camera: { mode: this.cameraMode },
+      clock: this.clock.getSaveData(),
+      weather: this.weatherSystem ? this.weatherSystem.getSaveData() : null,
+      headlightsOn: this.headlightsOn,
+    };
+
+    if (this.vehicleMesh) {
+      const pos = this.getTruckWorldPosition();
+      const rot = this.vehicleMesh.rotationQuaternion || BABYLON.Quaternion.FromEulerAngles(
+        this.vehicleMesh.rotation.x,
+        this.vehicleMesh.rotation.y,
+        this.vehicleMesh.rotation.z
+      );
+      data.vehicle = {
+        position: { x: pos.x, y: pos.y, z: pos.z },
+        rotation: { x: rot.x, y: rot.y, z: rot.z, w: rot.w },
+      };
+    }
+
+    return data;
+  }
+
+  /**
+   * Restore every game system from saved state
+   * @param {Object} data - State from collectSaveData()
+   */
+  applySaveData(data) {
+    if (data.economy && typeof data.economy.money === 'number') {
+      this.playerMoney = data.economy.money;
+    }
+
+    // Clock first: job timers are stored in game time
+    if (data.clock) {
+      this.clock.loadSaveData(data.clock);
+    }
+
+    if (data.jobs && this.jobSystem) {
+      this.jobSystem.loadSaveData(data.jobs);
+    }
+
+    if (data.garage && this.garage) {
+      this.garage.loadSaveData(data.garage);
+    }
+
+    this.applyTruckType(this.getActiveTruckType());
+    if (data.drivetrain && this.drivetrain) {
+      this.drivetrain.loadSaveData(data.drivetrain);
+    }
+
+    if (data.fuel && this.fuelSystem) {
+      this.fuelSystem.loadSaveData(data.fuel);
+      if (this.fuelSystem.isEmpty()) {
+        this.stopEngine();
+      } else {
+        this.startEngine();
+      }
+    }
+
+    if (data.maintenance && this.maintenanceSystem) {
+      this.maintenanceSystem.loadSaveData(data.maintenance);
+      this.criticalWarnings.clear();
+    }
+
+    if (data.vehicle && this.vehicleMesh && this.vehicleBody) {
+      const { position, rotation } = data.vehicle;
+      this.vehicleMesh.position = this.floatingOrigin.toLocal({ x: position.x, y: position.y + 0.5, z: position.z });
+      this.vehicleMesh.rotationQuaternion = new BABYLON.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w);
+      this.vehicleBody.setLinearVelocity(BABYLON.Vector3.Zero());
+      this.vehicleBody.setAngularVelocity(BABYLON.Vector3.Zero());
+      if (this.vehicleController) this.vehicleController.reset();
+      if (this.vehicleContainer) {
+        this.vehicleContainer.position.copyFrom(this.vehicleMesh.position);
+        this.vehicleContainer.rotationQuaternion = this.vehicleMesh.rotationQuaternion.clone();
+      }
+
+      // Traffic around the old position is no longer relevant
+      if (this.trafficSystem) this.trafficSystem.clear();
+    }
+
+    // Trailers go back after the truck so a hitched one lands on the fifth wheel
+    if (this.trailerSystem) {
+      this.trailerSystem.loadSaveData(data.trailers || {});
+    }
+
+    if (data.camera && data.camera.mode) {
+      this.cameraMode = data.camera.mode;
+    }
+
+    if (data.weather && this.weatherSystem) {
+      this.weatherSystem.loadSaveData(data.weather);
+    }
+
+    if (typeof data.headlightsOn === 'boolean') {
+      this.headlightsOn = data.headlightsOn;
+      this.updateHeadlights();
+    }
+
+    // Refresh UI that mirrors restored state
+    if (this.garage) this.garage.updateBalance(this.playerMoney);
+    if (this.hud) {
+      this.hud.setMoney(this.playerMoney);
+      this.hud.clearJobInfo();
+      this.hud.clearNavigation();
+    }
+    if (this.navigationSystem) this.navigationSystem.clear();
+    if (this.miniMap) {
+      this.miniMap.clearRoute();
+      this.miniMap.clearJobMarkers();
+    }
+
+    const activeJob = this.jobSystem ? this.jobSystem.activeJob : null;
+    if (activeJob) {
+      this.onJobAccepted(activeJob);
+    }
+  }
+
+  /**
+   * Save the game to a slot
+   * @param {string} slotName
+   * @returns {Promise<boolean>}
+   */
+  async saveGame(slotName) {
+    const stats = this.jobSystem ? this.jobSystem.getStats() : null;
+    const saved = await this.saveSystem.save(slotName, this.collectSaveData(), {
+      money: this.playerMoney,
+      deliveries: stats ? stats.totalDeliveries : 0,
+    });
+
+    if (this.notification && slotName !== AUTOSAVE_SLOT) {
+      if (saved) {
+        this.notification.showInfo('Game Saved', slotName);
+      } else {
+        this.notification.show({ type: 'error', title: 'Save Failed', message: 'Browser storage is unavailable' });
+      }
+    }
+
+    await this.refreshContinueButton();
+    return saved;
+  }
+
+  /**
+   * Write the autosave slot
+   */
+  async autosave() {
+    this.autosaveTimer = 0;
+    await this.saveGame(AUTOSAVE_SLOT);
+  }
+
+  /**
+   * Load the game from a slot and resume playing
+   * @param {string} slotName
+   */
+  async loadGame(slotName) {
+    const record = await this.saveSystem.load(slotName);
+    if (!record) {
+      if (this.notification) {
+        this.notification.show({ type: 'error', title: 'Load Failed', message: `Save "${slotName}" could not be read` });
+      }
+      this.closeSaveLoad();
+      return;
+    }
+
+    this.applySaveData(record.state);
+
+    if (this.gameState === 'menu') {
+      await this.startGame();
+    } else {
+      this.resumeGame();
+    }
+
+    // Radio last: it can only tune in once startGame has set up audio
+    if (record.state.radio && this.radioSystem) {
+      await this.radioSystem.loadSaveData(record.state.radio);
+    }
+
+    if (this.notification) {
+      this.notification.showInfo('Game Loaded', slotName === AUTOSAVE_SLOT ? 'Autosave' : slotName);
+    }
+  }
+
+  /**
+   * Continue from the most recent save
+   */
+  async continueGame() {
+    const latest = await this.saveSystem.getLatestSlot();
+    if (latest) {
+      await this.loadGame(latest.slot);
+    } else {
+      await this.startGame();
+    }
+  }
+
   /**
    * Show about dialog
    */
@@ -923,7 +1399,11 @@ export class BabylonGame {
       await this.audio.init();
       await loadGameSounds(this.audio);
       this.engineAudio = new EngineAudio(this.audio);
+      if (this.drivetrain) this.engineAudio.setRpmRange(this.drivetrain.idleRpm, this.drivetrain.maxRpm);
       this.hornAudio = new HornAudio(this.audio);
+      this.collisionAudio = new CollisionAudio(this.audio);
+      this.rainAudio = new RainAudio(this.audio);
+      this.navigationAudio = new NavigationAudio(this.audio);
     }
 
     this.gameState = 'playing';
@@ -934,9 +1414,7 @@ export class BabylonGame {
     this.miniMap.show();
     this.radioWidget.show();
 
-    if (this.engineAudio && !this.engineAudio.getIsRunning()) {
-      this.engineAudio.start();
-    }
+    this.startEngine();
 
     console.log('Game started - WASD to drive, ESC to pause');
   }
@@ -965,13 +1443,23 @@ export class BabylonGame {
     if (this.engineAudio) {
       this.engineAudio.stop();
     }
+    if (this.rainAudio) {
+      this.rainAudio.stop();
+    }
+    if (this.trafficSystem) {
+      this.trafficSystem.clear();
+    }
 
     // Reset vehicle position
     if (this.vehicleMesh && this.vehicleBody) {
       const startPos = this.startPosition || { x: 0, y: 2, z: 0 };
-      this.vehicleMesh.position = new BABYLON.Vector3(startPos.x, startPos.y, startPos.z);
+      this.vehicleMesh.position = this.floatingOrigin.toLocal(startPos);
       this.vehicleBody.setLinearVelocity(BABYLON.Vector3.Zero());
       this.vehicleBody.setAngularVelocity(BABYLON.Vector3.Zero());
+
+      if (this.trailerSystem && this.trailerSystem.hitchedTrailer) {
+        this.trailerSystem.placeOnFifthWheel(this.trailerSystem.hitchedTrailer);
+      }
     }
   }
 
@@ -996,7 +1484,13 @@ export class BabylonGame {
   toggleJobMarket() {
     if (this.gameState !== 'playing') return;
     if (this.jobSystem.activeJob) return;
-    this.jobMarket.show();
+
+    const depot = this.jobSystem.nearDepot;
+    if (!depot) {
+      this.notification.showInfo('No Depot', 'Drive to a city, town or industrial depot to find jobs');
+      return;
+    }
+    this.jobMarket.show(depot);
   }
 
   /**
@@ -1004,6 +1498,7 @@ export class BabylonGame {
    */
   toggleGarage() {
     if (this.gameState !== 'playing') return;
+    this.garage.setTruckState(this.garage.activeTruckId, this.getActiveTruckState());
     this.garage.updateBalance(this.playerMoney);
     this.garage.toggle();
   }
@@ -1023,33 +1518,173 @@ export class BabylonGame {
    */
   onJobAccepted(job) {
     console.log(`Job accepted: ${job.cargo.name}`);
+
+    // The loaded trailer waits beside the road at the origin
+    if (this.trailerSystem && !this.trailerSystem.getTrailerForJob(job.id)) {
+      const trailer = this.trailerSystem.spawnForJob(job, job.origin.x, job.origin.z);
+      const pos = this.trailerSystem.getWorldPosition(trailer);
+      job.stage = JobStage.PICKUP;
+      job.pickup = { name: job.origin.name, x: pos.x, z: pos.z };
+    }
+
+    this.updateJobObjective();
+  }
+
+  /**
+   * Route to the active job's trailer or destination and refresh the HUD
+   */
+  updateJobObjective() {
+    const job = this.jobSystem.activeJob;
+    if (!job) return;
+
+    const target = this.jobSystem.getObjectiveTarget();
     if (this.miniMap) {
-      this.miniMap.setRoute(this.jobSystem.getRoutePoints(), job.destination);
+      const loaded = this.jobSystem.isCargoLoaded();
+      this.miniMap.setJobMarkers([
+        { x: job.origin.x, z: job.origin.z, type: 'pickup', done: loaded },
+        { x: job.destination.x, z: job.destination.z, type: 'delivery', done: false },
+      ]);
+    }
+
+    // Parked for loading or unloading: nothing to drive to
+    if (job.stage === JobStage.LOADING || job.stage === JobStage.UNLOADING) {
+      if (this.navigationSystem) this.navigationSystem.clear();
+      if (this.miniMap) this.miniMap.setRoute(null, target);
+      if (this.hud) {
+        this.hud.clearNavigation();
+        this.hud.setJobInfo(job, this.getJobDeadlineText());
+      }
+      return;
+    }
+
+    // Guide from the truck's current position; fall back to the job's own route
+    let routePoints = null;
+    if (this.navigationSystem && this.vehicleMesh) {
+      const pos = this.getTruckWorldPosition();
+      if (this.navigationSystem.navigateTo(target, pos.x, pos.z)) {
+        routePoints = this.navigationSystem.getRoutePoints();
+      } else if (target !== job.destination) {
+        routePoints = [[pos.x, pos.z], [target.x, target.z]];
+      }
+    }
+    if (this.miniMap) {
+      this.miniMap.setRoute(routePoints || this.jobSystem.getRoutePoints(), target);
     }
     if (this.hud) {
-      this.hud.setJobInfo(job);
+      this.hud.setJobInfo(job, this.getJobDeadlineText());
+    }
+  }
+
+  /**
+   * Active job's deadline as an in-game clock time
+   * @returns {string|null} e.g. "16:30", or null without a running time limit
+   */
+  getJobDeadlineText() {
+    const deadline = this.jobSystem ? this.jobSystem.getDeadline() : null;
+    return deadline === null ? null : this.clock.formatArrival(deadline);
+  }
+
+  /**
+   * Hitch the trailer behind the truck, or drop the one being towed
+   */
+  toggleHitch() {
+    if (this.gameState !== 'playing' || !this.trailerSystem) return;
+    const trailers = this.trailerSystem;
+
+    if (!trailers.isTractorStopped()) {
+      this.notification.showInfo('Stop First', 'Bring the truck to a stop to hitch or drop a trailer');
+      return;
+    }
+
+    if (trailers.hitchedTrailer) {
+      this.onTrailerDropped(trailers.unhitch());
+      return;
+    }
+
+    const candidate = trailers.findHitchCandidate();
+    if (!candidate || candidate.distance > 30) {
+      this.notification.showInfo('No Trailer Nearby', 'Back the truck up to a trailer to hitch it');
+      return;
+    }
+    if (!trailers.canHitch(candidate)) {
+      const hint = candidate.aligned
+        ? `Reverse ${Math.ceil(candidate.distance)} m further under the trailer`
+        : 'Line the truck up with the trailer';
+      this.notification.showInfo(candidate.trailer.type.name, hint);
+      return;
+    }
+
+    trailers.hitch(candidate.trailer);
+
+    const job = this.jobSystem.activeJob;
+    if (job && candidate.trailer.jobId === job.id) {
+      this.jobSystem.attachTrailer();
+      this.updateJobObjective();
+      if (job.stage === JobStage.LOADING) {
+        this.notification.showInfo('Trailer Hitched', `Stay parked at ${job.origin.name} while the ${job.cargo.name} is loaded`);
+      } else {
+        this.notification.showInfo('Trailer Hitched', `Deliver ${job.cargo.name} to ${job.destination.name}`);
+      }
+    } else {
+      this.notification.showInfo('Trailer Hitched', candidate.trailer.type.name);
+    }
+  }
+
+  /**
+   * Hand a dropped trailer to the job system (delivers it at the destination)
+   * @param {Trailer} trailer
+   */
+  onTrailerDropped(trailer) {
+    const job = this.jobSystem.activeJob;
+    if (!job || trailer.jobId !== job.id) {
+      this.notification.showInfo('Trailer Dropped', trailer.type.name);
+      return;
+    }
+
+    const pos = this.trailerSystem.getWorldPosition(trailer);
+    if (this.jobSystem.detachTrailer(pos.x, pos.z)) {
+      this.updateJobObjective();
+      this.notification.showInfo('Unloading', `${job.cargo.name} is being unloaded at ${job.destination.name}`);
+    } else {
+      this.updateJobObjective();
+      const where = this.jobSystem.isCargoLoaded() ? job.destination.name : job.origin.name;
+      this.notification.showInfo('Trailer Dropped', `Not at ${where} - hitch it again to continue`);
     }
   }
 
   onJobCompleted(job) {
     this.playerMoney += job.finalPayment;
-    if (this.miniMap) this.miniMap.clearRoute();
+    if (this.trailerSystem) this.trailerSystem.removeTrailer(this.trailerSystem.getTrailerForJob(job.id));
+    if (this.navigationSystem) this.navigationSystem.clear();
+    if (this.miniMap) {
+      this.miniMap.clearRoute();
+      this.miniMap.clearJobMarkers();
+    }
     if (this.hud) {
       this.hud.clearJobInfo();
+      this.hud.clearNavigation();
       this.hud.setMoney(this.playerMoney);
     }
     if (this.notification) {
       this.notification.showJobCompleted(job);
     }
+
+    this.autosave();
   }
 
   onJobFailed(job) {
     if (job.penalty) {
       this.playerMoney = Math.max(0, this.playerMoney - job.penalty);
     }
-    if (this.miniMap) this.miniMap.clearRoute();
+    if (this.trailerSystem) this.trailerSystem.removeTrailer(this.trailerSystem.getTrailerForJob(job.id));
+    if (this.navigationSystem) this.navigationSystem.clear();
+    if (this.miniMap) {
+      this.miniMap.clearRoute();
+      this.miniMap.clearJobMarkers();
+    }
     if (this.hud) {
       this.hud.clearJobInfo();
+      this.hud.clearNavigation();
       this.hud.setMoney(this.playerMoney);
     }
     if (this.notification) {
@@ -1057,6 +1692,332 @@ export class BabylonGame {
     }
   }
 
+  /**
+   * Get the truck type currently selected in the garage
+   * @returns {Object} TruckTypes entry
+   */
+  getActiveTruckType() {
+    const id = this.garage ? this.garage.activeTruckId : TruckTypes.STANDARD.id;
+    return Object.values(TruckTypes).find(t => t.id === id) || TruckTypes.STANDARD;
+  }
+
+  /**
+   * Apply a truck's specs to the physical truck and its systems
+   * @param {Object} truckType - TruckTypes entry
+   */
+  applyTruckType(truckType) {
+    const specs = truckType.specs;
+
+    if (this.vehicleController) this.vehicleController.setMass(specs.mass);
+    if (this.drivetrain) {
+      this.drivetrain.setSpecs(specs);
+      if (this.engineAudio) this.engineAudio.setRpmRange(this.drivetrain.idleRpm, this.drivetrain.maxRpm);
+    }
+    if (this.fuelSystem) this.fuelSystem.setTruckSpecs(specs.fuelCapacity, specs.fuelEfficiency);
+
+    this.setTruckColor(truckType.color);
+  }
+
+  /**
+   * Recolor the truck body
+   * @param {string} hex - CSS hex color
+   */
+  setTruckColor(hex) {
+    if (!this.bodyMaterial) return;
+
+    const color = BABYLON.Color3.FromHexString(hex);
+    if (this.bodyMaterial instanceof BABYLON.PBRMaterial) {
+      // Model colors come from a palette texture, so tint it rather than replace it
+      this.bodyMaterial.albedoColor = BABYLON.Color3.Lerp(BABYLON.Color3.White(), color, 0.7);
+    } else {
+      this.bodyMaterial.diffuseColor = color;
+    }
+  }
+
+  /**
+   * Snapshot fuel, wear and odometer of the truck being driven
+   * @returns {Object} State stored per truck in the garage
+   */
+  getActiveTruckState() {
+    return {
+      fuel: this.fuelSystem.getSaveData(),
+      maintenance: this.maintenanceSystem.getSaveData(),
+      fuelPercent: this.fuelSystem.getFuelPercent(),
+      condition: this.maintenanceSystem.getOverallCondition(),
+      odometer: this.maintenanceSystem.totalDistance,
+    };
+  }
+
+  /**
+   * Pay for a truck bought in the garage
+   * @param {string} truckId
+   * @param {number} price
+   */
+  onTruckPurchased(truckId, price) {
+    const truckType = Object.values(TruckTypes).find(t => t.id === truckId);
+
+    this.playerMoney -= price;
+    this.hud.setMoney(this.playerMoney);
+    this.garage.updateBalance(this.playerMoney);
+    this.notification.showMoneySpent(price, `Bought ${truckType ? truckType.name : 'truck'}`);
+  }
+
+  /**
+   * Swap to another owned truck, keeping each truck's fuel, wear and odometer
+   * @param {string} truckId - Truck to drive
+   * @param {string} previousId - Truck being parked
+   */
+  switchTruck(truckId, previousId) {
+    if (truckId === previousId) return;
+
+    this.garage.setTruckState(previousId, this.getActiveTruckState());
+
+    const truckType = this.getActiveTruckType();
+    this.applyTruckType(truckType);
+
+    // Trucks that have never been driven come with a full tank and no wear
+    const state = this.garage.getTruckState(truckId);
+    if (state) {
+      this.fuelSystem.loadSaveData(state.fuel);
+      this.maintenanceSystem.loadSaveData(state.maintenance);
+    } else {
+      this.fuelSystem.reset();
+      this.maintenanceSystem.reset();
+      this.maintenanceSystem.totalDistance = 0;
+    }
+    this.criticalWarnings.clear();
+
+    if (this.fuelSystem.isEmpty()) {
+      this.stopEngine();
+    } else {
+      this.startEngine();
+    }
+
+    this.garage.setTruckState(truckId, this.getActiveTruckState());
+    this.notification.showInfo(truckType.name, 'Now driving');
+    console.log(`Switched to ${truckType.name} (${truckType.specs.mass} kg, ${truckType.specs.enginePower} HP)`);
+  }
+
+  /**
+   * Get gas station locations from POI data
+   * @returns {Array} - [{x, z, name}]
+   */
+  getGasStations() {
+    if (!this.poiData) return [];
+    return this.poiData
+      .filter(poi => poi.type === 'fuel')
+      .map(poi => ({ x: poi.x, z: poi.z, name: poi.name }));
+  }
+
+  /**
+   * Get service station locations from POI data
+   * Fuel stations double as service stops until the map data has dedicated repair shops.
+   * @returns {Array} - [{x, z, name}]
+   */
+  getServiceStations() {
+    if (!this.poiData) return [];
+    return this.poiData
+      .filter(poi => poi.type === 'service' || poi.type === 'fuel')
+      .map(poi => ({ x: poi.x, z: poi.z, name: poi.name }));
+  }
+
+  /**
+   * Get display label for a truck component
+   * @param {string} component
+   * @returns {string}
+   */
+  getComponentLabel(component) {
+    return component.charAt(0).toUpperCase() + component.slice(1);
+  }
+
+  /**
+   * Subscribe to Havok collision events on the truck chassis
+   */
+  setupCollisionEvents() {
+    this.vehicleBody.setCollisionCallbackEnabled(true);
+    this.vehicleBody.getCollisionObservable().add((event) => {
+      if (event.type !== BABYLON.PhysicsEventType.COLLISION_STARTED) return;
+      this.onVehicleCollision(event);
+    });
+  }
+
+  /**
+   * Handle a collision involving the truck chassis
+   * @param {Object} event - Havok collision event
+   */
+  onVehicleCollision(event) {
+    if (this.gameState !== 'playing' || !this.maintenanceSystem) return;
+
+    // Contacts from below are the truck settling on the road, not crashes
+    if (event.normal && Math.abs(event.normal.y) > 0.7) return;
+
+    // One crash produces several contact points in quick succession
+    const now = performance.now() / 1000;
+    if (now - this.lastCollisionTime < this.collisionCooldown) return;
+
+    // Closing speed along the contact normal, using pre-step velocity
+    // since the solver has already resolved the contact when this fires
+    const other = event.collidedAgainst;
+    const otherVelocity = other && other.getMotionType() !== BABYLON.PhysicsMotionType.STATIC
+      ? other.getLinearVelocity()
+      : BABYLON.Vector3.Zero();
+    const relative = this.lastVehicleVelocity.subtract(otherVelocity);
+    const impactSpeed = event.normal
+      ? Math.abs(BABYLON.Vector3.Dot(relative, event.normal))
+      : relative.length();
+
+    // Filter out minor scrapes
+    if (impactSpeed < this.minImpactSpeed) return;
+    this.lastCollisionTime = now;
+
+    const impactForce = Math.min(1,
+      (impactSpeed - this.minImpactSpeed) / (this.maxImpactSpeed - this.minImpactSpeed));
+    const impactType = this.getImpactType(event.point);
+
+    this.maintenanceSystem.applyCollisionDamage(impactForce, impactType);
+
+    if (this.jobSystem && this.jobSystem.activeJob) {
+      const cargoDamage = this.jobSystem.applyDamage(impactForce * this.cargoDamagePerImpact);
+      if (cargoDamage >= 0 && this.jobSystem.isCargoLoaded()) {
+        this.notification.show({
+          type: 'warning',
+          title: 'Cargo Damaged',
+          message: `${this.jobSystem.activeJob.cargo.name} damage ${Math.round(cargoDamage)}%`,
+        });
+      }
+    }
+
+    this.input.playCollision(0.3 + impactForce * 0.7);
+    if (this.collisionAudio) {
+      this.collisionAudio.play(impactForce);
+    }
+
+    console.log(`Collision: ${impactType} impact at ${(impactSpeed * 3.6).toFixed(0)} km/h, force ${impactForce.toFixed(2)}`);
+  }
+
+  /**
+   * Classify where a contact point hit the truck
+   * @param {BABYLON.Vector3} point - World-space contact point
+   * @returns {string} - 'frontal', 'rear', 'side' or 'general'
+   */
+  getImpactType(point) {
+    if (!point || !this.vehicleMesh.rotationQuaternion) return 'general';
+
+    // Transform contact point into chassis space (Z+ forward)
+    const invRot = BABYLON.Quaternion.Inverse(this.vehicleMesh.rotationQuaternion);
+    const local = point.subtract(this.vehicleMesh.position);
+    local.rotateByQuaternionToRef(invRot, local);
+
+    // Normalize by chassis half-extents (2.5 wide, 4 long)
+    const along = local.z / 2;
+    const across = local.x / 1.25;
+
+    if (Math.abs(across) > Math.abs(along)) return 'side';
+    return along > 0 ? 'frontal' : 'rear';
+  }
+
+  /**
+   * Refuel at the nearby gas station, filling as much as the player can afford
+   */
+  refuelTruck() {
+    if (this.gameState !== 'playing' || !this.fuelSystem) return;
+
+    if (!this.fuelSystem.canRefuel) {
+      this.notification.showInfo('No Gas Station', 'Drive to a gas station to refuel');
+      return;
+    }
+
+    const litersNeeded = this.fuelSystem.getTankCapacity() - this.fuelSystem.getFuelLevel();
+    if (litersNeeded < 1) {
+      this.notification.showInfo('Tank Full', 'No fuel needed');
+      return;
+    }
+
+    const affordableLiters = Math.floor(this.playerMoney / this.fuelSystem.fuelPrice);
+    if (affordableLiters < 1) {
+      this.notification.show({
+        type: 'error',
+        title: 'Not Enough Money',
+        message: `Fuel costs \u20B1${this.fuelSystem.fuelPrice}/L`,
+      });
+      return;
+    }
+
+    const partial = affordableLiters < litersNeeded;
+    const result = this.fuelSystem.refuel(partial ? affordableLiters : null);
+    if (result.error) return;
+
+    this.playerMoney = Math.max(0, this.playerMoney - result.cost);
+    this.hud.setMoney(this.playerMoney);
+    this.garage.updateBalance(this.playerMoney);
+
+    const stationName = this.fuelSystem.nearGasStation.name;
+    const reason = partial
+      ? `Partial fill: ${Math.round(result.litersAdded)}L at ${stationName}`
+      : `${Math.round(result.litersAdded)}L at ${stationName}`;
+    this.notification.showMoneySpent(result.cost, reason);
+
+    this.startEngine();
+  }
+
+  /**
+   * Start the engine if there is fuel in the tank
+   */
+  startEngine() {
+    if (this.fuelSystem && this.fuelSystem.isEmpty()) return;
+
+    this.engineRunning = true;
+    if (this.drivetrain) this.drivetrain.setRunning(true);
+    if (this.engineAudio && !this.engineAudio.getIsRunning()) {
+      this.engineAudio.start();
+    }
+  }
+
+  /**
+   * Stop the engine (out of fuel)
+   */
+  stopEngine() {
+    this.engineRunning = false;
+    if (this.drivetrain) this.drivetrain.setRunning(false);
+    if (this.engineAudio) {
+      this.engineAudio.stop();
+    }
+  }
+
+  /**
+   * Repair the truck at a service station
+   */
+  repairTruck() {
+    if (this.gameState !== 'playing' || !this.maintenanceSystem) return;
+
+    if (!this.maintenanceSystem.canRepair) {
+      this.notification.showInfo('No Service Station', 'Drive to a service station to repair');
+      return;
+    }
+
+    const cost = this.maintenanceSystem.getTotalRepairCost();
+    if (cost === 0) {
+      this.notification.showInfo('Truck in Good Shape', 'No repairs needed');
+      return;
+    }
+
+    if (cost > this.playerMoney) {
+      this.notification.show({
+        type: 'error',
+        title: 'Not Enough Money',
+        message: `Repairs cost \u20B1${cost.toLocaleString()}`,
+      });
+      return;
+    }
+
+    this.maintenanceSystem.repairAll();
+    this.criticalWarnings.clear();
+    this.playerMoney -= cost;
+    this.hud.setMoney(this.playerMoney);
+    this.garage.updateBalance(this.playerMoney);
+    this.notification.showMoneySpent(cost, `Repairs at ${this.maintenanceSystem.nearServiceStation.name}`);
+  }
+
   /**
    * Setup event listeners
    */
@@ -1127,43 +2088,89 @@ export class BabylonGame {
 
     if (this.gameState !== 'playing') return;
 
+    this.clock.update(deltaTime);
+    if (this.dayNightCycle) this.dayNightCycle.update();
+    if (this.weatherSystem) {
+      this.weatherSystem.update();
+      if (this.rainAudio) this.rainAudio.setIntensity(this.weatherSystem.getRainIntensity());
+    }
+
     this.updateVehicle(deltaTime);
+    if (this.vehicleMesh) this.floatingOrigin.update(this.vehicleMesh.position);
     this.updateCamera(deltaTime);
+    if (this.roadRenderer) this.roadRenderer.update(deltaTime, this.camera.position);
     this.updateHUD();
 
+    // Gameplay below works in absolute world coordinates
+    const truckPos = this.getTruckWorldPosition();
+
     // Update engine audio
-    if (this.engineAudio) {
+    if (this.engineAudio && this.engineRunning && this.drivetrain) {
       const throttle = this.input.getThrottleInput();
-      this.engineAudio.update(this.truckSpeed, throttle, 30);
+      this.engineAudio.update(this.drivetrain.rpm, throttle);
     }
 
     // Update fuel
     if (this.fuelSystem) {
       const throttle = this.input.getThrottleInput();
-      this.fuelSystem.update(this.truckSpeed, throttle, deltaTime);
+      this.fuelSystem.update(this.truckSpeed, throttle, deltaTime, this.roadGrade);
+
+      if (truckPos) {
+        this.fuelSystem.checkNearGasStation(
+          truckPos.x,
+          truckPos.z,
+          this.gasStations
+        );
+      }
+    }
+
+    // Update AI traffic
+    if (this.trafficSystem && truckPos) {
+      this.trafficSystem.update(deltaTime, truckPos);
+    }
+
+    // Update service station proximity
+    if (this.maintenanceSystem && truckPos) {
+      this.maintenanceSystem.checkNearServiceStation(
+        truckPos.x,
+        truckPos.z,
+        this.serviceStations
+      );
     }
 
     // Update radio
     if (this.radioSystem) this.radioSystem.update(deltaTime);
     if (this.radioWidget) this.radioWidget.update();
 
+    // Update turn-by-turn navigation
+    if (this.navigationSystem && this.navigationSystem.isActive() && truckPos) {
+      this.navigationSystem.update(truckPos.x, truckPos.z, deltaTime);
+    }
+
     // Update job system
-    if (this.jobSystem && this.vehicleMesh) {
+    if (this.jobSystem && truckPos) {
       this.jobSystem.update(
-        this.vehicleMesh.position.x,
-        this.vehicleMesh.position.z,
-        deltaTime
+        truckPos.x,
+        truckPos.z,
+        this.truckSpeed
       );
     }
+
+    // Periodic autosave so a crashed tab loses little progress
+    this.autosaveTimer += deltaTime;
+    if (this.autosaveTimer >= this.autosaveInterval) {
+      this.autosave();
+    }
   }
 
   /**
    * Update vehicle physics
    */
   updateVehicle(deltaTime) {
-    if (!this.vehicleMesh || !this.vehicleBody) return;
+    if (!this.vehicleMesh || !this.vehicleBody || !this.vehicleController) return;
 
-    const throttle = this.input.getThrottleInput();
+    // A stopped engine gives no drive force, but brakes and steering still work
+    const throttle = this.engineRunning ? this.input.getThrottleInput() : 0;
     const brake = this.input.getBrakeInput();
     const steering = this.input.getSteeringInput();
     const handbrake = this.input.isHandbrakeActive();
@@ -1172,86 +2179,65 @@ export class BabylonGame {
     const velocity = this.vehicleBody.getLinearVelocity();
     const speed = velocity.length();
     this.truckSpeed = speed;
-
-    // Get forward direction from vehicle mesh (Z+ is forward in Babylon.js)
-    const rotQuat = this.vehicleMesh.rotationQuaternion || BABYLON.Quaternion.FromEulerAngles(
-      this.vehicleMesh.rotation.x,
-      this.vehicleMesh.rotation.y,
-      this.vehicleMesh.rotation.z
-    );
-    const forward = new BABYLON.Vector3(0, 0, 1); // Z+ is forward
-    forward.rotateByQuaternionToRef(rotQuat, forward);
-    forward.y = 0; // Keep horizontal
-    forward.normalize();
-
-    // Engine force - 120 km/h = 33.33 m/s
-    const engineForce = 25000;
-    const maxSpeed = 33.33; // 120 km/h
+    this.lastVehicleVelocity.copyFrom(velocity);
+    const forwardSpeed = this.vehicleController.getForwardSpeed();
+
+    // Grade in the direction of travel (climbing is positive when reversing uphill too)
+    this.roadGrade = this.vehicleController.getGrade() * (forwardSpeed < 0 ? -1 : 1);
+
+    // Damage reduces performance (multipliers are 1.0 for a healthy truck)
+    const maintenance = this.maintenanceSystem;
+    const accelMultiplier = maintenance ? maintenance.getPerformanceMultiplier('acceleration') : 1;
+    const speedMultiplier = maintenance
+      ? maintenance.getPerformanceMultiplier('maxSpeed') * maintenance.getPerformanceMultiplier('topSpeed')
+      : 1;
+    const weather = this.weatherSystem;
+    const brakeMultiplier = (maintenance ? maintenance.getPerformanceMultiplier('braking') : 1)
+      * (weather ? weather.getBrakingMultiplier() : 1);
+    const gripMultiplier = (maintenance ? maintenance.getPerformanceMultiplier('grip') : 1)
+      * (weather ? weather.getGripMultiplier() : 1);
 
     // Wake up physics body if there's any input
     if (throttle > 0 || brake > 0 || Math.abs(steering) > 0.01) {
       this.vehicleBody.setMotionType(BABYLON.PhysicsMotionType.DYNAMIC);
     }
 
-    if (throttle > 0 && speed < maxSpeed) {
-      // Progressive force based on speed (more power at low speed)
-      const speedFactor = 1 - (speed / maxSpeed) * 0.3;
-      const force = forward.scale(throttle * engineForce * speedFactor);
-      this.vehicleBody.applyForce(force, this.vehicleMesh.position);
-    }
+    // Engine and gearbox turn pedals into drive force; top speed comes from gearing
+    const drive = this.drivetrain.update(deltaTime, {
+      throttle,
+      brake,
+      forwardSpeed,
+      torqueMultiplier: accelMultiplier,
+      rpmMultiplier: speedMultiplier,
+    });
 
-    // Braking
-    if (brake > 0) {
-      if (speed > 0.5) {
-        // Brake - apply force opposite to velocity
-        const brakeDir = velocity.clone();
-        brakeDir.normalize();
-        brakeDir.scaleInPlace(-1);
-        const brakeForce = brakeDir.scale(brake * 30000);
-        this.vehicleBody.applyForce(brakeForce, this.vehicleMesh.position);
-      } else {
-        // Reverse (max 30 km/h = 8.33 m/s)
-        const reverseMaxSpeed = 8.33;
-        if (speed < reverseMaxSpeed) {
-          const force = forward.scale(-brake * engineForce * 0.4);
-          this.vehicleBody.applyForce(force, this.vehicleMesh.position);
-        }
-      }
-    }
+    this.vehicleController.update(deltaTime, {
+      steering,
+      driveForce: drive.driveForce,
+      brakeForce: drive.brake * this.vehicleController.mass * 15 * brakeMultiplier,
+      handbrake,
+      grip: gripMultiplier,
+    });
 
-    // Handbrake
-    if (handbrake && speed > 0.1) {
-      const currentVel = this.vehicleBody.getLinearVelocity();
-      this.vehicleBody.setLinearVelocity(currentVel.scale(0.85));
+    // Trailer brakes follow the truck's pedal
+    if (this.trailerSystem) {
+      this.trailerSystem.update(deltaTime, {
+        brakeDecel: drive.brake * 15 * brakeMultiplier,
+        grip: gripMultiplier,
+      });
     }
 
-    // Improved steering with smoother response
-    const currentAngVel = this.vehicleBody.getAngularVelocity();
-
-    if (Math.abs(steering) > 0.01 && speed > 0.5) {
-      // Steering rate decreases at higher speeds for stability
-      // Max turn rate ~1.2 rad/s at low speed, ~0.4 rad/s at max speed
-      const speedFactor = Math.max(0.35, 1 - (speed / maxSpeed) * 0.7);
-      const targetSteerRate = steering * 1.2 * speedFactor;
-
-      // Smooth interpolation towards target steering (prevents jerky turns)
-      const currentYaw = currentAngVel.y;
-      const steerRate = currentYaw + (targetSteerRate - currentYaw) * 0.15;
-
-      this.vehicleBody.setAngularVelocity(new BABYLON.Vector3(
-        currentAngVel.x * 0.9,
-        steerRate,
-        currentAngVel.z * 0.9
-      ));
-    } else if (speed > 0.5) {
-      // Auto-center when no steering input - gradual return to straight
-      this.vehicleBody.setAngularVelocity(new BABYLON.Vector3(
-        currentAngVel.x * 0.9,
-        currentAngVel.y * 0.92, // Gentle damping for smooth centering
-        currentAngVel.z * 0.9
-      ));
+    // Wear components based on distance driven
+    if (maintenance) {
+      maintenance.updateWear((speed * deltaTime) / 1000, {
+        speed: speed * 3.6,
+        braking: brake > 0 && speed > 0.5,
+        rain: weather ? weather.isRaining() : false,
+      });
     }
 
+    this.recoverIfFlipped(deltaTime, speed);
+
     // Sync visual container with physics body
     if (this.vehicleContainer) {
       this.vehicleContainer.position.copyFrom(this.vehicleMesh.position);
@@ -1259,35 +2245,35 @@ export class BabylonGame {
         this.vehicleContainer.rotationQuaternion = this.vehicleMesh.rotationQuaternion.clone();
       }
     }
+  }
 
-    // Animate wheel rotation based on speed (only for fallback wheels)
-    if (this.wheelMeshes.length > 0) {
-      const wheelRadius = 0.4;
-      const wheelRotationSpeed = speed / wheelRadius * deltaTime;
-      for (const wheelData of this.wheelMeshes) {
-        // Rotate wheel around X axis (forward roll)
-        wheelData.mesh.rotation.x += wheelRotationSpeed;
-
-        // Front wheels also turn for steering
-        if (wheelData.isFront) {
-          wheelData.mesh.rotation.y = -steering * 0.5;
-        }
-      }
+  /**
+   * Put the truck back on its wheels after it has lain on its side for a while
+   * @param {number} deltaTime
+   * @param {number} speed - m/s
+   */
+  recoverIfFlipped(deltaTime, speed) {
+    const stuck = this.vehicleController.getUprightness() < 0.3 && speed < 2;
+    this.flippedTime = stuck ? this.flippedTime + deltaTime : 0;
+    if (this.flippedTime < 3) return;
+
+    // Keep heading, drop pitch and roll, lift clear of the ground
+    const rotation = this.vehicleMesh.rotationQuaternion || BABYLON.Quaternion.Identity();
+    const forward = BABYLON.Vector3.Forward().rotateByQuaternionToRef(rotation, new BABYLON.Vector3());
+    const heading = Math.atan2(forward.x, forward.z);
+
+    this.vehicleMesh.position.y += 2;
+    this.vehicleMesh.rotationQuaternion = BABYLON.Quaternion.RotationYawPitchRoll(heading, 0, 0);
+    this.vehicleBody.setLinearVelocity(BABYLON.Vector3.Zero());
+    this.vehicleBody.setAngularVelocity(BABYLON.Vector3.Zero());
+    this.vehicleController.reset();
+    this.flippedTime = 0;
+
+    if (this.trailerSystem && this.trailerSystem.hitchedTrailer) {
+      this.trailerSystem.placeOnFifthWheel(this.trailerSystem.hitchedTrailer);
     }
 
-    // Keep upright - limit rotation on X and Z axes
-    if (this.vehicleMesh.rotationQuaternion) {
-      const euler = this.vehicleMesh.rotationQuaternion.toEulerAngles();
-      if (Math.abs(euler.x) > 0.3 || Math.abs(euler.z) > 0.3) {
-        // Apply corrective angular velocity
-        const angVel = this.vehicleBody.getAngularVelocity();
-        this.vehicleBody.setAngularVelocity(new BABYLON.Vector3(
-          angVel.x * 0.8 - euler.x * 2,
-          angVel.y,
-          angVel.z * 0.8 - euler.z * 2
-        ));
-      }
-    }
+    this.notification.showInfo('Truck Recovered', 'Your truck was put back on its wheels');
   }
 
   /**
@@ -1342,6 +2328,24 @@ export class BabylonGame {
         break;
       }
     }
+
+    // 3D sounds are heard from the camera
+    if (this.audio) {
+      this.audio.setListenerPosition(
+        this.camera.position.clone(),
+        this.camera.getDirection(BABYLON.Axis.Z),
+        this.camera.upVector
+      );
+    }
+  }
+
+  /**
+   * Truck position in absolute world coordinates
+   * @returns {BABYLON.Vector3|null}
+   */
+  getTruckWorldPosition() {
+    if (!this.vehicleMesh) return null;
+    return this.floatingOrigin.toWorld(this.vehicleMesh.position);
   }
 
   /**
@@ -1351,21 +2355,47 @@ export class BabylonGame {
     if (!this.hud) return;
 
     this.hud.setSpeed(this.truckSpeed);
+    this.hud.setTime(this.getHour());
+
+    if (this.drivetrain) {
+      const dt = this.drivetrain;
+      this.hud.setEngine(dt.rpm, dt.maxRpm, dt.getGearLabel(), dt.mode === TransmissionMode.MANUAL, dt.revLimited);
+    }
 
     if (this.fuelSystem) {
       this.hud.setFuel(this.fuelSystem.getFuelPercent() * 100);
     }
 
+    if (this.maintenanceSystem) {
+      this.hud.setDamage(100 - this.maintenanceSystem.getOverallCondition());
+    }
+
+    const nav = this.navigationSystem;
+    const next = nav && nav.isActive() ? nav.getNextManeuver() : null;
+    if (next) {
+      this.hud.setNavigation(nav.getIcon(next.maneuver), next.distance, nav.getInstruction(next.maneuver));
+      this.hud.updateJobDistance(nav.getRemainingDistance());
+    } else {
+      this.hud.clearNavigation();
+    }
+
+    // Loading and unloading progress
+    const job = this.jobSystem ? this.jobSystem.activeJob : null;
+    if (job && (job.stage === JobStage.LOADING || job.stage === JobStage.UNLOADING)) {
+      this.hud.setJobInfo(job, this.getJobDeadlineText());
+    }
+
     if (this.vehicleMesh) {
-      this.hud.setLocation(this.vehicleMesh.position.x, this.vehicleMesh.position.z);
+      const pos = this.getTruckWorldPosition();
+      this.hud.setLocation(pos.x, pos.z);
 
       if (this.miniMap) {
         const rot = this.vehicleMesh.rotationQuaternion
           ? this.vehicleMesh.rotationQuaternion.toEulerAngles().y
           : this.vehicleMesh.rotation.y;
         this.miniMap.setPlayerPosition(
-          this.vehicleMesh.position.x,
-          this.vehicleMesh.position.z,
+          pos.x,
+          pos.z,
           rot
         );
         this.miniMap.render();
@@ -0,0 +1,110 @@
+/**
+ * FloatingOrigin - Keeps the rendered world close to (0, 0, 0)
+ *
+ * Map coordinates run to ~120 km, where float32 positions on the GPU and in
+ * Havok lose centimetres and the truck, camera and props visibly jitter.
+ * When the focus (the truck) strays too far from the scene origin, every root
+ * node, physics body and particle emitter is moved back by the same amount and
+ * the offset is remembered. Gameplay systems keep absolute world coordinates
+ * and convert with toWorld()/toLocal() where they meet scene positions.
+ */
+
+import * as BABYLON from '@babylonjs/core';
+
+export class FloatingOrigin {
+  constructor(scene) {
+    this.scene = scene;
+
+    // World position of the scene origin (Y never shifts)
+    this.offset = new BABYLON.Vector3(0, 0, 0);
+
+    // Re-centre once the focus is this far from the origin (meters)
+    this.threshold = 1000;
+
+    // Callbacks
+    this.onShift = null;
+  }
+
+  /**
+   * Convert a scene position to absolute world coordinates
+   * @param {{x: number, y: number, z: number}} position
+   * @returns {BABYLON.Vector3}
+   */
+  toWorld(position) {
+    return new BABYLON.Vector3(position.x + this.offset.x, position.y, position.z + this.offset.z);
+  }
+
+  /**
+   * Convert absolute world coordinates to a scene position
+   * @param {{x: number, y: number, z: number}} position
+   * @returns {BABYLON.Vector3}
+   */
+  toLocal(position) {
+    return new BABYLON.Vector3(position.x - this.offset.x, position.y, position.z - this.offset.z);
+  }
+
+  /**
+   * Re-centre the world if the focus has moved too far from the origin
+   * @param {BABYLON.Vector3} focus - Scene position to keep near the origin
+   * @returns {boolean} True if the world was shifted
+   */
+  update(focus) {
+    if (Math.abs(focus.x) < this.threshold && Math.abs(focus.z) < this.threshold) return false;
+    this.shift(Math.round(focus.x), Math.round(focus.z));
+    return true;
+  }
+
+  /**
+   * Move the scene origin by (dx, dz) so everything in the scene moves by (-dx, -dz)
+   * @param {number} dx
+   * @param {number} dz
+   */
+  shift(dx, dz) {
+    if (dx === 0 && dz === 0) return;
+
+    for (const node of this.scene.rootNodes) {
+      if (!(node.position instanceof BABYLON.Vector3)) continue;
+
+      // Static terrain and colliders have frozen matrices that must be rebuilt
+      const frozen = node.isWorldMatrixFrozen;
+      if (frozen) node.unfreezeWorldMatrix();
+      node.position.x -= dx;
+      node.position.z -= dz;
+      if (frozen) node.freezeWorldMatrix();
+    }
+
+    for (const particles of this.scene.particleSystems) {
+      if (particles.emitter instanceof BABYLON.Vector3) {
+        particles.emitter.x -= dx;
+        particles.emitter.z -= dz;
+      }
+    }
+
+    // Bodies follow their moved nodes on the next physics step
+    const physicsEngine = this.scene.getPhysicsEngine();
+    if (physicsEngine) {
+      const bodies = physicsEngine.getBodies();
+      const preStepDisabled = bodies.map(body => body.disablePreStep);
+      bodies.forEach(body => { body.disablePreStep = false; });
+      this.scene.onAfterPhysicsObservable.addOnce(() => {
+        bodies.forEach((body, i) => { body.disablePreStep = preStepDisabled[i]; });
+      });
+    }
+
+    this.offset.x += dx;
+    this.offset.z += dz;
+
+    console.log(`Floating origin shifted to (${this.offset.x.toFixed(0)}, ${this.offset.z.toFixed(0)})`);
+
+    if (this.onShift) {
+      this.onShift(dx, dz);
+    }
+  }
+
+  /**
+   * Move the origin back to absolute (0, 0)
+   */
+  reset() {
+    this.shift(-this.offset.x, -this.offset.z);
+  }
+}
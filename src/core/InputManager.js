@@ -34,6 +34,10 @@ export const InputAction = {
   REFUEL: 'refuel',
   WEATHER_CYCLE: 'weatherCycle',
   REPAIR: 'repair',
+  SHIFT_UP: 'shiftUp',
+  SHIFT_DOWN: 'shiftDown',
+  TRANSMISSION_MODE: 'transmissionMode',
+  HITCH: 'hitch',
 };
 
 // Default gamepad button/axis mappings (standard gamepad layout)
@@ -74,6 +78,9 @@ const DEFAULT_GAMEPAD_MAPPINGS = {
     [GAMEPAD_BUTTONS.RB]: InputAction.CAMERA_NEXT,
     [GAMEPAD_BUTTONS.START]: InputAction.PAUSE,
     [GAMEPAD_BUTTONS.BACK]: InputAction.TOGGLE_MAP,
+    [GAMEPAD_BUTTONS.X]: InputAction.SHIFT_UP,
+    [GAMEPAD_BUTTONS.LB]: InputAction.SHIFT_DOWN,
+    [GAMEPAD_BUTTONS.DPAD_DOWN]: InputAction.HITCH,
   },
   // Axes mapped to actions (value threshold for activation)
   axes: {
@@ -114,6 +121,10 @@ const DEFAULT_KEY_BINDINGS = {
   'KeyF': InputAction.REFUEL,
   'KeyP': InputAction.WEATHER_CYCLE,
   'KeyN': InputAction.REPAIR,
+  'KeyE': InputAction.SHIFT_UP,
+  'KeyQ': InputAction.SHIFT_DOWN,
+  'KeyT': InputAction.TRANSMISSION_MODE,
+  'KeyU': InputAction.HITCH,
 };
 
 export class InputManager {
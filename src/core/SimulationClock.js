@@ -0,0 +1,165 @@
+/**
+ * SimulationClock - In-game time shared by all gameplay systems
+ *
+ * Advanced once per frame by BabylonGame.update(), so it stands still while
+ * the game is paused, a menu is open or the tab is hidden. Time is counted
+ * in game seconds since midnight of day 0 and runs `timeScale` times faster
+ * than real time. The time scale is a player setting, kept outside saves.
+ */
+
+const SECONDS_PER_DAY = 24 * 3600;
+
+// Default game seconds per real second (one in-game minute per second)
+export const DEFAULT_TIME_SCALE = 60;
+
+/**
+ * Format a game time as a 24-hour clock
+ * @param {number} time - Game seconds
+ * @returns {string} e.g. "16:30"
+ */
+export function formatClockTime(time) {
+  const seconds = ((time % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Format a game-time span in hours and minutes
+ * @param {number} seconds - Game seconds
+ * @returns {string} e.g. "5 h 30 min"
+ */
+export function formatDuration(seconds) {
+  const totalMinutes = Math.max(0, Math.round(seconds / 60));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `${minutes} min`;
+  return minutes > 0 ? `${hours} h ${minutes} min` : `${hours} h`;
+}
+
+export class SimulationClock {
+  constructor() {
+    // Game seconds since midnight of day 0 (starts at 10:00)
+    this.time = 10 * 3600;
+
+    // Game seconds per real second
+    this.timeScale = DEFAULT_TIME_SCALE;
+
+    // Game seconds added by the last update, and the real seconds they took
+    this.delta = 0;
+    this.realDelta = 0;
+
+    // Longest real frame counted (seconds), so a stall doesn't skip hours
+    this.maxFrameTime = 0.25;
+  }
+
+  /**
+   * Advance the clock by one frame
+   * @param {number} deltaTime - Real time since last frame in seconds
+   * @returns {number} Game seconds that passed
+   */
+  update(deltaTime) {
+    this.realDelta = Math.min(deltaTime, this.maxFrameTime);
+    this.delta = this.realDelta * this.timeScale;
+    this.time += this.delta;
+    return this.delta;
+  }
+
+  /**
+   * Current game time
+   * @returns {number} Game seconds
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Hour of the current day (0-24, fractional)
+   * @returns {number}
+   */
+  getHour() {
+    return (this.time % SECONDS_PER_DAY) / 3600;
+  }
+
+  /**
+   * Day number since the start (0 on the first day)
+   * @returns {number}
+   */
+  getDay() {
+    return Math.floor(this.time / SECONDS_PER_DAY);
+  }
+
+  /**
+   * Jump to an hour of the current day
+   * @param {number} hour - 0 to 24
+   */
+  setHour(hour) {
+    const wrapped = ((hour % 24) + 24) % 24;
+    this.time = this.getDay() * SECONDS_PER_DAY + wrapped * 3600;
+  }
+
+  /**
+   * Set time scale
+   * @param {number} scale - Game seconds per real second
+   */
+  setTimeScale(scale) {
+    this.timeScale = Math.max(0, scale);
+  }
+
+  /**
+   * Describe a future game time relative to today, e.g. "16:30" or "16:30 (+1 day)"
+   * @param {number} time - Game seconds
+   * @returns {string}
+   */
+  formatArrival(time) {
+    const days = Math.floor(time / SECONDS_PER_DAY) - this.getDay();
+    if (days <= 0) return formatClockTime(time);
+    return `${formatClockTime(time)} (+${days} day${days > 1 ? 's' : ''})`;
+  }
+
+  /**
+   * Save time scale to localStorage
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem('mts_time_settings', JSON.stringify({ timeScale: this.timeScale }));
+    } catch (e) {
+      console.warn('Failed to save time settings:', e);
+    }
+  }
+
+  /**
+   * Load time scale from localStorage
+   */
+  loadSettings() {
+    try {
+      const saved = localStorage.getItem('mts_time_settings');
+      if (saved) {
+        const { timeScale } = JSON.parse(saved);
+        if (typeof timeScale === 'number') this.setTimeScale(timeScale);
+      }
+    } catch (e) {
+      console.warn('Failed to load time settings:', e);
+    }
+  }
+
+  /**
+   * Get save data
+   * @returns {Object}
+   */
+  getSaveData() {
+    return {
+      time: this.time,
+    };
+  }
+
+  /**
+   * Load save data
+   * @param {Object} data
+   */
+  loadSaveData(data) {
+    if (typeof data.time === 'number') {
+      this.time = Math.max(0, data.time);
+    }
+  }
+}
@@ -504,7 +504,9 @@ export class AudioManager {
       pannerNode,
       category,
       isPlaying: true,
+      position: { x: position.x, y: position.y, z: position.z },
       setPosition: (pos) => {
+        handle.position = { x: pos.x, y: pos.y, z: pos.z };
         if (pannerNode.positionX) {
           pannerNode.positionX.setValueAtTime(pos.x, this.audioContext.currentTime);
           pannerNode.positionY.setValueAtTime(pos.y, this.audioContext.currentTime);
@@ -560,6 +562,20 @@ export class AudioManager {
     this.spatial3DSounds.clear();
   }
 
+  /**
+   * Move the listener and 3D sounds with a floating-origin shift
+   * @param {number} dx - Origin shift along X (positions move by -dx)
+   * @param {number} dz - Origin shift along Z (positions move by -dz)
+   */
+  shiftOrigin(dx, dz) {
+    const { x, y, z } = this.listenerPosition;
+    this.setListenerPosition({ x: x - dx, y, z: z - dz });
+
+    for (const handle of this.spatial3DSounds.values()) {
+      handle.setPosition({ x: handle.position.x - dx, y: handle.position.y, z: handle.position.z - dz });
+    }
+  }
+
   /**
    * Get distance from listener to a position
    * @param {Object} position - {x, y, z}
@@ -603,6 +619,7 @@ export const GameSounds = {
   WIND: 'wind',
   NATURE: 'nature',
   TRAFFIC: 'traffic',
+  RAIN: 'rain',
 
   // UI
   UI_CLICK: 'ui_click',
@@ -711,26 +728,32 @@ export class EngineAudio {
   }
 
   /**
-   * Update engine audio based on speed and throttle
-   * @param {number} speed - Current speed in m/s
+   * Set the engine's RPM range used to map RPM onto pitch
+   * @param {number} minRpm - Idle RPM
+   * @param {number} maxRpm - Rev limit
+   */
+  setRpmRange(minRpm, maxRpm) {
+    this.minRpm = minRpm;
+    this.maxRpm = maxRpm;
+  }
+
+  /**
+   * Update engine audio from the drivetrain
+   * @param {number} rpm - Engine RPM
    * @param {number} throttle - Throttle input (0-1)
-   * @param {number} maxSpeed - Maximum speed in m/s
    */
-  update(speed, throttle, maxSpeed = 30) {
+  update(rpm, throttle) {
     if (!this.isRunning) return;
 
-    // Calculate target RPM based on speed and throttle
-    const speedFactor = Math.min(speed / maxSpeed, 1);
-    const throttleFactor = throttle * 0.3; // Throttle adds some RPM
-
-    // RPM follows speed primarily, with throttle adding responsiveness
-    this.targetRpm = this.minRpm + (this.maxRpm - this.minRpm) * (speedFactor * 0.7 + throttleFactor);
+    this.targetRpm = rpm;
 
-    // Smoothly interpolate to target RPM
-    this.currentRpm += (this.targetRpm - this.currentRpm) * 0.1;
+    // Smooth out clutch and limiter steps
+    this.currentRpm += (this.targetRpm - this.currentRpm) * 0.3;
 
-    // Calculate normalized RPM (0-1)
-    const rpmNormalized = (this.currentRpm - this.minRpm) / (this.maxRpm - this.minRpm);
+    // Calculate normalized RPM (0-1), with load making it a little louder
+    const rpmNormalized = Math.max(0, Math.min(1,
+      (this.currentRpm - this.minRpm) / (this.maxRpm - this.minRpm) + throttle * 0.1
+    ));
 
     // Update idle loop - quieter at higher RPM
     if (this.idleLoop) {
@@ -847,3 +870,199 @@ export class HornAudio {
     setTimeout(() => this.stop(), duration);
   }
 }
+
+/**
+ * CollisionAudio - Synthesizes an impact thud using Web Audio API
+ */
+export class CollisionAudio {
+  constructor(audioManager) {
+    this.audio = audioManager;
+    this.noiseBuffer = null;
+  }
+
+  /**
+   * Create a short white noise buffer for the crunch layer
+   * @returns {AudioBuffer}
+   */
+  getNoiseBuffer() {
+    if (this.noiseBuffer) return this.noiseBuffer;
+
+    const ctx = this.audio.audioContext;
+    const length = Math.floor(ctx.sampleRate * 0.4);
+    this.noiseBuffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    const data = this.noiseBuffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    return this.noiseBuffer;
+  }
+
+  /**
+   * Play an impact sound
+   * @param {number} intensity - Impact intensity (0-1)
+   */
+  play(intensity) {
+    if (!this.audio.isInitialized()) return;
+
+    const ctx = this.audio.audioContext;
+    const sfxGain = this.audio.categoryGains.get(AudioCategory.SFX);
+    const now = ctx.currentTime;
+    const strength = Math.max(0.1, Math.min(1, intensity));
+
+    // Master envelope - harder hits are louder and ring longer
+    const gainNode = ctx.createGain();
+    const decay = 0.15 + strength * 0.35;
+    gainNode.gain.setValueAtTime(0.3 + strength * 0.5, now);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, now + decay);
+    gainNode.connect(sfxGain || this.audio.masterGain);
+
+    // Low thump - pitch drops quickly like a body panel hit
+    const thump = ctx.createOscillator();
+    thump.type = 'sine';
+    thump.frequency.setValueAtTime(90 + strength * 40, now);
+    thump.frequency.exponentialRampToValueAtTime(40, now + decay);
+    thump.connect(gainNode);
+    thump.start(now);
+    thump.stop(now + decay);
+
+    // Filtered noise crunch
+    const noise = ctx.createBufferSource();
+    noise.buffer = this.getNoiseBuffer();
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(800 + strength * 2400, now);
+    const noiseGain = ctx.createGain();
+    noiseGain.gain.value = 0.4 * strength;
+    noise.connect(filter);
+    filter.connect(noiseGain);
+    noiseGain.connect(gainNode);
+    noise.start(now);
+    noise.stop(now + decay);
+  }
+}
+
+/**
+ * RainAudio - Synthesized rain ambience played as an AudioManager loop
+ */
+export class RainAudio {
+  constructor(audioManager) {
+    this.audio = audioManager;
+    this.loop = null;
+    this.maxVolume = 0.6;
+  }
+
+  /**
+   * Generate a few seconds of filtered noise that loops seamlessly
+   * @returns {AudioBuffer}
+   */
+  createBuffer() {
+    const ctx = this.audio.audioContext;
+    const length = ctx.sampleRate * 3;
+    const buffer = ctx.createBuffer(2, length, ctx.sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+      const data = buffer.getChannelData(channel);
+      let low = 0;
+      for (let i = 0; i < length; i++) {
+        const white = Math.random() * 2 - 1;
+        // Mix a soft low rumble with high hiss, plus sparse droplet ticks
+        low = low * 0.97 + white * 0.03;
+        const tick = Math.random() < 0.0008 ? white * 0.8 : 0;
+        data[i] = low * 2.5 + white * 0.25 + tick;
+      }
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Set rain loudness, starting or stopping the loop as needed
+   * @param {number} intensity - Rain intensity (0-1)
+   */
+  setIntensity(intensity) {
+    if (!this.audio.isInitialized()) return;
+
+    if (intensity > 0.02) {
+      if (!this.loop) {
+        if (!this.audio.buffers.has(GameSounds.RAIN)) {
+          this.audio.buffers.set(GameSounds.RAIN, this.createBuffer());
+        }
+        this.loop = this.audio.playLoop(GameSounds.RAIN, {
+          category: AudioCategory.AMBIENT,
+          volume: 0,
+        });
+      }
+      if (this.loop) {
+        this.loop.setVolume(intensity * this.maxVolume);
+      }
+    } else if (this.loop) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Stop the rain loop
+   */
+  stop() {
+    if (this.loop) {
+      this.loop.stop();
+      this.loop = null;
+    }
+  }
+}
+
+/**
+ * NavigationAudio - GPS prompt chime with spoken instructions
+ */
+export class NavigationAudio {
+  constructor(audioManager) {
+    this.audio = audioManager;
+    this.voiceEnabled = typeof window !== 'undefined' && 'speechSynthesis' in window;
+  }
+
+  /**
+   * Play a two-tone chime
+   */
+  chime() {
+    if (!this.audio.isInitialized()) return;
+
+    const ctx = this.audio.audioContext;
+    const uiGain = this.audio.categoryGains.get(AudioCategory.UI);
+    const now = ctx.currentTime;
+
+    [880, 1320].forEach((freq, i) => {
+      const start = now + i * 0.12;
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.type = 'sine';
+      osc.frequency.setValueAtTime(freq, start);
+      gain.gain.setValueAtTime(0, start);
+      gain.gain.linearRampToValueAtTime(0.25, start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+      osc.connect(gain);
+      gain.connect(uiGain || this.audio.masterGain);
+      osc.start(start);
+      osc.stop(start + 0.3);
+    });
+  }
+
+  /**
+   * Chime and speak a navigation prompt
+   * @param {string} text
+   */
+  announce(text) {
+    this.chime();
+
+    if (!this.voiceEnabled) return;
+
+    // Match the UI volume so muting UI sounds also mutes the voice
+    const volume = this.audio.getVolume(AudioCategory.MASTER) * this.audio.getVolume(AudioCategory.UI);
+    if (volume <= 0) return;
+
+    window.speechSynthesis.cancel();
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.volume = volume;
+    utterance.rate = 1.05;
+    window.speechSynthesis.speak(utterance);
+  }
+}
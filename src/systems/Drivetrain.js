@@ -0,0 +1,359 @@
+/**
+ * Drivetrain - Engine, clutch and gearbox model for the player truck
+ *
+ * Turns pedal input into drive force at the wheels from a diesel torque
+ * curve, engine RPM and gear ratios. Supports automatic shifting and a
+ * manual mode, with a rev limiter and engine braking.
+ */
+
+export const TransmissionMode = {
+  AUTOMATIC: 'automatic',
+  MANUAL: 'manual',
+};
+
+// Gear indices
+export const Gear = {
+  REVERSE: -1,
+  NEUTRAL: 0,
+};
+
+// Diesel torque curve as fraction of peak torque by fraction of max RPM
+const TORQUE_CURVE = [
+  { rpm: 0.0, torque: 0.5 },
+  { rpm: 0.3, torque: 0.75 },
+  { rpm: 0.5, torque: 1.0 },
+  { rpm: 0.7, torque: 0.97 },
+  { rpm: 0.85, torque: 0.85 },
+  { rpm: 1.0, torque: 0.7 },
+];
+
+// Used when a truck spec doesn't list its own gearbox
+const DEFAULT_GEARBOX = {
+  gearRatios: [6.8, 4.6, 3.2, 2.3, 1.65, 1.25, 1.0],
+  reverseRatio: 6.2,
+  idleRpm: 650,
+  maxRpm: 2500,
+};
+
+const HP_TO_WATTS = 745.7;
+
+export class Drivetrain {
+  /**
+   * @param {Object} specs - Truck specs (enginePower hp, maxSpeed km/h, optional gearbox)
+   * @param {number} wheelRadius - Driven wheel radius in meters
+   */
+  constructor(specs, wheelRadius) {
+    this.wheelRadius = wheelRadius;
+
+    this.mode = TransmissionMode.AUTOMATIC;
+    this.gear = 1;
+    this.rpm = 0;
+    this.running = true;
+
+    // Clutch and shifting
+    this.clutch = 1; // 0 disengaged, 1 fully engaged
+    this.shiftTime = 0.4; // seconds with the clutch out during a shift
+    this.shiftTimer = 0;
+    this.pendingGear = null;
+    this.timeSinceShift = 0;
+
+    // Engine behaviour
+    this.efficiency = 0.9; // Losses between flywheel and wheels
+    this.engineBrakeFactor = 0.2; // Share of peak torque resisting at max RPM off throttle
+    this.revLimited = false;
+    this.revResponse = 4; // How fast free-revving RPM settles (1/s)
+
+    this.setSpecs(specs);
+  }
+
+  /**
+   * Apply truck specs (engine power, top speed and gearbox)
+   * @param {Object} specs
+   */
+  setSpecs(specs) {
+    const gearbox = { ...DEFAULT_GEARBOX, ...(specs.gearbox || {}) };
+    this.gearRatios = gearbox.gearRatios;
+    this.reverseRatio = gearbox.reverseRatio;
+    this.idleRpm = gearbox.idleRpm;
+    this.maxRpm = gearbox.maxRpm;
+
+    // Peak power is reached around 80% of max RPM
+    const powerRpm = this.maxRpm * 0.8;
+    const powerTorque = (specs.enginePower * HP_TO_WATTS) / ((powerRpm * 2 * Math.PI) / 60);
+    this.peakTorque = powerTorque / this.sampleTorqueCurve(0.8);
+
+    // Final drive puts top speed at max RPM in top gear
+    const topSpeed = specs.maxSpeed / 3.6;
+    const topRatio = this.gearRatios[this.gearRatios.length - 1];
+    const maxWheelRpm = (topSpeed / this.wheelRadius) * 60 / (2 * Math.PI);
+    this.finalDrive = this.maxRpm / (maxWheelRpm * topRatio);
+
+    this.gear = Math.min(this.gear, this.gearRatios.length);
+  }
+
+  /**
+   * Advance the drivetrain
+   * @param {number} deltaTime - Seconds
+   * @param {Object} input
+   * @param {number} input.throttle - 0 to 1
+   * @param {number} input.brake - 0 to 1
+   * @param {number} input.forwardSpeed - Truck speed along its heading (m/s)
+   * @param {number} [input.torqueMultiplier] - Damage or wear scaling of engine torque
+   * @param {number} [input.rpmMultiplier] - Damage scaling of usable RPM range
+   * @returns {{driveForce: number, brake: number}} Force at the driven wheels (N) and service brake pedal
+   */
+  update(deltaTime, input) {
+    const { forwardSpeed } = input;
+    let throttle = input.throttle;
+    let brake = input.brake;
+
+    this.timeSinceShift += deltaTime;
+
+    // Arcade pedals in automatic: brake pedal reverses once stopped
+    if (this.mode === TransmissionMode.AUTOMATIC) {
+      if (this.gear === Gear.REVERSE) {
+        if (throttle > 0 && forwardSpeed > -0.5) {
+          this.shiftTo(1);
+        } else {
+          // Brake pedal is the accelerator going backwards, throttle brakes
+          [throttle, brake] = [brake, throttle];
+        }
+      } else if (brake > 0 && throttle === 0 && forwardSpeed < 0.5) {
+        this.shiftTo(Gear.REVERSE);
+      } else if (this.gear === Gear.NEUTRAL && throttle > 0) {
+        this.shiftTo(1);
+      }
+    }
+
+    this.updateShift(deltaTime);
+
+    // Usable RPM shrinks with engine damage
+    const rpmMultiplier = input.rpmMultiplier ?? 1;
+    const limitRpm = this.idleRpm + (this.maxRpm - this.idleRpm) * rpmMultiplier;
+
+    if (!this.running) {
+      this.rpm = Math.max(0, this.rpm - 1500 * deltaTime);
+      this.revLimited = false;
+      return { driveForce: 0, brake };
+    }
+
+    const ratio = this.getCurrentRatio();
+    const wheelRpm = (Math.abs(forwardSpeed) / this.wheelRadius) * 60 / (2 * Math.PI);
+    const drivenRpm = wheelRpm * Math.abs(ratio) * this.finalDrive;
+
+    // Clutch slips below this RPM so the truck can pull away without stalling
+    const engageRpm = this.idleRpm * 1.6;
+    const freeRpm = this.idleRpm + throttle * (limitRpm - this.idleRpm);
+
+    if (ratio === 0 || this.shiftTimer > 0) {
+      // Clutch out: engine revs freely
+      this.clutch = 0;
+      this.rpm += (freeRpm - this.rpm) * Math.min(1, this.revResponse * deltaTime);
+    } else if (drivenRpm < engageRpm) {
+      // Launch: clutch slips between engine and wheels
+      this.clutch = drivenRpm / engageRpm;
+      const launchRpm = this.idleRpm + throttle * (engageRpm * 1.3 - this.idleRpm);
+      this.rpm = Math.max(drivenRpm, launchRpm);
+    } else {
+      this.clutch = 1;
+      this.rpm = drivenRpm;
+    }
+
+    // Rev limiter cuts fuel above the limit
+    this.revLimited = this.rpm >= limitRpm;
+    if (this.revLimited && this.clutch === 0) {
+      this.rpm = limitRpm;
+    }
+
+    if (this.mode === TransmissionMode.AUTOMATIC) {
+      this.updateAutomatic(throttle, forwardSpeed);
+    }
+
+    // Engine torque at the flywheel
+    let torque = 0;
+    const rpmFraction = Math.min(1, this.rpm / this.maxRpm);
+    if (throttle > 0 && !this.revLimited) {
+      torque = throttle * this.peakTorque * this.sampleTorqueCurve(rpmFraction) * (input.torqueMultiplier ?? 1);
+    } else if (throttle === 0 && this.clutch === 1) {
+      // Engine braking grows with RPM
+      const excess = Math.max(0, (this.rpm - this.idleRpm) / (this.maxRpm - this.idleRpm));
+      torque = -this.peakTorque * this.engineBrakeFactor * excess;
+    }
+
+    // Slipping clutch still transmits the engine's torque while launching
+    const transmitted = torque * (torque > 0 ? 1 : this.clutch);
+    let driveForce = (transmitted * ratio * this.finalDrive * this.efficiency) / this.wheelRadius;
+
+    // Engine braking resists the direction of travel rather than pushing backwards
+    if (torque < 0) {
+      driveForce = -Math.sign(forwardSpeed) * Math.abs(driveForce);
+    }
+
+    return { driveForce, brake };
+  }
+
+  /**
+   * Pick gears automatically from RPM and throttle
+   * @param {number} throttle
+   * @param {number} forwardSpeed
+   */
+  updateAutomatic(throttle, forwardSpeed) {
+    if (this.gear < 1 || this.shiftTimer > 0 || this.timeSinceShift < 1.0) return;
+
+    // Light throttle shifts early, full throttle holds gears longer
+    const upshiftRpm = this.maxRpm * (0.6 + throttle * 0.3);
+    const downshiftRpm = this.maxRpm * (0.35 + throttle * 0.15);
+
+    if (this.rpm > upshiftRpm && this.gear < this.gearRatios.length && forwardSpeed > 1) {
+      this.shiftTo(this.gear + 1);
+    } else if (this.gear > 1 && this.rpm < downshiftRpm) {
+      // Only drop a gear if it won't over-rev
+      const lowerRpm = this.rpm * (this.gearRatios[this.gear - 2] / this.gearRatios[this.gear - 1]);
+      if (lowerRpm < upshiftRpm) {
+        this.shiftTo(this.gear - 1);
+      }
+    }
+  }
+
+  /**
+   * Complete a pending shift once the clutch has been out long enough
+   * @param {number} deltaTime
+   */
+  updateShift(deltaTime) {
+    if (this.shiftTimer <= 0) return;
+
+    this.shiftTimer -= deltaTime;
+    if (this.shiftTimer <= 0) {
+      this.shiftTimer = 0;
+      this.gear = this.pendingGear;
+      this.pendingGear = null;
+      this.timeSinceShift = 0;
+    }
+  }
+
+  /**
+   * Begin a shift to a gear
+   * @param {number} gear - Gear.REVERSE, Gear.NEUTRAL or 1..n
+   */
+  shiftTo(gear) {
+    const target = Math.max(Gear.REVERSE, Math.min(this.gearRatios.length, gear));
+    if (target === this.gear && this.shiftTimer === 0) return;
+    if (target === this.pendingGear) return;
+
+    // Moving off and into reverse happen without a clutch delay
+    if (this.gear <= Gear.NEUTRAL || target <= Gear.NEUTRAL) {
+      this.gear = target;
+      this.shiftTimer = 0;
+      this.pendingGear = null;
+      this.timeSinceShift = 0;
+      return;
+    }
+
+    this.pendingGear = target;
+    this.shiftTimer = this.shiftTime;
+  }
+
+  /**
+   * Manual shift up
+   * @param {number} forwardSpeed - Reverse is only left when nearly stopped
+   */
+  shiftUp(forwardSpeed = 0) {
+    if (this.mode !== TransmissionMode.MANUAL) return;
+    if (this.gear === Gear.REVERSE && forwardSpeed < -1) return;
+    this.shiftTo((this.pendingGear ?? this.gear) + 1);
+  }
+
+  /**
+   * Manual shift down
+   * @param {number} forwardSpeed - Reverse is only entered when nearly stopped
+   */
+  shiftDown(forwardSpeed = 0) {
+    if (this.mode !== TransmissionMode.MANUAL) return;
+    const current = this.pendingGear ?? this.gear;
+    if (current === Gear.NEUTRAL && forwardSpeed > 1) return;
+    this.shiftTo(current - 1);
+  }
+
+  /**
+   * Switch between automatic and manual
+   * @returns {string} New mode
+   */
+  toggleMode() {
+    this.mode = this.mode === TransmissionMode.AUTOMATIC
+      ? TransmissionMode.MANUAL
+      : TransmissionMode.AUTOMATIC;
+    return this.mode;
+  }
+
+  /**
+   * Start or stop the engine
+   * @param {boolean} running
+   */
+  setRunning(running) {
+    this.running = running;
+    if (running && this.rpm < this.idleRpm) {
+      this.rpm = this.idleRpm;
+    }
+  }
+
+  /**
+   * Get the overall ratio of the engaged gear (negative in reverse)
+   * @returns {number}
+   */
+  getCurrentRatio() {
+    if (this.gear === Gear.REVERSE) return -this.reverseRatio;
+    if (this.gear === Gear.NEUTRAL) return 0;
+    return this.gearRatios[this.gear - 1];
+  }
+
+  /**
+   * Interpolate the torque curve
+   * @param {number} rpmFraction - RPM as a fraction of max RPM
+   * @returns {number} Fraction of peak torque
+   */
+  sampleTorqueCurve(rpmFraction) {
+    for (let i = 0; i < TORQUE_CURVE.length - 1; i++) {
+      const a = TORQUE_CURVE[i];
+      const b = TORQUE_CURVE[i + 1];
+      if (rpmFraction <= b.rpm) {
+        const t = (rpmFraction - a.rpm) / (b.rpm - a.rpm);
+        return a.torque + (b.torque - a.torque) * Math.max(0, t);
+      }
+    }
+    return TORQUE_CURVE[TORQUE_CURVE.length - 1].torque;
+  }
+
+  /**
+   * Get gear label for display
+   * @returns {string} 'R', 'N' or the gear number
+   */
+  getGearLabel() {
+    const gear = this.pendingGear ?? this.gear;
+    if (gear === Gear.REVERSE) return 'R';
+    if (gear === Gear.NEUTRAL) return 'N';
+    return gear.toString();
+  }
+
+  /**
+   * Get save data
+   * @returns {Object}
+   */
+  getSaveData() {
+    return {
+      mode: this.mode,
+    };
+  }
+
+  /**
+   * Load save data
+   * @param {Object} data
+   */
+  loadSaveData(data) {
+    if (Object.values(TransmissionMode).includes(data.mode)) {
+      this.mode = data.mode;
+    }
+    this.gear = 1;
+    this.shiftTimer = 0;
+    this.pendingGear = null;
+  }
+}
@@ -6,7 +6,12 @@
  */
 
 export class FuelSystem {
-  constructor() {
+  /**
+   * @param {SimulationClock} [clock] - In-game time for idle consumption
+   */
+  constructor(clock = null) {
+    this.clock = clock;
+
     // Fuel tank capacity in liters
     this.tankCapacity = 400;
 
@@ -16,6 +21,12 @@ export class FuelSystem {
     // Fuel consumption rate (liters per km at cruise speed)
     this.baseConsumption = 0.35; // ~35L/100km for a truck
 
+    // Idle burn (liters per in-game hour, typical for an idling diesel truck)
+    this.idleConsumption = 2;
+
+    // Extra consumption per unit of grade (a 10% climb burns ~80% more)
+    this.gradeFactor = 8;
+
     // Fuel price per liter (PHP)
     this.fuelPrice = 65;
 
@@ -45,8 +56,9 @@ export class FuelSystem {
    * @param {number} speed - Current speed in m/s
    * @param {number} throttle - Throttle input (0-1)
    * @param {number} deltaTime - Time since last frame in seconds
+   * @param {number} [grade] - Road grade in the direction of travel (rise over run)
    */
-  update(speed, throttle, deltaTime) {
+  update(speed, throttle, deltaTime, grade = 0) {
     if (this.fuelLevel <= 0) return;
 
     // Calculate distance traveled this frame (in km)
@@ -69,10 +81,13 @@ export class FuelSystem {
       consumptionMultiplier *= 1.0 + (speedKmh - 80) * 0.01; // Highway wind resistance
     }
 
-    // Idle consumption when stationary but engine running
+    // Climbing lifts the whole truck, descending needs little fuel
+    consumptionMultiplier *= Math.max(0.3, 1 + grade * this.gradeFactor);
+
+    // Idle consumption when stationary but engine running, by in-game time
     if (speed < 0.5) {
-      const idleConsumption = 0.001 * deltaTime; // ~1L per hour idle
-      this.fuelLevel = Math.max(0, this.fuelLevel - idleConsumption);
+      const idleHours = (this.clock ? this.clock.delta : deltaTime) / 3600;
+      this.fuelLevel = Math.max(0, this.fuelLevel - this.idleConsumption * idleHours);
     } else {
       // Calculate fuel used
       const fuelUsed = distanceKm * this.baseConsumption * consumptionMultiplier;
@@ -236,6 +251,18 @@ export class FuelSystem {
     return Math.ceil(fuelNeeded * this.fuelPrice);
   }
 
+  /**
+   * Configure the tank and consumption for a truck
+   * @param {number} capacity - Tank size in liters
+   * @param {number} kmPerLiter - Cruise fuel efficiency
+   */
+  setTruckSpecs(capacity, kmPerLiter) {
+    this.tankCapacity = capacity;
+    this.baseConsumption = 1 / kmPerLiter;
+    this.fuelLevel = Math.min(this.fuelLevel, this.tankCapacity);
+    this.lowFuelWarned = this.isLow();
+  }
+
   /**
    * Set fuel level directly (for save/load)
    * @param {number} level
@@ -252,4 +279,29 @@ export class FuelSystem {
     this.distanceTraveled = 0;
     this.lowFuelWarned = false;
   }
+
+  /**
+   * Get save data
+   * @returns {Object}
+   */
+  getSaveData() {
+    return {
+      fuelLevel: this.fuelLevel,
+      distanceTraveled: this.distanceTraveled,
+    };
+  }
+
+  /**
+   * Load save data
+   * @param {Object} data
+   */
+  loadSaveData(data) {
+    if (typeof data.fuelLevel === 'number') {
+      this.setFuelLevel(data.fuelLevel);
+    }
+    if (typeof data.distanceTraveled === 'number') {
+      this.distanceTraveled = data.distanceTraveled;
+    }
+    this.lowFuelWarned = this.isLow();
+  }
 }
@@ -1,9 +1,38 @@
 /**
  * JobSystem - Manages cargo delivery jobs
  *
- * Handles job generation, tracking, and completion.
+ * Handles job generation, tracking, and completion. A job is driven in two
+ * legs: to the origin, where the trailer is hitched and loaded, then to the
+ * destination, where it is dropped and unloaded. The time limit and the
+ * delivery bonus only count from the moment the cargo is loaded.
+ *
+ * Jobs are offered at depots: every city, town and industrial site has its
+ * own job board with cargo that suits the place and its region, and a job
+ * can only be accepted while parked at the depot that offers it. Each board
+ * is regenerated when it is looked at after going stale.
+ *
+ * All timing is in game seconds from the simulation clock, so jobs stand
+ * still while the game is paused.
  */
 
+import { DEFAULT_TIME_SCALE } from '../core/SimulationClock.js';
+
+// Stages of an active job, in order
+export const JobStage = {
+  PICKUP: 'pickup',
+  LOADING: 'loading',
+  DELIVER: 'deliver',
+  UNLOADING: 'unloading',
+};
+
+// Pay multipliers for the road classes a route runs on (narrow, slow roads are harder work)
+const ROAD_CLASS_DIFFICULTY = {
+  trunk: 1.0,
+  primary: 1.0,
+  secondary: 1.1,
+  tertiary: 1.25,
+};
+
 // Cargo types with their characteristics
 export const CargoTypes = {
   CONTAINER: {
@@ -74,7 +103,7 @@ export const CargoTypes = {
     weight: 'heavy',
     trailerType: 'flatbed',
   },
-  // Mindanao-specific cargo
+  // Mindanao-specific cargo (see CARGO_REGIONS)
   BANANAS: {
     id: 'bananas',
     name: 'Bananas',
@@ -187,10 +216,37 @@ export const CargoTypes = {
   },
 };
 
+// Cargo every depot of a kind offers (keys of CargoTypes)
+const DEPOT_CARGO = {
+  city: ['CONTAINER', 'ELECTRONICS', 'CONSTRUCTION', 'FUEL', 'HEAVY_EQUIPMENT'],
+  town: ['RICE', 'PRODUCE', 'COCONUT', 'LUMBER', 'LIVESTOCK'],
+  factory: ['CONTAINER', 'CONSTRUCTION', 'FUEL', 'HEAVY_EQUIPMENT'],
+  mine: ['MINING', 'HEAVY_EQUIPMENT'],
+};
+
+// Regional specialities, offered by depots within `radius` meters of the centre.
+// Centres are game coordinates (map origin 7.5 N, 124.5 E).
+const CARGO_REGIONS = [
+  { name: 'Davao', x: 121600, z: 47900, radius: 50000, cargo: ['BANANAS', 'DURIAN', 'CACAO', 'ABACA', 'FISH'] }, // 7.07 N, 125.61 E
+  { name: 'Bukidnon', x: 60200, z: -61200, radius: 55000, cargo: ['PINEAPPLE', 'COFFEE', 'LIVESTOCK'] }, // 8.05 N, 125.05 E
+  { name: 'Davao de Oro', x: 164300, z: 0, radius: 35000, cargo: ['MINING'] }, // 7.5 N, 126.0 E
+  { name: 'Surigao', x: 120500, z: -233800, radius: 50000, cargo: ['MINING'] }, // 9.6 N, 125.6 E
+  { name: 'General Santos', x: 73400, z: 154700, radius: 30000, cargo: ['FISH', 'PINEAPPLE'] }, // 6.11 N, 125.17 E
+  { name: 'Cotabato', x: -10900, z: 111300, radius: 50000, cargo: ['PALM_OIL', 'RUBBER'] }, // 6.5 N, 124.4 E
+];
+
 export class JobSystem {
-  constructor() {
-    // Available jobs in the market
-    this.availableJobs = [];
+  /**
+   * @param {SimulationClock} clock - In-game time for deadlines and market refreshes
+   */
+  constructor(clock) {
+    this.clock = clock;
+
+    // Depots with their job boards
+    this.depots = [];
+
+    // Depot the truck is at, if any
+    this.nearDepot = null;
 
     // Currently active job
     this.activeJob = null;
@@ -198,24 +254,42 @@ export class JobSystem {
     // Completed jobs history
     this.completedJobs = [];
 
-    // POI data for generating jobs
-    this.cities = [];
-    this.towns = [];
-
     // Job generation settings
-    this.maxAvailableJobs = 5;
-    this.jobRefreshInterval = 60000; // 1 minute
-    this.lastRefresh = 0;
+    this.maxJobsPerDepot = 12;
+    this.jobRefreshInterval = 3600; // one in-game hour per board
+    this.regionalShare = 0.6; // chance a job carries a regional speciality, where the depot has any
+    this.depotRange = 150; // meters from the depot POI
 
     // Player stats
     this.totalEarnings = 0;
     this.totalDeliveries = 0;
     this.totalDistance = 0;
 
+    // Pricing and deadlines from the road route
+    this.gradePayFactor = 5; // extra pay per unit of average grade (climb plus descent over distance)
+    this.deadlineSlack = 1.5; // time limit over the travel time at speed limits
+    this.deadlineBuffer = 2 * 3600; // game seconds added to every time limit
+    this.fallbackDetour = 1.4; // road distance over straight line when there is no route
+    this.fallbackSpeed = 40; // km/h when there is no route
+
+    // Trailer must be dropped this close to the roadside spot at the destination (meters)
+    this.deliveryRadius = 50;
+
+    // Loading and unloading (game seconds); loading needs the truck parked by the
+    // roadside spot at the origin where its trailer was left
+    this.loadingTime = 20 * 60;
+    this.unloadingTime = 15 * 60;
+    this.maxHandlingWait = 30; // real seconds either one may take at slow time scales
+    this.loadingRadius = 50;
+    this.parkedSpeed = 1; // m/s
+
     // Event callbacks
     this.onJobCompleted = null;
     this.onJobFailed = null;
     this.onJobsRefreshed = null;
+    this.onDepotAvailable = null;
+    this.onDestinationReached = null;
+    this.onCargoLoaded = null;
 
     // Pathfinder reference for GPS routing
     this.pathfinder = null;
@@ -227,70 +301,173 @@ export class JobSystem {
    * @param {Pathfinder} pathfinder - Optional pathfinder for road routing
    */
   init(pois, pathfinder = null) {
-    // Separate cities and towns
-    this.cities = pois.filter(p => p.type === 'city');
-    this.towns = pois.filter(p => p.type === 'town');
+    this.depots = this.createDepots(pois);
 
     // Store pathfinder reference
     this.pathfinder = pathfinder;
 
-    console.log(`JobSystem initialized with ${this.cities.length} cities and ${this.towns.length} towns`);
+    console.log(`JobSystem initialized with ${this.depots.length} depots`);
     if (this.pathfinder && this.pathfinder.isReady()) {
       console.log('GPS routing enabled via pathfinder');
     }
+  }
+
+  /**
+   * Create a depot for every named city and town and every industrial site
+   * @param {Array} pois
+   * @returns {Array} Depots
+   */
+  createDepots(pois) {
+    const depots = [];
+
+    for (const poi of pois) {
+      let kind;
+      let name = poi.name;
+      if (poi.type === 'city' || poi.type === 'town') {
+        if (!name) continue;
+        kind = poi.type;
+      } else if (poi.type === 'industrial') {
+        kind = poi.kind === 'mine' ? 'mine' : 'factory';
+        name = name || (kind === 'mine' ? 'Mine' : 'Industrial Estate');
+      } else {
+        continue;
+      }
+
+      const specialities = new Set();
+      for (const region of CARGO_REGIONS) {
+        if (Math.hypot(poi.x - region.x, poi.z - region.z) <= region.radius) {
+          region.cargo.forEach(key => specialities.add(key));
+        }
+      }
+
+      depots.push({
+        id: `depot_${poi.id}`,
+        name,
+        type: poi.type,
+        kind,
+        x: poi.x,
+        z: poi.z,
+        cargo: DEPOT_CARGO[kind],
+        specialities: [...specialities],
+        jobs: [],
+        lastRefresh: null, // game seconds, null until the board is first generated
+      });
+    }
 
-    // Generate initial jobs
-    this.refreshJobs();
+    return depots;
   }
 
   /**
-   * Generate a new job between two locations
+   * Find a depot by id
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  getDepot(id) {
+    return this.depots.find(depot => depot.id === id) || null;
+  }
+
+  /**
+   * Nearest depot in range of a position
+   * @param {number} x
+   * @param {number} z
+   * @returns {Object|null}
+   */
+  getDepotAt(x, z) {
+    let nearest = null;
+    let nearestDistance = this.depotRange;
+    for (const depot of this.depots) {
+      const distance = Math.hypot(x - depot.x, z - depot.z);
+      if (distance <= nearestDistance) {
+        nearest = depot;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Whether the truck is stopped at a depot
+   * @param {Object} depot
+   * @param {number} x
+   * @param {number} z
+   * @param {number} speed - m/s
+   * @returns {boolean}
+   */
+  isParkedAt(depot, x, z, speed) {
+    return Math.hypot(x - depot.x, z - depot.z) <= this.depotRange && Math.abs(speed) <= this.parkedSpeed;
+  }
+
+  /**
+   * Jobs on a depot's board, regenerated if the board has gone stale
+   * @param {Object} depot
+   * @returns {Array}
+   */
+  getDepotJobs(depot) {
+    if (depot.lastRefresh === null || this.clock.now() >= this.getNextRefresh(depot)) {
+      this.refreshDepot(depot);
+    }
+    return depot.jobs;
+  }
+
+  /**
+   * Game time when a depot's board is next regenerated
+   * @param {Object} depot
+   * @returns {number} Game seconds
+   */
+  getNextRefresh(depot) {
+    return (depot.lastRefresh ?? this.clock.now()) + this.jobRefreshInterval;
+  }
+
+  /**
+   * Pick a cargo type a depot offers, favouring its regional specialities
+   * @param {Object} depot
+   * @returns {Object} Cargo type
+   */
+  pickCargo(depot) {
+    const pool = depot.specialities.length > 0 && Math.random() < this.regionalShare
+      ? depot.specialities
+      : depot.cargo;
+    return CargoTypes[pool[Math.floor(Math.random() * pool.length)]];
+  }
+
+  /**
+   * Generate a new job from a depot to another depot
+   * @param {Object} depot - Origin depot
    * @returns {Object} Job object
    */
-  generateJob() {
-    // Get all possible locations (cities and larger towns)
-    const locations = [...this.cities, ...this.towns.filter(t => t.name)];
+  generateJob(depot) {
+    const destinations = this.depots.filter(d => d !== depot);
 
-    if (locations.length < 2) {
-      console.warn('Not enough locations to generate jobs');
+    if (destinations.length === 0) {
+      console.warn('Not enough depots to generate jobs');
       return null;
     }
 
-    // Pick random origin and destination
-    const originIndex = Math.floor(Math.random() * locations.length);
-    let destIndex;
-    do {
-      destIndex = Math.floor(Math.random() * locations.length);
-    } while (destIndex === originIndex);
-
-    const origin = locations[originIndex];
-    const destination = locations[destIndex];
+    const origin = depot;
+    const destination = destinations[Math.floor(Math.random() * destinations.length)];
 
-    // Calculate distance
-    const dx = destination.x - origin.x;
-    const dz = destination.z - origin.z;
-    const distance = Math.sqrt(dx * dx + dz * dz);
-    const distanceKm = distance / 1000;
+    const route = this.estimateRoute(origin, destination);
 
-    // Pick random cargo type
-    const cargoTypes = Object.values(CargoTypes);
-    const cargo = cargoTypes[Math.floor(Math.random() * cargoTypes.length)];
+    const cargo = this.pickCargo(depot);
 
-    // Calculate payment based on distance and cargo
-    const basePay = cargo.basePayRate * distanceKm;
+    // Calculate payment based on road distance, hills, road class and cargo
+    const basePay = cargo.basePayRate * (route.distance / 1000) * route.difficulty;
     const bonusMultiplier = 1 + Math.random() * 0.3; // 0-30% bonus
     const payment = Math.round(basePay * bonusMultiplier);
 
-    // Calculate time limit (if time sensitive)
+    // Calculate time limit (if time sensitive) from driving at the speed limits.
+    // Driving seconds become game seconds at the default time scale, not the
+    // current one, so the limit doesn't depend on the setting when the job was offered.
     let timeLimit = null;
     if (cargo.timeSensitive) {
-      // Roughly 1 minute per km at average speed
-      timeLimit = Math.round(distanceKm * 60 + 120); // seconds, with 2 min buffer
+      const drivingTime = route.time * this.deadlineSlack * DEFAULT_TIME_SCALE;
+      timeLimit = Math.round(drivingTime + this.deadlineBuffer); // game seconds
     }
 
     return {
       id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
       cargo: cargo,
+      depotId: depot.id,
       origin: {
         name: origin.name || 'Unknown Location',
         x: origin.x,
@@ -303,44 +480,112 @@ export class JobSystem {
         z: destination.z,
         type: destination.type,
       },
-      distance: distance,
-      distanceKm: distanceKm,
+      distance: route.distance,
+      distanceKm: route.distance / 1000,
+      straightDistance: route.straightDistance,
+      straightDistanceKm: route.straightDistance / 1000,
+      travelTime: route.time,
+      climb: route.climb,
+      difficulty: route.difficulty,
       payment: payment,
       timeLimit: timeLimit,
-      createdAt: Date.now(),
+      reachable: route.reachable,
+      createdAt: this.clock.now(),
       status: 'available', // available, active, completed, failed
     };
   }
 
   /**
-   * Refresh available jobs
+   * Measure the road route between two locations for pricing
+   * Falls back to a detoured straight line when there is no road route.
+   * @param {Object} origin - {x, z, name}
+   * @param {Object} destination - {x, z, name}
+   * @returns {{distance: number, straightDistance: number, time: number, climb: number,
+   *   difficulty: number, reachable: boolean}} Meters and real seconds
+   */
+  estimateRoute(origin, destination) {
+    const dx = destination.x - origin.x;
+    const dz = destination.z - origin.z;
+    const straightDistance = Math.sqrt(dx * dx + dz * dz);
+
+    // Flag pairs the road network can't connect
+    let stats = null;
+    let reachable = true;
+    if (this.pathfinder && this.pathfinder.isReady()) {
+      reachable = this.pathfinder.isConnected(origin.x, origin.z, destination.x, destination.z);
+      if (reachable) {
+        stats = this.pathfinder.getRouteStats(origin.x, origin.z, destination.x, destination.z);
+      } else {
+        console.warn(`Job ${origin.name} -> ${destination.name}: no road connection between origin and destination`);
+      }
+    }
+
+    if (!stats || stats.distance <= 0) {
+      const distance = straightDistance * this.fallbackDetour;
+      return {
+        distance,
+        straightDistance,
+        time: distance / (this.fallbackSpeed / 3.6),
+        climb: 0,
+        difficulty: 1,
+        reachable,
+      };
+    }
+
+    // Average steepness, counting descents too (heavy loads need braking)
+    const grade = (stats.climb + stats.descent) / stats.distance;
+
+    // Road class difficulty weighted by the distance driven on each class
+    let classWeighted = 0;
+    let classDistance = 0;
+    for (const [type, distance] of Object.entries(stats.roadTypeDistances)) {
+      classWeighted += (ROAD_CLASS_DIFFICULTY[type] || ROAD_CLASS_DIFFICULTY.tertiary) * distance;
+      classDistance += distance;
+    }
+    const classDifficulty = classDistance > 0 ? classWeighted / classDistance : 1;
+
+    return {
+      distance: stats.distance,
+      straightDistance,
+      time: stats.time,
+      climb: stats.climb,
+      difficulty: (1 + grade * this.gradePayFactor) * classDifficulty,
+      reachable,
+    };
+  }
+
+  /**
+   * Replace a depot's board with new jobs
+   * @param {Object} depot
    */
-  refreshJobs() {
-    // Remove old jobs and generate new ones
-    this.availableJobs = [];
+  refreshDepot(depot) {
+    depot.jobs = [];
 
-    for (let i = 0; i < this.maxAvailableJobs; i++) {
-      const job = this.generateJob();
+    for (let i = 0; i < this.maxJobsPerDepot; i++) {
+      const job = this.generateJob(depot);
       if (job) {
-        this.availableJobs.push(job);
+        depot.jobs.push(job);
       }
     }
 
-    this.lastRefresh = Date.now();
+    depot.lastRefresh = this.clock.now();
 
     if (this.onJobsRefreshed) {
-      this.onJobsRefreshed(this.availableJobs);
+      this.onJobsRefreshed(depot);
     }
 
-    console.log(`Generated ${this.availableJobs.length} new jobs`);
+    console.log(`Generated ${depot.jobs.length} new jobs at ${depot.name}`);
   }
 
   /**
-   * Accept a job
+   * Accept a job; the truck must be parked at the depot offering it
    * @param {string} jobId - Job ID to accept
+   * @param {number} x - Truck X position
+   * @param {number} z - Truck Z position
+   * @param {number} speed - Truck speed (m/s)
    * @returns {Object|null} Accepted job or null if failed
    */
-  acceptJob(jobId) {
+  acceptJob(jobId, x, z, speed) {
     // Can't accept if already have an active job
     if (this.activeJob) {
       console.warn('Already have an active job');
@@ -348,18 +593,30 @@ export class JobSystem {
     }
 
     // Find the job
-    const jobIndex = this.availableJobs.findIndex(j => j.id === jobId);
-    if (jobIndex === -1) {
+    const depot = this.depots.find(d => d.jobs.some(j => j.id === jobId));
+    if (!depot) {
       console.warn('Job not found');
       return null;
     }
 
-    // Remove from available and set as active
-    const job = this.availableJobs.splice(jobIndex, 1)[0];
+    if (!this.isParkedAt(depot, x, z, speed)) {
+      console.warn(`Park at ${depot.name} to accept this job`);
+      return null;
+    }
+
+    // Remove from the board and set as active
+    const jobIndex = depot.jobs.findIndex(j => j.id === jobId);
+    const job = depot.jobs.splice(jobIndex, 1)[0];
     job.status = 'active';
-    job.startedAt = Date.now();
+    job.startedAt = this.clock.now();
     job.startPosition = null; // Will be set when player position is known
     job.damage = 0; // Cargo damage percentage (0-100)
+    job.stage = JobStage.PICKUP;
+    job.pickup = null; // Where the trailer was dropped, if not at the origin
+    job.loadProgress = 0; // 0-1, loading then unloading
+    job.loadedAt = null;
+    job.deliveredAt = null;
+    job.legs = this.createLegs(job);
 
     this.activeJob = job;
 
@@ -368,6 +625,84 @@ export class JobSystem {
     return job;
   }
 
+  /**
+   * The two legs of a job: truck to origin, then origin to destination
+   * @param {Object} job
+   * @returns {Array} [{stages, from, to, route}]
+   */
+  createLegs(job) {
+    return [
+      { stages: [JobStage.PICKUP, JobStage.LOADING], from: null, to: job.origin, route: null },
+      { stages: [JobStage.DELIVER, JobStage.UNLOADING], from: job.origin, to: job.destination, route: null },
+    ];
+  }
+
+  /**
+   * Index of the active job's current leg
+   * @returns {number} 0 or 1, -1 if no active job
+   */
+  getLegIndex() {
+    const job = this.activeJob;
+    if (!job) return -1;
+    return job.legs.findIndex(leg => leg.stages.includes(job.stage));
+  }
+
+  /**
+   * Road route of a leg, calculated on first use
+   * @param {Object} leg
+   * @returns {Array|null} [x, z] points, or null while the leg has no start
+   */
+  getLegRoute(leg) {
+    if (leg.route) return leg.route;
+    if (!leg.from) return null;
+
+    if (this.pathfinder && this.pathfinder.isReady()) {
+      const path = this.pathfinder.findPath(leg.from.x, leg.from.z, leg.to.x, leg.to.z);
+      if (path && path.length > 0) {
+        leg.route = path;
+        return path;
+      }
+    }
+
+    // Fallback to a direct line if there is no road route
+    leg.route = [
+      [leg.from.x, leg.from.z],
+      [leg.to.x, leg.to.z],
+    ];
+    return leg.route;
+  }
+
+  /**
+   * Road route of a job that hasn't been accepted, for the market preview
+   * @param {Object} job
+   * @returns {Array} [x, z] points
+   */
+  previewRoute(job) {
+    return this.getLegRoute(this.createLegs(job)[1]);
+  }
+
+  /**
+   * Roadside spot beside a job location, where trailers are parked (see TrailerSystem.findParkingSpot)
+   * POIs often sit well off the road, so loading and delivery are measured from here.
+   * @param {Object} place - Job origin or destination {x, z}
+   * @returns {{x: number, z: number}}
+   */
+  getRoadsideSpot(place) {
+    if (!place.roadside) {
+      const spot = this.pathfinder && this.pathfinder.isReady() ? this.pathfinder.findRoadside(place.x, place.z) : null;
+      place.roadside = spot ? { x: spot.x, z: spot.z } : { x: place.x, z: place.z };
+    }
+    return place.roadside;
+  }
+
+  /**
+   * Whether the active job's cargo is on the trailer
+   * @returns {boolean}
+   */
+  isCargoLoaded() {
+    return !!this.activeJob && this.activeJob.loadedAt !== null;
+  }
+
   /**
    * Cancel active job
    * @returns {boolean} Success
@@ -392,6 +727,9 @@ export class JobSystem {
   applyDamage(amount) {
     if (!this.activeJob) return -1;
 
+    // Nothing to damage until the cargo is loaded
+    if (this.activeJob.loadedAt === null) return this.activeJob.damage;
+
     // Fragile cargo takes more damage
     const multiplier = this.activeJob.cargo.fragile ? 2.0 : 1.0;
     const actualDamage = amount * multiplier;
@@ -415,61 +753,179 @@ export class JobSystem {
   }
 
   /**
-   * Update job system
+   * Update job system (timing comes from the simulation clock)
    * @param {number} playerX - Player X position
    * @param {number} playerZ - Player Z position
-   * @param {number} deltaTime - Time since last update (seconds)
-   */
-  update(playerX, playerZ, deltaTime) {
-    // Check if we need to refresh jobs
-    if (Date.now() - this.lastRefresh > this.jobRefreshInterval) {
-      // Only refresh if no active job
-      if (!this.activeJob) {
-        this.refreshJobs();
+   * @param {number} [speed] - Truck speed (m/s), for loading while parked
+   */
+  update(playerX, playerZ, speed = 0) {
+    // Track the depot the truck is at
+    const depot = this.getDepotAt(playerX, playerZ);
+    if (depot !== this.nearDepot) {
+      this.nearDepot = depot;
+      if (depot && this.onDepotAvailable) {
+        this.onDepotAvailable(depot);
       }
     }
 
     // Check active job progress
     if (this.activeJob) {
-      this.checkJobProgress(playerX, playerZ);
+      this.checkJobProgress(playerX, playerZ, speed);
     }
   }
 
+  /**
+   * Share of a loading or unloading phase done this frame. The phase follows
+   * the clock but never takes longer than maxHandlingWait in real time.
+   * @param {number} duration - Game seconds the phase takes
+   * @returns {number}
+   */
+  getHandlingStep(duration) {
+    return Math.max(this.clock.delta / duration, this.clock.realDelta / this.maxHandlingWait);
+  }
+
   /**
    * Check progress of active job
    * @param {number} playerX
    * @param {number} playerZ
+   * @param {number} speed - m/s
    */
-  checkJobProgress(playerX, playerZ) {
+  checkJobProgress(playerX, playerZ, speed) {
     const job = this.activeJob;
     if (!job) return;
 
-    // Set start position if not set
+    // Set start position if not set; the pickup leg starts there
     if (!job.startPosition) {
       job.startPosition = { x: playerX, z: playerZ };
+      job.legs[0].from = job.startPosition;
+      job.legs[0].route = null;
     }
 
-    // Check if player is at destination
-    const dx = playerX - job.destination.x;
-    const dz = playerZ - job.destination.z;
-    const distToDestination = Math.sqrt(dx * dx + dz * dz);
+    // Cargo goes on while the hitched truck stands at the origin's loading spot
+    if (job.stage === JobStage.LOADING) {
+      const spot = this.getRoadsideSpot(job.origin);
+      const dx = playerX - spot.x;
+      const dz = playerZ - spot.z;
+      if (Math.sqrt(dx * dx + dz * dz) < this.loadingRadius && speed < this.parkedSpeed) {
+        job.loadProgress = Math.min(1, job.loadProgress + this.getHandlingStep(this.loadingTime));
+        if (job.loadProgress >= 1) this.finishLoading();
+      }
+      return;
+    }
 
-    // Arrival threshold (50 meters)
-    if (distToDestination < 50) {
-      this.completeJob();
+    // The dropped trailer is emptied whatever the truck does meanwhile
+    if (job.stage === JobStage.UNLOADING) {
+      job.loadProgress = Math.min(1, job.loadProgress + this.getHandlingStep(this.unloadingTime));
+      if (job.loadProgress >= 1) this.completeJob();
       return;
     }
 
-    // Check time limit
-    if (job.timeLimit) {
-      const elapsed = (Date.now() - job.startedAt) / 1000;
-      if (elapsed > job.timeLimit) {
+    // Let the player know when the trailer can be dropped
+    if (job.stage === JobStage.DELIVER && !job.arrived) {
+      const spot = this.getRoadsideSpot(job.destination);
+      if (Math.hypot(playerX - spot.x, playerZ - spot.z) < this.deliveryRadius) {
+        job.arrived = true;
+        if (this.onDestinationReached) {
+          this.onDestinationReached(job);
+        }
+      }
+    }
+
+    // Check time limit (counts from loading)
+    if (job.timeLimit && job.loadedAt !== null) {
+      if (this.clock.now() > job.loadedAt + job.timeLimit) {
         this.failJob('Time limit exceeded');
         return;
       }
     }
   }
 
+  /**
+   * Get where the player should drive next: the trailer, or the destination once hitched
+   * @returns {Object|null} {name, x, z} or null if no active job
+   */
+  getObjectiveTarget() {
+    const job = this.activeJob;
+    if (!job) return null;
+
+    if (job.stage === JobStage.PICKUP) {
+      return job.pickup || job.origin;
+    }
+    if (job.stage === JobStage.LOADING) {
+      return job.origin;
+    }
+    return job.destination;
+  }
+
+  /**
+   * The job's trailer was hitched to the truck: load it, or carry on delivering
+   */
+  attachTrailer() {
+    const job = this.activeJob;
+    if (!job || job.stage === JobStage.DELIVER || job.stage === JobStage.LOADING) return;
+
+    job.pickup = null;
+    job.arrived = false;
+
+    if (job.loadedAt === null) {
+      job.stage = JobStage.LOADING;
+      console.log(`Trailer hitched, loading ${job.cargo.name} at ${job.origin.name}`);
+      return;
+    }
+
+    // Hitching again mid-unload takes the cargo away with it
+    job.stage = JobStage.DELIVER;
+    job.deliveredAt = null;
+    job.loadProgress = 0;
+    console.log(`Trailer hitched, deliver ${job.cargo.name} to ${job.destination.name}`);
+  }
+
+  /**
+   * Loading finished: the delivery leg and its clock start
+   */
+  finishLoading() {
+    const job = this.activeJob;
+    if (!job) return;
+
+    job.stage = JobStage.DELIVER;
+    job.loadedAt = this.clock.now();
+    job.loadProgress = 0;
+    job.arrived = false;
+    console.log(`${job.cargo.name} loaded, deliver to ${job.destination.name}`);
+
+    if (this.onCargoLoaded) {
+      this.onCargoLoaded(job);
+    }
+  }
+
+  /**
+   * The job's trailer was dropped; starts unloading if it is at the destination
+   * @param {number} x - Trailer X position
+   * @param {number} z - Trailer Z position
+   * @returns {boolean} True if unloading started
+   */
+  detachTrailer(x, z) {
+    const job = this.activeJob;
+    if (!job || (job.stage !== JobStage.DELIVER && job.stage !== JobStage.LOADING)) return false;
+
+    // Measured from the roadside, where the destination's nearest road passes
+    const spot = this.getRoadsideSpot(job.destination);
+    const dx = x - spot.x;
+    const dz = z - spot.z;
+    if (job.stage === JobStage.DELIVER && Math.sqrt(dx * dx + dz * dz) < this.deliveryRadius) {
+      job.stage = JobStage.UNLOADING;
+      job.deliveredAt = this.clock.now();
+      job.loadProgress = 0;
+      console.log(`Unloading ${job.cargo.name} at ${job.destination.name}`);
+      return true;
+    }
+
+    // Dropped on the way: the trailer has to be picked up again where it stands
+    job.stage = JobStage.PICKUP;
+    job.pickup = { name: `${job.cargo.name} trailer`, x, z };
+    return false;
+  }
+
   /**
    * Complete the active job
    */
@@ -478,10 +934,10 @@ export class JobSystem {
 
     const job = this.activeJob;
     job.status = 'completed';
-    job.completedAt = Date.now();
+    job.completedAt = this.clock.now();
 
-    // Calculate actual payment (could add bonuses/penalties)
-    const timeTaken = (job.completedAt - job.startedAt) / 1000;
+    // Delivery time runs from loading until the trailer was dropped
+    const timeTaken = (job.deliveredAt ?? job.completedAt) - (job.loadedAt ?? job.startedAt);
     let finalPayment = job.payment;
 
     // Early delivery bonus (within 80% of time limit)
@@ -531,7 +987,7 @@ export class JobSystem {
     const job = this.activeJob;
     job.status = 'failed';
     job.failReason = reason;
-    job.failedAt = Date.now();
+    job.failedAt = this.clock.now();
 
     // Penalty
     const penalty = Math.round(job.payment * 0.3);
@@ -567,52 +1023,128 @@ export class JobSystem {
    * @returns {number} Seconds remaining, -1 if no limit, 0 if no job
    */
   getTimeRemaining() {
-    if (!this.activeJob) return 0;
-    if (!this.activeJob.timeLimit) return -1;
+    const job = this.activeJob;
+    if (!job) return 0;
+    if (!job.timeLimit) return -1;
 
-    const elapsed = (Date.now() - this.activeJob.startedAt) / 1000;
-    return Math.max(0, this.activeJob.timeLimit - elapsed);
+    // The clock starts once the cargo is loaded and stops when it is dropped
+    if (job.loadedAt === null) return job.timeLimit;
+    const elapsed = (job.deliveredAt ?? this.clock.now()) - job.loadedAt;
+    return Math.max(0, job.timeLimit - elapsed);
   }
 
   /**
-   * Get route points from origin to destination
+   * Game time the active job's cargo must be delivered by
+   * @returns {number|null} Game seconds, or null if no limit is running yet
+   */
+  getDeadline() {
+    const job = this.activeJob;
+    if (!job || !job.timeLimit || job.loadedAt === null) return null;
+    return job.loadedAt + job.timeLimit;
+  }
+
+  /**
+   * Get route points of the active job's current leg
    * Uses pathfinder for road-based routing if available
    * @returns {Array|null} Array of [x, z] points or null if no active job
    */
   getRoutePoints() {
-    if (!this.activeJob) return null;
+    const index = this.getLegIndex();
+    if (index < 0) return null;
+    return this.getLegRoute(this.activeJob.legs[index]);
+  }
 
-    const origin = this.activeJob.origin;
-    const destination = this.activeJob.destination;
+  /**
+   * Get player statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      totalEarnings: this.totalEarnings,
+      totalDeliveries: this.totalDeliveries,
+      totalDistance: this.totalDistance,
+      completedJobs: this.completedJobs.length,
+    };
+  }
 
-    // Use pathfinder for road-based routing if available
-    if (this.pathfinder && this.pathfinder.isReady()) {
-      const path = this.pathfinder.findPath(
-        origin.x, origin.z,
-        destination.x, destination.z
-      );
-      if (path && path.length > 0) {
-        return path;
-      }
+  /**
+   * Convert a job to plain data (cargo stored by id)
+   * @param {Object} job
+   * @returns {Object}
+   */
+  serializeJob(job) {
+    const { cargo, ...data } = job;
+
+    // Leg routes are recalculated after loading
+    if (data.legs) {
+      data.legs = data.legs.map(({ route, ...leg }) => leg);
     }
+    return { ...data, cargoId: cargo.id };
+  }
 
-    // Fallback to direct line if no pathfinder or no path found
-    return [
-      [origin.x, origin.z],
-      [destination.x, destination.z],
-    ];
+  /**
+   * Rebuild a job from saved data
+   * @param {Object} data
+   * @returns {Object}
+   */
+  deserializeJob(data) {
+    const { cargoId, ...job } = data;
+    const cargo = Object.values(CargoTypes).find(c => c.id === cargoId) || CargoTypes.CONTAINER;
+    return { ...job, cargo };
   }
 
   /**
-   * Get player statistics
+   * Get save data
    * @returns {Object}
    */
-  getStats() {
+  getSaveData() {
+    let activeJob = null;
+    if (this.activeJob) {
+      activeJob = this.serializeJob(this.activeJob);
+    }
+
     return {
+      activeJob,
+      depots: this.depots
+        .filter(depot => depot.lastRefresh !== null)
+        .map(depot => ({
+          id: depot.id,
+          lastRefresh: depot.lastRefresh,
+          jobs: depot.jobs.map(job => this.serializeJob(job)),
+        })),
+      completedJobs: this.completedJobs.map(job => this.serializeJob(job)),
       totalEarnings: this.totalEarnings,
       totalDeliveries: this.totalDeliveries,
       totalDistance: this.totalDistance,
-      completedJobs: this.completedJobs.length,
     };
   }
+
+  /**
+   * Load save data
+   * @param {Object} data
+   */
+  loadSaveData(data) {
+    // Boards not in the save are generated on first visit
+    for (const depot of this.depots) {
+      depot.jobs = [];
+      depot.lastRefresh = null;
+    }
+    if (Array.isArray(data.depots)) {
+      for (const saved of data.depots) {
+        const depot = this.getDepot(saved.id);
+        if (!depot) continue;
+        depot.jobs = saved.jobs.map(job => this.deserializeJob(job));
+        depot.lastRefresh = saved.lastRefresh;
+      }
+    }
+    if (Array.isArray(data.completedJobs)) {
+      this.completedJobs = data.completedJobs.map(job => this.deserializeJob(job));
+    }
+
+    this.activeJob = data.activeJob ? this.deserializeJob(data.activeJob) : null;
+
+    this.totalEarnings = data.totalEarnings || 0;
+    this.totalDeliveries = data.totalDeliveries || 0;
+    this.totalDistance = data.totalDistance || 0;
+  }
 }
@@ -426,10 +426,10 @@ export class MaintenanceSystem {
     if (data.components) {
       this.components = { ...this.components, ...data.components };
     }
-    if (data.totalDistance) {
+    if (typeof data.totalDistance === 'number') {
       this.totalDistance = data.totalDistance;
     }
-    if (data.distanceSinceLastService) {
+    if (typeof data.distanceSinceLastService === 'number') {
       this.distanceSinceLastService = data.distanceSinceLastService;
     }
   }
@@ -0,0 +1,420 @@
+/**
+ * NavigationSystem - Turn-by-turn GPS guidance
+ *
+ * Routes from the truck to a destination over the road graph, derives
+ * maneuvers from path geometry and road names, tracks progress along
+ * the route and reroutes when the driver leaves it.
+ */
+
+export const ManeuverType = {
+  CONTINUE: 'continue',
+  SLIGHT_LEFT: 'slightLeft',
+  SLIGHT_RIGHT: 'slightRight',
+  TURN_LEFT: 'turnLeft',
+  TURN_RIGHT: 'turnRight',
+  SHARP_LEFT: 'sharpLeft',
+  SHARP_RIGHT: 'sharpRight',
+  UTURN: 'uturn',
+  ARRIVE: 'arrive',
+};
+
+// Display arrows and spoken verbs per maneuver
+const MANEUVER_INFO = {
+  [ManeuverType.CONTINUE]: { icon: '\u2191', verb: 'Continue' },
+  [ManeuverType.SLIGHT_LEFT]: { icon: '\u2196', verb: 'Keep left' },
+  [ManeuverType.SLIGHT_RIGHT]: { icon: '\u2197', verb: 'Keep right' },
+  [ManeuverType.TURN_LEFT]: { icon: '\u2190', verb: 'Turn left' },
+  [ManeuverType.TURN_RIGHT]: { icon: '\u2192', verb: 'Turn right' },
+  [ManeuverType.SHARP_LEFT]: { icon: '\u2199', verb: 'Sharp left' },
+  [ManeuverType.SHARP_RIGHT]: { icon: '\u2198', verb: 'Sharp right' },
+  [ManeuverType.UTURN]: { icon: '\u21B6', verb: 'Make a U-turn' },
+  [ManeuverType.ARRIVE]: { icon: '\u{1F3C1}', verb: 'Arrive at' },
+};
+
+export class NavigationSystem {
+  constructor(pathfinder) {
+    this.pathfinder = pathfinder;
+
+    // Road lookup for names
+    this.roadsById = new Map();
+
+    // Current route
+    this.destination = null;
+    this.route = null; // [{x, z, nodeId, roadId, distance}] distance = meters from start
+    this.maneuvers = [];
+    this.totalDistance = 0;
+
+    // Progress tracking
+    this.progress = 0; // meters along route
+    this.segmentIndex = 0;
+    this.nextManeuverIndex = 0;
+    this.cuesPlayed = new Set();
+
+    // Thresholds
+    this.turnAngle = 50; // degrees for a turn at an intersection
+    this.offRouteDistance = 40; // meters from route before counting as off-route
+    this.rerouteDelay = 3; // seconds off-route before rerouting
+    this.offRouteTime = 0;
+    this.rerouteFailed = false; // last reroute found no road route
+    this.cueDistances = [500, 200, 50]; // meters before a maneuver to announce it
+
+    // Callbacks
+    this.onManeuverCue = null;
+    this.onReroute = null;
+    this.onRerouteFailed = null;
+  }
+
+  /**
+   * Index roads by ID for name lookup
+   * @param {Array} roads
+   */
+  init(roads) {
+    this.roadsById.clear();
+    for (const road of roads) {
+      this.roadsById.set(road.id, road);
+    }
+  }
+
+  /**
+   * Start navigating to a destination
+   * @param {Object} destination - {x, z, name}
+   * @param {number} fromX - Truck X position
+   * @param {number} fromZ - Truck Z position
+   * @returns {boolean} True if a road route was found
+   */
+  navigateTo(destination, fromX, fromZ) {
+    this.destination = destination;
+    if (this.calculateRoute(fromX, fromZ)) return true;
+
+    // Don't keep guiding to the previous destination
+    this.route = null;
+    this.maneuvers = [];
+    this.resetProgress();
+    return false;
+  }
+
+  /**
+   * Calculate a route from a position to the current destination
+   * The current route is kept if no new one is found.
+   * @param {number} fromX
+   * @param {number} fromZ
+   * @returns {boolean}
+   */
+  calculateRoute(fromX, fromZ) {
+    if (!this.destination || !this.pathfinder || !this.pathfinder.isReady()) return false;
+
+    const route = this.pathfinder.findRoute(fromX, fromZ, this.destination.x, this.destination.z);
+    if (!route || route.length === 0) return false;
+
+    // Finish at the destination itself
+    route.push({ x: this.destination.x, z: this.destination.z, nodeId: null, roadId: null });
+
+    let distance = 0;
+    for (let i = 0; i < route.length; i++) {
+      if (i > 0) {
+        distance += Math.sqrt((route[i].x - route[i - 1].x) ** 2 + (route[i].z - route[i - 1].z) ** 2);
+      }
+      route[i].distance = distance;
+    }
+
+    this.resetProgress();
+    this.route = route;
+    this.totalDistance = distance;
+    this.maneuvers = this.buildManeuvers(route);
+    return true;
+  }
+
+  /**
+   * Restart progress tracking for a new route
+   */
+  resetProgress() {
+    this.progress = 0;
+    this.segmentIndex = 0;
+    this.nextManeuverIndex = 0;
+    this.offRouteTime = 0;
+    this.rerouteFailed = false;
+    this.cuesPlayed.clear();
+  }
+
+  /**
+   * Derive maneuvers from route geometry and road names
+   * @param {Array} route
+   * @returns {Array} [{type, x, z, distance, roadName}]
+   */
+  buildManeuvers(route) {
+    const maneuvers = [];
+
+    for (let i = 1; i < route.length - 1; i++) {
+      const prev = route[i - 1];
+      const curr = route[i];
+      const next = route[i + 1];
+
+      const inLen = curr.distance - prev.distance;
+      const outLen = next.distance - curr.distance;
+      if (inLen < 0.5 || outLen < 0.5) continue;
+
+      const angle = this.getTurnAngle(prev, curr, next);
+      const fromName = this.getRoadName(curr.roadId);
+      const toName = this.getRoadName(next.roadId);
+      const roadChanged = fromName !== toName;
+
+      // Bends on the same road are not maneuvers; only intersections count
+      const node = curr.nodeId ? this.pathfinder.nodes.get(curr.nodeId) : null;
+      const isIntersection = node && node.edges.length > 2;
+      const isTurn = Math.abs(angle) >= this.turnAngle && isIntersection;
+
+      if (!roadChanged && !isTurn) continue;
+
+      // Leaving the graph for the destination is covered by the arrive maneuver
+      if (!next.nodeId) continue;
+
+      // Drifting onto an unnamed road without turning is not worth announcing
+      const type = this.classifyTurn(angle);
+      if (!isTurn && type === ManeuverType.CONTINUE && !toName) continue;
+
+      maneuvers.push({
+        type,
+        x: curr.x,
+        z: curr.z,
+        distance: curr.distance,
+        roadName: toName,
+      });
+    }
+
+    const last = route[route.length - 1];
+    maneuvers.push({
+      type: ManeuverType.ARRIVE,
+      x: last.x,
+      z: last.z,
+      distance: last.distance,
+      roadName: this.destination.name || 'destination',
+    });
+
+    return maneuvers;
+  }
+
+  /**
+   * Signed heading change at a route point
+   * Positive is a right turn (Babylon is left-handed: X+ is right of Z+).
+   * @param {Object} prev
+   * @param {Object} curr
+   * @param {Object} next
+   * @returns {number} Degrees (-180 to 180)
+   */
+  getTurnAngle(prev, curr, next) {
+    const h1 = Math.atan2(curr.x - prev.x, curr.z - prev.z);
+    const h2 = Math.atan2(next.x - curr.x, next.z - curr.z);
+    let diff = h2 - h1;
+    while (diff > Math.PI) diff -= Math.PI * 2;
+    while (diff < -Math.PI) diff += Math.PI * 2;
+    return diff * 180 / Math.PI;
+  }
+
+  /**
+   * Classify a heading change into a maneuver type
+   * @param {number} angle - Degrees, positive = right
+   * @returns {string}
+   */
+  classifyTurn(angle) {
+    const abs = Math.abs(angle);
+    const right = angle > 0;
+    if (abs < 25) return ManeuverType.CONTINUE;
+    if (abs < this.turnAngle) return right ? ManeuverType.SLIGHT_RIGHT : ManeuverType.SLIGHT_LEFT;
+    if (abs < 135) return right ? ManeuverType.TURN_RIGHT : ManeuverType.TURN_LEFT;
+    if (abs < 165) return right ? ManeuverType.SHARP_RIGHT : ManeuverType.SHARP_LEFT;
+    return ManeuverType.UTURN;
+  }
+
+  /**
+   * Get a road's display name
+   * @param {string|null} roadId
+   * @returns {string}
+   */
+  getRoadName(roadId) {
+    const road = roadId ? this.roadsById.get(roadId) : null;
+    if (!road) return '';
+    return road.name || '';
+  }
+
+  /**
+   * Update progress along the route
+   * @param {number} x - Truck X position
+   * @param {number} z - Truck Z position
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  update(x, z, deltaTime) {
+    if (!this.route) return;
+
+    const { distanceFromRoute, progress } = this.projectOntoRoute(x, z);
+
+    // Reroute after staying off the route for a while
+    if (distanceFromRoute > this.offRouteDistance) {
+      this.offRouteTime += deltaTime;
+      if (this.offRouteTime >= this.rerouteDelay) {
+        if (this.calculateRoute(x, z)) {
+          if (this.onReroute) this.onReroute(this.getRoutePoints());
+          return;
+        }
+
+        // Keep guiding along the old route and try again after another delay
+        this.offRouteTime = 0;
+        if (!this.rerouteFailed) {
+          this.rerouteFailed = true;
+          if (this.onRerouteFailed) this.onRerouteFailed();
+        }
+      }
+    } else {
+      this.offRouteTime = 0;
+      this.rerouteFailed = false;
+    }
+
+    this.progress = progress;
+
+    // Advance past maneuvers we have driven through
+    while (this.nextManeuverIndex < this.maneuvers.length - 1 &&
+           this.maneuvers[this.nextManeuverIndex].distance < this.progress - 10) {
+      this.nextManeuverIndex++;
+    }
+
+    // Announce the next maneuver as it approaches
+    const next = this.getNextManeuver();
+    if (next && this.onManeuverCue) {
+      for (const cueDistance of this.cueDistances) {
+        const key = `${this.nextManeuverIndex}:${cueDistance}`;
+        if (next.distance <= cueDistance && !this.cuesPlayed.has(key)) {
+          // Mark all larger cues as played so a late cue doesn't repeat them
+          for (const d of this.cueDistances) {
+            if (d >= cueDistance) this.cuesPlayed.add(`${this.nextManeuverIndex}:${d}`);
+          }
+          this.onManeuverCue(next.maneuver, next.distance, this.describe(next.maneuver, next.distance));
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Project a position onto the route polyline
+   * Searches near the last matched segment first to stay cheap on long routes.
+   * @param {number} x
+   * @param {number} z
+   * @returns {{distanceFromRoute: number, progress: number}}
+   */
+  projectOntoRoute(x, z) {
+    const route = this.route;
+    const search = (from, to) => {
+      let best = { distanceFromRoute: Infinity, progress: this.progress, index: this.segmentIndex };
+      for (let i = Math.max(0, from); i < Math.min(route.length - 1, to); i++) {
+        const a = route[i];
+        const b = route[i + 1];
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const lenSq = dx * dx + dz * dz;
+        const t = lenSq > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (z - a.z) * dz) / lenSq)) : 0;
+        const px = a.x + dx * t;
+        const pz = a.z + dz * t;
+        const dist = Math.sqrt((x - px) ** 2 + (z - pz) ** 2);
+        if (dist < best.distanceFromRoute) {
+          best = { distanceFromRoute: dist, progress: a.distance + Math.sqrt(lenSq) * t, index: i };
+        }
+      }
+      return best;
+    };
+
+    let best = search(this.segmentIndex - 2, this.segmentIndex + 30);
+    if (best.distanceFromRoute > this.offRouteDistance) {
+      best = search(0, route.length);
+    }
+
+    this.segmentIndex = best.index;
+    return best;
+  }
+
+  /**
+   * Get the next maneuver and the distance to it
+   * @returns {{maneuver: Object, distance: number}|null}
+   */
+  getNextManeuver() {
+    if (!this.route || this.maneuvers.length === 0) return null;
+    const maneuver = this.maneuvers[this.nextManeuverIndex];
+    return { maneuver, distance: Math.max(0, maneuver.distance - this.progress) };
+  }
+
+  /**
+   * Get remaining distance along the route
+   * @returns {number} Meters
+   */
+  getRemainingDistance() {
+    if (!this.route) return 0;
+    return Math.max(0, this.totalDistance - this.progress);
+  }
+
+  /**
+   * Get the arrow icon for a maneuver
+   * @param {Object} maneuver
+   * @returns {string}
+   */
+  getIcon(maneuver) {
+    return MANEUVER_INFO[maneuver.type].icon;
+  }
+
+  /**
+   * Get the instruction text for a maneuver
+   * @param {Object} maneuver
+   * @returns {string}
+   */
+  getInstruction(maneuver) {
+    const { verb } = MANEUVER_INFO[maneuver.type];
+    if (maneuver.type === ManeuverType.ARRIVE) {
+      return `${verb} ${maneuver.roadName}`;
+    }
+    if (!maneuver.roadName) return verb;
+    return maneuver.type === ManeuverType.CONTINUE
+      ? `Continue onto ${maneuver.roadName}`
+      : `${verb} onto ${maneuver.roadName}`;
+  }
+
+  /**
+   * Build a spoken prompt for a maneuver
+   * @param {Object} maneuver
+   * @param {number} distance - Meters to the maneuver
+   * @returns {string}
+   */
+  describe(maneuver, distance) {
+    const instruction = this.getInstruction(maneuver);
+    if (distance < 80) {
+      return maneuver.type === ManeuverType.ARRIVE ? `You have arrived at ${maneuver.roadName}` : `${instruction} now`;
+    }
+    const rounded = distance >= 1000
+      ? `${(distance / 1000).toFixed(1)} kilometers`
+      : `${Math.round(distance / 50) * 50} meters`;
+    return `In ${rounded}, ${instruction.charAt(0).toLowerCase()}${instruction.slice(1)}`;
+  }
+
+  /**
+   * Get route as [x, z] points for the minimap
+   * @returns {Array|null}
+   */
+  getRoutePoints() {
+    if (!this.route) return null;
+    return this.route.map(p => [p.x, p.z]);
+  }
+
+  /**
+   * Check if a route is active
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.route !== null;
+  }
+
+  /**
+   * Stop navigating
+   */
+  clear() {
+    this.destination = null;
+    this.route = null;
+    this.maneuvers = [];
+    this.resetProgress();
+  }
+}
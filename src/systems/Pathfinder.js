@@ -1,13 +1,103 @@
 /**
  * Pathfinder - A* pathfinding along road network
  *
- * Builds a graph from road data and finds shortest paths
+ * Builds a graph from road data and finds fastest or shortest paths
  * between locations for GPS navigation.
  */
 
+export const RouteMode = {
+  FASTEST: 'fastest',
+  SHORTEST: 'shortest',
+  AVOID_TERTIARY: 'avoidTertiary',
+};
+
+// Fallback speed limits (km/h) for roads without one
+const ROAD_TYPE_SPEEDS = {
+  trunk: 60,
+  primary: 50,
+  secondary: 40,
+  tertiary: 30,
+};
+
+// Share of the speed limit actually reached on each road class
+// (lower classes have more junctions, tricycles and narrow bends)
+const ROAD_TYPE_FLOW = {
+  trunk: 0.9,
+  primary: 0.8,
+  secondary: 0.7,
+  tertiary: 0.6,
+};
+
+// Travel time multiplier for tertiary roads when avoiding them
+const TERTIARY_PENALTY = 4;
+
+// How far to the side of the road trailers are parked and dropped (meters)
+const ROADSIDE_OFFSET = 7;
+
+/**
+ * Binary min-heap keyed by priority
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Add an item
+   * @param {*} value
+   * @param {number} priority
+   */
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+
+    // Sift up
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  /**
+   * Remove and return the lowest-priority item
+   * @returns {{value: *, priority: number}|undefined}
+   */
+  pop() {
+    const items = this.items;
+    if (items.length === 0) return undefined;
+
+    const top = items[0];
+    const last = items.pop();
+    if (items.length === 0) return top;
+    items[0] = last;
+
+    // Sift down
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+      if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+      if (smallest === i) break;
+      [items[smallest], items[i]] = [items[i], items[smallest]];
+      i = smallest;
+    }
+
+    return top;
+  }
+}
+
 export class Pathfinder {
   constructor() {
-    // Graph nodes: Map<nodeId, {x, y, z, edges: [{nodeId, distance, roadId}]}>
+    // Graph nodes: Map<nodeId, {x, y, z, junction, component, edges: [{nodeId, distance, time, roadId, roadType}]}>
     this.nodes = new Map();
 
     // Spatial grid for fast nearest-node lookup
@@ -16,6 +106,20 @@ export class Pathfinder {
 
     // Road reference for path reconstruction
     this.roads = [];
+    this.roadsById = new Map();
+
+    // Route preference used when a query doesn't specify one
+    this.routeMode = RouteMode.FASTEST;
+
+    // Fastest effective speed in the network (m/s), keeps the time heuristic admissible
+    this.maxSpeed = 1;
+
+    // Recent query results: Map<'start>end>mode', result|null>, oldest first
+    this.routeCache = new Map();
+    this.maxCachedRoutes = 256;
+
+    // Connected component sizes, largest first
+    this.components = [];
 
     // Stats
     this.nodeCount = 0;
@@ -29,35 +133,44 @@ export class Pathfinder {
   buildGraph(roads) {
     console.log('Building pathfinding graph...');
     this.roads = roads;
+    this.roadsById = new Map(roads.map(road => [road.id, road]));
     this.nodes.clear();
     this.spatialGrid.clear();
+    this.routeCache.clear();
+    this.maxSpeed = 1;
 
     const nodeThreshold = 5; // Merge nodes within 5 meters
 
-    // First pass: create nodes from road endpoints and key points
-    for (const road of roads) {
+    // Find where roads meet so junction nodes can be forced there
+    const junctions = this.findJunctions(roads, nodeThreshold);
+
+    // Create nodes from road endpoints, junctions and key points
+    for (let r = 0; r < roads.length; r++) {
+      const road = roads[r];
       if (!road.points || road.points.length < 2) continue;
 
       // Add nodes at intervals along the road (every ~50m for detail)
       const nodeInterval = 50;
+      const vertices = this.getRoadVertices(road, junctions.get(r));
       let lastNodeId = null;
       let distSinceLastNode = 0;
 
-      for (let i = 0; i < road.points.length; i++) {
-        const [x, y, z] = road.points[i];
-        const isEndpoint = i === 0 || i === road.points.length - 1;
+      for (let i = 0; i < vertices.length; i++) {
+        const { x, y, z, junction } = vertices[i];
+        const isEndpoint = i === 0 || i === vertices.length - 1;
 
         // Calculate distance from last point
         if (i > 0) {
-          const [px, py, pz] = road.points[i - 1];
+          const prev = vertices[i - 1];
           distSinceLastNode += Math.sqrt(
-            (x - px) ** 2 + (z - pz) ** 2
+            (x - prev.x) ** 2 + (z - prev.z) ** 2
           );
         }
 
-        // Add node at endpoints or when interval reached
-        if (isEndpoint || distSinceLastNode >= nodeInterval) {
+        // Add node at endpoints, junctions or when interval reached
+        if (isEndpoint || junction || distSinceLastNode >= nodeInterval) {
           const nodeId = this.findOrCreateNode(x, y, z, nodeThreshold);
+          if (junction || isEndpoint) this.nodes.get(nodeId).junction = true;
 
           // Connect to previous node on this road
           if (lastNodeId !== null && lastNodeId !== nodeId) {
@@ -70,14 +183,223 @@ export class Pathfinder {
       }
     }
 
-    // Second pass: detect and merge intersection nodes
-    this.mergeIntersections(nodeThreshold);
+    // Collapse clusters of junction nodes into single intersections
+    this.mergeIntersections(nodeThreshold * 2);
+
+    this.findComponents();
 
     this.nodeCount = this.nodes.size;
     this.edgeCount = Array.from(this.nodes.values())
       .reduce((sum, node) => sum + node.edges.length, 0) / 2;
 
-    console.log(`Pathfinding graph built: ${this.nodeCount} nodes, ${this.edgeCount} edges`);
+    console.log(`Pathfinding graph built: ${this.nodeCount} nodes, ${this.edgeCount} edges, ${this.components.length} components`);
+  }
+
+  /**
+   * Find points where roads meet: shared vertices, crossings between
+   * segments, and road ends that stop just short of another road
+   * @param {Array} roads
+   * @param {number} threshold - Snap distance for dangling road ends
+   * @returns {Map<number, {vertices: Set<number>, splits: Map<number, Array<number>>}>}
+   *   Per road index: junction vertex indices and split parameters per segment
+   */
+  findJunctions(roads, threshold) {
+    const junctions = new Map();
+    const getEntry = (r) => {
+      if (!junctions.has(r)) junctions.set(r, { vertices: new Set(), splits: new Map() });
+      return junctions.get(r);
+    };
+    const addSplit = (r, seg, t) => {
+      const splits = getEntry(r).splits;
+      if (!splits.has(seg)) splits.set(seg, []);
+      splits.get(seg).push(t);
+    };
+
+    // Shared vertices (OSM ways joined at the same node)
+    const vertexOwners = new Map();
+    for (let r = 0; r < roads.length; r++) {
+      const points = roads[r].points;
+      if (!points || points.length < 2) continue;
+      for (let i = 0; i < points.length; i++) {
+        const key = `${Math.round(points[i][0] * 10)},${Math.round(points[i][2] * 10)}`;
+        if (!vertexOwners.has(key)) vertexOwners.set(key, []);
+        vertexOwners.get(key).push([r, i]);
+      }
+    }
+    for (const owners of vertexOwners.values()) {
+      if (owners.length < 2) continue;
+      for (const [r, i] of owners) getEntry(r).vertices.add(i);
+    }
+
+    // Bucket segments into grid cells covering their bounds
+    const segments = [];
+    const segmentGrid = new Map();
+    for (let r = 0; r < roads.length; r++) {
+      const points = roads[r].points;
+      if (!points || points.length < 2) continue;
+      for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const id = segments.length;
+        segments.push({ r, i, a, b });
+
+        const minX = Math.floor((Math.min(a[0], b[0]) - threshold) / this.gridCellSize);
+        const maxX = Math.floor((Math.max(a[0], b[0]) + threshold) / this.gridCellSize);
+        const minZ = Math.floor((Math.min(a[2], b[2]) - threshold) / this.gridCellSize);
+        const maxZ = Math.floor((Math.max(a[2], b[2]) + threshold) / this.gridCellSize);
+        for (let cx = minX; cx <= maxX; cx++) {
+          for (let cz = minZ; cz <= maxZ; cz++) {
+            const key = `${cx},${cz}`;
+            if (!segmentGrid.has(key)) segmentGrid.set(key, []);
+            segmentGrid.get(key).push(id);
+          }
+        }
+      }
+    }
+
+    // Crossings between segments of different roads
+    const maxGradeSeparation = 3; // Bridges and overpasses don't connect
+    const tested = new Set();
+    let crossings = 0;
+    for (const cell of segmentGrid.values()) {
+      for (let m = 0; m < cell.length; m++) {
+        for (let n = m + 1; n < cell.length; n++) {
+          const s1 = segments[cell[m]];
+          const s2 = segments[cell[n]];
+          if (s1.r === s2.r) continue;
+
+          const pairKey = cell[m] * segments.length + cell[n];
+          if (tested.has(pairKey)) continue;
+          tested.add(pairKey);
+
+          const hit = this.intersectSegments(s1.a, s1.b, s2.a, s2.b);
+          if (!hit) continue;
+
+          // Touching at existing vertices is already a shared vertex
+          const interior1 = hit.t > 0.001 && hit.t < 0.999;
+          const interior2 = hit.u > 0.001 && hit.u < 0.999;
+          if (!interior1 && !interior2) continue;
+
+          const y1 = s1.a[1] + (s1.b[1] - s1.a[1]) * hit.t;
+          const y2 = s2.a[1] + (s2.b[1] - s2.a[1]) * hit.u;
+          if (Math.abs(y1 - y2) > maxGradeSeparation) continue;
+
+          addSplit(s1.r, s1.i, hit.t);
+          addSplit(s2.r, s2.i, hit.u);
+          crossings++;
+        }
+      }
+    }
+
+    // Road ends that stop just short of another road (T-junctions)
+    let snapped = 0;
+    for (let r = 0; r < roads.length; r++) {
+      const points = roads[r].points;
+      if (!points || points.length < 2) continue;
+
+      for (const end of [points[0], points[points.length - 1]]) {
+        const key = `${Math.floor(end[0] / this.gridCellSize)},${Math.floor(end[2] / this.gridCellSize)}`;
+        const cell = segmentGrid.get(key);
+        if (!cell) continue;
+
+        let best = null;
+        for (const id of cell) {
+          const seg = segments[id];
+          if (seg.r === r) continue;
+          const t = this.projectOntoSegment(end[0], end[2], seg.a[0], seg.a[2], seg.b[0], seg.b[2]);
+          const px = seg.a[0] + (seg.b[0] - seg.a[0]) * t;
+          const pz = seg.a[2] + (seg.b[2] - seg.a[2]) * t;
+          const dist = Math.sqrt((px - end[0]) ** 2 + (pz - end[2]) ** 2);
+          if (dist < threshold && (!best || dist < best.dist)) {
+            best = { seg, t, dist };
+          }
+        }
+
+        // Split the other road so the end merges with a node on it
+        if (best && best.t > 0.001 && best.t < 0.999) {
+          addSplit(best.seg.r, best.seg.i, best.t);
+          snapped++;
+        }
+      }
+    }
+
+    console.log(`Pathfinder: ${crossings} crossings, ${snapped} snapped road ends`);
+    return junctions;
+  }
+
+  /**
+   * Get a road's vertices with junction split points inserted
+   * @param {Object} road
+   * @param {Object} [junctions] - Entry from findJunctions
+   * @returns {Array} [{x, y, z, junction}]
+   */
+  getRoadVertices(road, junctions) {
+    const points = road.points;
+    const vertices = [];
+
+    for (let i = 0; i < points.length; i++) {
+      const [x, y, z] = points[i];
+      vertices.push({ x, y, z, junction: junctions ? junctions.vertices.has(i) : false });
+
+      const splits = junctions && i < points.length - 1 ? junctions.splits.get(i) : null;
+      if (!splits) continue;
+
+      const [nx, ny, nz] = points[i + 1];
+      for (const t of [...splits].sort((a, b) => a - b)) {
+        vertices.push({
+          x: x + (nx - x) * t,
+          y: y + (ny - y) * t,
+          z: z + (nz - z) * t,
+          junction: true,
+        });
+      }
+    }
+
+    return vertices;
+  }
+
+  /**
+   * Intersect two 2D segments (x/z of [x, y, z] points)
+   * @param {Array} a1
+   * @param {Array} a2
+   * @param {Array} b1
+   * @param {Array} b2
+   * @returns {{t: number, u: number}|null} Parameters along each segment
+   */
+  intersectSegments(a1, a2, b1, b2) {
+    const dax = a2[0] - a1[0];
+    const daz = a2[2] - a1[2];
+    const dbx = b2[0] - b1[0];
+    const dbz = b2[2] - b1[2];
+
+    const denom = dax * dbz - daz * dbx;
+    if (Math.abs(denom) < 1e-9) return null; // Parallel
+
+    const ox = b1[0] - a1[0];
+    const oz = b1[2] - a1[2];
+    const t = (ox * dbz - oz * dbx) / denom;
+    const u = (ox * daz - oz * dax) / denom;
+
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    return { t, u };
+  }
+
+  /**
+   * Get the parameter of the closest point on a segment
+   * @param {number} px
+   * @param {number} pz
+   * @param {number} x1
+   * @param {number} z1
+   * @param {number} x2
+   * @param {number} z2
+   * @returns {number} 0 to 1
+   */
+  projectOntoSegment(px, pz, x1, z1, x2, z2) {
+    const dx = x2 - x1;
+    const dz = z2 - z1;
+    const lenSq = dx * dx + dz * dz;
+    if (lenSq === 0) return 0;
+    return Math.max(0, Math.min(1, ((px - x1) * dx + (pz - z1) * dz) / lenSq));
   }
 
   /**
@@ -131,7 +453,10 @@ export class Pathfinder {
 
   /**
    * Add bidirectional edge between nodes
-   * @param {string} nodeA
+   * Both directions are stored so the graph stays connected; `forward` marks
+   * the one that follows the road's point order, and routing skips the other
+   * on one-way roads.
+   * @param {string} nodeA - Node earlier in the road's point order
    * @param {string} nodeB
    * @param {number} distance
    * @param {string} roadId
@@ -143,17 +468,238 @@ export class Pathfinder {
     // Check if edge already exists
     if (a.edges.some(e => e.nodeId === nodeB)) return;
 
-    a.edges.push({ nodeId: nodeB, distance, roadId });
-    b.edges.push({ nodeId: nodeA, distance, roadId });
+    const road = this.roadsById.get(roadId);
+    const roadType = road ? road.type : null;
+    const oneway = !!(road && road.oneway);
+    const speed = this.getRoadSpeed(road);
+    const time = distance / speed;
+    this.maxSpeed = Math.max(this.maxSpeed, speed);
+
+    a.edges.push({ nodeId: nodeB, distance, time, roadId, roadType, oneway, forward: true });
+    b.edges.push({ nodeId: nodeA, distance, time, roadId, roadType, oneway, forward: false });
   }
 
   /**
-   * Merge nodes that are close together (intersections)
+   * Get the expected travel speed on a road
+   * @param {Object} road
+   * @returns {number} Meters per second
+   */
+  getRoadSpeed(road) {
+    const type = road ? road.type : null;
+    const limit = (road && road.speedLimit) || ROAD_TYPE_SPEEDS[type] || ROAD_TYPE_SPEEDS.tertiary;
+    const flow = ROAD_TYPE_FLOW[type] || ROAD_TYPE_FLOW.tertiary;
+    return (limit / 3.6) * flow;
+  }
+
+  /**
+   * Check if an edge may be driven (not against a one-way road)
+   * @param {Object} edge
+   * @returns {boolean}
+   */
+  canTraverse(edge) {
+    return !edge.oneway || edge.forward;
+  }
+
+  /**
+   * Get the cost of traversing an edge
+   * @param {Object} edge
+   * @param {string} mode - RouteMode value
+   * @returns {number} Meters for shortest, seconds otherwise
+   */
+  getEdgeCost(edge, mode) {
+    switch (mode) {
+      case RouteMode.SHORTEST:
+        return edge.distance;
+      case RouteMode.AVOID_TERTIARY:
+        return edge.roadType === 'tertiary' ? edge.time * TERTIARY_PENALTY : edge.time;
+      default:
+        return edge.time;
+    }
+  }
+
+  /**
+   * Set the default route preference
+   * @param {string} mode - RouteMode value
+   */
+  setRouteMode(mode) {
+    if (!Object.values(RouteMode).includes(mode)) return;
+    this.routeMode = mode;
+  }
+
+  /**
+   * Get the default route preference
+   * @returns {string}
+   */
+  getRouteMode() {
+    return this.routeMode;
+  }
+
+  /**
+   * Merge junction nodes that are close together into single intersections
+   * Wide junctions produce several crossing points a few meters apart;
+   * collapsing them stops routes zig-zagging through the junction.
    * @param {number} threshold
    */
   mergeIntersections(threshold) {
-    // For simplicity, this is handled in findOrCreateNode
-    // More sophisticated merging could be done here
+    // Union-find over junction nodes within the threshold
+    const parent = new Map();
+    const find = (id) => {
+      let root = id;
+      while (parent.get(root) !== root) root = parent.get(root);
+      parent.set(id, root);
+      return root;
+    };
+
+    for (const nodeId of this.nodes.keys()) {
+      parent.set(nodeId, nodeId);
+    }
+
+    let merged = 0;
+    for (const [nodeId, node] of this.nodes) {
+      if (!node.junction) continue;
+
+      const cellX = Math.floor(node.x / this.gridCellSize);
+      const cellZ = Math.floor(node.z / this.gridCellSize);
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const cellNodes = this.spatialGrid.get(`${cellX + dx},${cellZ + dz}`);
+          if (!cellNodes) continue;
+
+          for (const otherId of cellNodes) {
+            const other = this.nodes.get(otherId);
+            if (otherId === nodeId || !other.junction) continue;
+            if (Math.sqrt((other.x - node.x) ** 2 + (other.z - node.z) ** 2) >= threshold) continue;
+
+            const rootA = find(nodeId);
+            const rootB = find(otherId);
+            if (rootA !== rootB) {
+              parent.set(rootB, rootA);
+              merged++;
+            }
+          }
+        }
+      }
+    }
+
+    if (merged === 0) return;
+
+    // Move each cluster's root to the cluster centroid
+    const clusters = new Map();
+    for (const nodeId of this.nodes.keys()) {
+      const root = find(nodeId);
+      if (root === nodeId) continue;
+      if (!clusters.has(root)) clusters.set(root, [root]);
+      clusters.get(root).push(nodeId);
+    }
+    for (const [root, members] of clusters) {
+      const rootNode = this.nodes.get(root);
+      let x = 0, y = 0, z = 0;
+      for (const id of members) {
+        const node = this.nodes.get(id);
+        x += node.x;
+        y += node.y;
+        z += node.z;
+      }
+      rootNode.x = x / members.length;
+      rootNode.y = y / members.length;
+      rootNode.z = z / members.length;
+    }
+
+    // Rewire edges onto cluster roots, dropping loops and duplicates
+    const edges = [];
+    for (const [nodeId, node] of this.nodes) {
+      for (const edge of node.edges) {
+        if (nodeId < edge.nodeId) edges.push([nodeId, edge]);
+      }
+    }
+    for (const nodeId of [...this.nodes.keys()]) {
+      if (find(nodeId) !== nodeId) {
+        this.nodes.delete(nodeId);
+      } else {
+        this.nodes.get(nodeId).edges = [];
+      }
+    }
+    for (const [nodeId, edge] of edges) {
+      const a = find(nodeId);
+      const b = find(edge.nodeId);
+      if (a === b) continue;
+      if (edge.forward) {
+        this.addEdge(a, b, edge.distance, edge.roadId);
+      } else {
+        this.addEdge(b, a, edge.distance, edge.roadId);
+      }
+    }
+
+    // Rebuild the spatial grid from the surviving nodes
+    this.spatialGrid.clear();
+    for (const [nodeId, node] of this.nodes) {
+      const cellKey = `${Math.floor(node.x / this.gridCellSize)},${Math.floor(node.z / this.gridCellSize)}`;
+      if (!this.spatialGrid.has(cellKey)) {
+        this.spatialGrid.set(cellKey, []);
+      }
+      this.spatialGrid.get(cellKey).push(nodeId);
+    }
+
+    console.log(`Pathfinder: merged ${merged} junction nodes`);
+  }
+
+  /**
+   * Label connected components of the graph
+   * Stores a component index on every node and component sizes, largest first.
+   */
+  findComponents() {
+    const sizes = [];
+
+    for (const node of this.nodes.values()) {
+      node.component = -1;
+    }
+
+    for (const [nodeId, node] of this.nodes) {
+      if (node.component !== -1) continue;
+
+      const component = sizes.length;
+      const stack = [nodeId];
+      node.component = component;
+      let size = 0;
+
+      while (stack.length > 0) {
+        const current = this.nodes.get(stack.pop());
+        size++;
+        for (const edge of current.edges) {
+          const next = this.nodes.get(edge.nodeId);
+          if (next.component === -1) {
+            next.component = component;
+            stack.push(edge.nodeId);
+          }
+        }
+      }
+
+      sizes.push(size);
+    }
+
+    // Renumber so component 0 is the largest
+    const order = sizes.map((size, i) => i).sort((a, b) => sizes[b] - sizes[a]);
+    const remap = new Map(order.map((oldIndex, newIndex) => [oldIndex, newIndex]));
+    for (const node of this.nodes.values()) {
+      node.component = remap.get(node.component);
+    }
+
+    this.components = order.map(i => sizes[i]);
+  }
+
+  /**
+   * Check whether two world positions are connected by road
+   * @param {number} ax
+   * @param {number} az
+   * @param {number} bx
+   * @param {number} bz
+   * @returns {boolean}
+   */
+  isConnected(ax, az, bx, bz) {
+    const a = this.findNearestNode(ax, az);
+    const b = this.findNearestNode(bx, bz);
+    if (!a || !b) return false;
+    return this.nodes.get(a.nodeId).component === this.nodes.get(b.nodeId).component;
   }
 
   /**
@@ -200,15 +746,131 @@ export class Pathfinder {
     return nearest;
   }
 
+  /**
+   * Spot on the shoulder of the road nearest a location, where trailers are parked
+   * @param {number} x
+   * @param {number} z
+   * @returns {{x: number, z: number, heading: number}|null} Null if there is no road nearby
+   */
+  findRoadside(x, z) {
+    const nearest = this.findNearestNode(x, z);
+    const node = nearest ? this.nodes.get(nearest.nodeId) : null;
+    if (!node || node.edges.length === 0) return null;
+
+    // Line up with the road and pull over to its right
+    const next = this.nodes.get(node.edges[0].nodeId);
+    const heading = Math.atan2(next.x - node.x, next.z - node.z);
+    return {
+      x: node.x + Math.cos(heading) * ROADSIDE_OFFSET,
+      z: node.z - Math.sin(heading) * ROADSIDE_OFFSET,
+      heading,
+    };
+  }
+
   /**
    * Find path between two world positions using A*
    * @param {number} startX
    * @param {number} startZ
    * @param {number} endX
    * @param {number} endZ
-   * @returns {Array|null} Array of [x, y, z] points or null if no path
+   * @param {string} [mode] - RouteMode value, defaults to the current preference
+   * @returns {Array|null} Array of [x, z] points or null if no path
+   */
+  findPath(startX, startZ, endX, endZ, mode = this.routeMode) {
+    const result = this.searchPath(startX, startZ, endX, endZ, mode);
+    if (!result) return null;
+
+    return this.reconstructPath(result.nodeSequence, startX, startZ, endX, endZ);
+  }
+
+  /**
+   * Find a detailed route between two world positions
+   * Unlike findPath, keeps every graph node and the road used to reach it,
+   * which navigation needs to derive maneuvers and road names.
+   * @param {number} startX
+   * @param {number} startZ
+   * @param {number} endX
+   * @param {number} endZ
+   * @param {string} [mode] - RouteMode value, defaults to the current preference
+   * @returns {Array|null} Array of {x, z, nodeId, roadId} or null if no path
+   */
+  findRoute(startX, startZ, endX, endZ, mode = this.routeMode) {
+    const result = this.searchPath(startX, startZ, endX, endZ, mode);
+    if (!result) return null;
+
+    return result.nodeSequence.map((nodeId, i) => {
+      const node = this.nodes.get(nodeId);
+      return { x: node.x, z: node.z, nodeId, roadId: result.roadSequence[i] };
+    });
+  }
+
+  /**
+   * Measure the route between two world positions
+   * Distances include the straight stretches from each position to its
+   * nearest road node. Travel time is at each road's speed limit.
+   * @param {number} startX
+   * @param {number} startZ
+   * @param {number} endX
+   * @param {number} endZ
+   * @param {string} [mode] - RouteMode value, defaults to the current preference
+   * @returns {{distance: number, time: number, climb: number, descent: number,
+   *   roadTypeDistances: Object<string, number>}|null} Meters and seconds, or null if no path
    */
-  findPath(startX, startZ, endX, endZ) {
+  getRouteStats(startX, startZ, endX, endZ, mode = this.routeMode) {
+    const result = this.searchPath(startX, startZ, endX, endZ, mode);
+    if (!result) return null;
+
+    const { nodeSequence, roadSequence } = result;
+    const first = this.nodes.get(nodeSequence[0]);
+    const last = this.nodes.get(nodeSequence[nodeSequence.length - 1]);
+
+    // Getting on and off the network, at a crawl
+    const access = Math.sqrt((first.x - startX) ** 2 + (first.z - startZ) ** 2)
+      + Math.sqrt((last.x - endX) ** 2 + (last.z - endZ) ** 2);
+    const stats = {
+      distance: access,
+      time: access / (ROAD_TYPE_SPEEDS.tertiary / 3.6),
+      climb: 0,
+      descent: 0,
+      roadTypeDistances: {},
+    };
+
+    for (let i = 1; i < nodeSequence.length; i++) {
+      const a = this.nodes.get(nodeSequence[i - 1]);
+      const b = this.nodes.get(nodeSequence[i]);
+      const roadId = roadSequence[i];
+      const edge = a.edges.find(e => e.nodeId === nodeSequence[i] && e.roadId === roadId)
+        || a.edges.find(e => e.nodeId === nodeSequence[i]);
+      const distance = edge ? edge.distance : Math.sqrt((b.x - a.x) ** 2 + (b.z - a.z) ** 2);
+
+      const road = this.roadsById.get(roadId);
+      const type = (road && road.type) || 'tertiary';
+      const limit = (road && road.speedLimit) || ROAD_TYPE_SPEEDS[type] || ROAD_TYPE_SPEEDS.tertiary;
+
+      stats.distance += distance;
+      stats.time += distance / (limit / 3.6);
+      stats.roadTypeDistances[type] = (stats.roadTypeDistances[type] || 0) + distance;
+
+      const rise = (b.y || 0) - (a.y || 0);
+      if (rise > 0) stats.climb += rise;
+      else stats.descent -= rise;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Find the node sequence between the graph nodes nearest to two world positions
+   * Results are cached per node pair and mode, since navigation and jobs
+   * repeat the same queries many times.
+   * @param {number} startX
+   * @param {number} startZ
+   * @param {number} endX
+   * @param {number} endZ
+   * @param {string} mode - RouteMode value
+   * @returns {{nodeSequence: Array, roadSequence: Array}|null}
+   */
+  searchPath(startX, startZ, endX, endZ, mode) {
     // Find nearest nodes to start and end positions
     const startNode = this.findNearestNode(startX, startZ);
     const endNode = this.findNearestNode(endX, endZ);
@@ -218,86 +880,115 @@ export class Pathfinder {
       return null;
     }
 
-    // A* algorithm
-    const openSet = new Set([startNode.nodeId]);
+    // Skip the search when the two ends are on separate networks
+    if (this.nodes.get(startNode.nodeId).component !== this.nodes.get(endNode.nodeId).component) {
+      return null;
+    }
+
+    const cacheKey = `${startNode.nodeId}>${endNode.nodeId}>${mode}`;
+    if (this.routeCache.has(cacheKey)) {
+      // Move to the back so it is evicted last
+      const cached = this.routeCache.get(cacheKey);
+      this.routeCache.delete(cacheKey);
+      this.routeCache.set(cacheKey, cached);
+      return cached;
+    }
+
+    const result = this.aStar(startNode.nodeId, endNode.nodeId, mode);
+    if (!result) {
+      console.warn('Pathfinder: No path found');
+    }
+
+    this.routeCache.set(cacheKey, result);
+    if (this.routeCache.size > this.maxCachedRoutes) {
+      this.routeCache.delete(this.routeCache.keys().next().value);
+    }
+
+    return result;
+  }
+
+  /**
+   * Run A* between two graph nodes
+   * @param {string} startId
+   * @param {string} endId
+   * @param {string} mode - RouteMode value
+   * @returns {{nodeSequence: Array, roadSequence: Array}|null}
+   */
+  aStar(startId, endId, mode) {
+    const openSet = new MinHeap();
+    const closed = new Set();
     const cameFrom = new Map();
+    const cameFromRoad = new Map(); // Road of the edge used to reach each node
     const gScore = new Map(); // Cost from start to node
-    const fScore = new Map(); // gScore + heuristic
 
-    gScore.set(startNode.nodeId, 0);
-    fScore.set(startNode.nodeId, this.heuristic(startNode.nodeId, endNode.nodeId));
+    gScore.set(startId, 0);
+    openSet.push(startId, this.heuristic(startId, endId, mode));
 
     while (openSet.size > 0) {
-      // Get node with lowest fScore
-      let current = null;
-      let lowestF = Infinity;
-      for (const nodeId of openSet) {
-        const f = fScore.get(nodeId) ?? Infinity;
-        if (f < lowestF) {
-          lowestF = f;
-          current = nodeId;
+      let current = openSet.pop().value;
+
+      // Stale entries are left in the heap when a node is improved
+      if (closed.has(current)) continue;
+
+      if (current === endId) {
+        // Walk back to the start
+        const nodeSequence = [current];
+        const roadSequence = [cameFromRoad.get(current) ?? null];
+        while (cameFrom.has(current)) {
+          current = cameFrom.get(current);
+          nodeSequence.unshift(current);
+          roadSequence.unshift(cameFromRoad.get(current) ?? null);
         }
+        return { nodeSequence, roadSequence };
       }
 
-      if (current === endNode.nodeId) {
-        // Reconstruct path
-        return this.reconstructPath(cameFrom, current, startX, startZ, endX, endZ);
-      }
-
-      openSet.delete(current);
-      const currentNode = this.nodes.get(current);
+      closed.add(current);
+      const currentG = gScore.get(current);
 
-      for (const edge of currentNode.edges) {
-        const tentativeG = (gScore.get(current) ?? Infinity) + edge.distance;
+      for (const edge of this.nodes.get(current).edges) {
+        if (closed.has(edge.nodeId) || !this.canTraverse(edge)) continue;
 
+        const tentativeG = currentG + this.getEdgeCost(edge, mode);
         if (tentativeG < (gScore.get(edge.nodeId) ?? Infinity)) {
           cameFrom.set(edge.nodeId, current);
+          cameFromRoad.set(edge.nodeId, edge.roadId);
           gScore.set(edge.nodeId, tentativeG);
-          fScore.set(edge.nodeId, tentativeG + this.heuristic(edge.nodeId, endNode.nodeId));
-          openSet.add(edge.nodeId);
+          openSet.push(edge.nodeId, tentativeG + this.heuristic(edge.nodeId, endId, mode));
         }
       }
     }
 
-    // No path found
-    console.warn('Pathfinder: No path found');
     return null;
   }
 
   /**
-   * Heuristic function (Euclidean distance)
+   * Heuristic function (straight-line distance, or time at top network speed)
    * @param {string} nodeA
    * @param {string} nodeB
+   * @param {string} mode - RouteMode value
    * @returns {number}
    */
-  heuristic(nodeA, nodeB) {
+  heuristic(nodeA, nodeB, mode) {
     const a = this.nodes.get(nodeA);
     const b = this.nodes.get(nodeB);
-    return Math.sqrt((a.x - b.x) ** 2 + (a.z - b.z) ** 2);
+    const distance = Math.sqrt((a.x - b.x) ** 2 + (a.z - b.z) ** 2);
+    return mode === RouteMode.SHORTEST ? distance : distance / this.maxSpeed;
   }
 
   /**
-   * Reconstruct path from A* result
-   * @param {Map} cameFrom
-   * @param {string} current
+   * Reconstruct path from A* node sequence
+   * @param {Array} nodeSequence - Node IDs from start to end
    * @param {number} startX
    * @param {number} startZ
    * @param {number} endX
    * @param {number} endZ
    * @returns {Array} Array of [x, z] points
    */
-  reconstructPath(cameFrom, current, startX, startZ, endX, endZ) {
+  reconstructPath(nodeSequence, startX, startZ, endX, endZ) {
     const path = [];
-    const nodeSequence = [current];
-
-    // Build node sequence
-    while (cameFrom.has(current)) {
-      current = cameFrom.get(current);
-      nodeSequence.unshift(current);
-    }
 
     // Add start position
-    path.push([startX, endZ]);
+    path.push([startX, startZ]);
 
     // Add all node positions
     for (const nodeId of nodeSequence) {
@@ -387,6 +1078,31 @@ export class Pathfinder {
     return distance;
   }
 
+  /**
+   * Save route preference to localStorage
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem('mts_route_settings', JSON.stringify({ routeMode: this.routeMode }));
+    } catch (e) {
+      console.warn('Failed to save route settings:', e);
+    }
+  }
+
+  /**
+   * Load route preference from localStorage
+   */
+  loadSettings() {
+    try {
+      const saved = localStorage.getItem('mts_route_settings');
+      if (saved) {
+        this.setRouteMode(JSON.parse(saved).routeMode);
+      }
+    } catch (e) {
+      console.warn('Failed to load route settings:', e);
+    }
+  }
+
   /**
    * Check if pathfinder is ready
    * @returns {boolean}
@@ -404,6 +1120,11 @@ export class Pathfinder {
       nodes: this.nodeCount,
       edges: this.edgeCount,
       gridCells: this.spatialGrid.size,
+      cachedRoutes: this.routeCache.size,
+      components: this.components.length,
+      largestComponent: this.components[0] || 0,
+      largestComponentShare: this.nodes.size > 0 ? (this.components[0] || 0) / this.nodes.size : 0,
+      isolatedNodes: this.components.filter(size => size === 1).length,
     };
   }
 }
@@ -400,6 +400,30 @@ export class RadioSystem {
     return this.stations;
   }
 
+  /**
+   * Get save data
+   * @returns {Object}
+   */
+  getSaveData() {
+    return {
+      stationId: this.currentStation.id,
+      volume: this.volume,
+    };
+  }
+
+  /**
+   * Load save data
+   * @param {Object} data
+   */
+  async loadSaveData(data) {
+    if (typeof data.volume === 'number') {
+      this.setVolume(data.volume);
+    }
+
+    const station = this.stations.find(s => s.id === data.stationId) || RadioStations.OFF;
+    await this.tuneStation(station);
+  }
+
   /**
    * Dispose of resources
    */
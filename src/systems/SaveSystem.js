@@ -0,0 +1,288 @@
+/**
+ * SaveSystem - Persists career progress to browser storage
+ *
+ * Stores versioned save games in named slots. Every slot is written to
+ * localStorage and mirrored to IndexedDB, so a save survives either store
+ * being cleared or running out of quota.
+ */
+
+// Current save format version (bump when the state layout changes)
+export const SAVE_VERSION = 1;
+
+// Reserved slot used by automatic saves
+export const AUTOSAVE_SLOT = 'autosave';
+
+const SLOT_KEY_PREFIX = 'mts_save_';
+const DB_NAME = 'mts_saves';
+const DB_VERSION = 1;
+const DB_STORE = 'slots';
+
+// Upgrades a save record from version N to N + 1
+const MIGRATIONS = {};
+
+export class SaveSystem {
+  constructor() {
+    // IndexedDB handle (null if unavailable)
+    this.db = null;
+
+    // Callbacks
+    this.onSaved = null;
+    this.onLoaded = null;
+  }
+
+  /**
+   * Open the IndexedDB mirror (localStorage works without this)
+   */
+  async init() {
+    if (typeof indexedDB === 'undefined') {
+      console.warn('SaveSystem: IndexedDB not available, using localStorage only');
+      return;
+    }
+
+    try {
+      this.db = await this.openDatabase();
+      console.log('SaveSystem initialized');
+    } catch (e) {
+      console.warn('SaveSystem: Failed to open IndexedDB:', e);
+      this.db = null;
+    }
+  }
+
+  /**
+   * Open (and create if needed) the save database
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(DB_STORE)) {
+          db.createObjectStore(DB_STORE, { keyPath: 'slot' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run a single request against the save store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>}
+   */
+  dbRequest(mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(DB_STORE, mode);
+      const request = operation(transaction.objectStore(DB_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Save game state to a slot
+   * @param {string} slotName - Slot name
+   * @param {Object} state - Serialized game state
+   * @param {Object} summary - Short description shown in slot lists
+   * @returns {Promise<boolean>} True if at least one store accepted the save
+   */
+  async save(slotName, state, summary = {}) {
+    const record = {
+      slot: slotName,
+      version: SAVE_VERSION,
+      savedAt: Date.now(),
+      summary,
+      state,
+    };
+
+    let saved = false;
+
+    try {
+      localStorage.setItem(SLOT_KEY_PREFIX + slotName, JSON.stringify(record));
+      saved = true;
+    } catch (e) {
+      console.warn(`Failed to write save "${slotName}" to localStorage:`, e);
+    }
+
+    if (this.db) {
+      try {
+        await this.dbRequest('readwrite', store => store.put(record));
+        saved = true;
+      } catch (e) {
+        console.warn(`Failed to write save "${slotName}" to IndexedDB:`, e);
+      }
+    }
+
+    if (saved) {
+      console.log(`Game saved to slot "${slotName}"`);
+      if (this.onSaved) {
+        this.onSaved(slotName, record);
+      }
+    }
+
+    return saved;
+  }
+
+  /**
+   * Load a save record from a slot
+   * Uses the newest copy if localStorage and IndexedDB disagree.
+   * @param {string} slotName
+   * @returns {Promise<Object|null>} Migrated save record or null
+   */
+  async load(slotName) {
+    const localRecord = this.readLocal(slotName);
+
+    let dbRecord = null;
+    if (this.db) {
+      try {
+        dbRecord = await this.dbRequest('readonly', store => store.get(slotName)) || null;
+      } catch (e) {
+        console.warn(`Failed to read save "${slotName}" from IndexedDB:`, e);
+      }
+    }
+
+    let record = localRecord;
+    if (dbRecord && (!record || dbRecord.savedAt > record.savedAt)) {
+      record = dbRecord;
+    }
+
+    if (!record) {
+      console.warn(`No save found in slot "${slotName}"`);
+      return null;
+    }
+
+    const migrated = this.migrate(record);
+    if (migrated && this.onLoaded) {
+      this.onLoaded(slotName, migrated);
+    }
+    return migrated;
+  }
+
+  /**
+   * Read a save record from localStorage
+   * @param {string} slotName
+   * @returns {Object|null}
+   */
+  readLocal(slotName) {
+    try {
+      const raw = localStorage.getItem(SLOT_KEY_PREFIX + slotName);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      console.warn(`Failed to read save "${slotName}" from localStorage:`, e);
+      return null;
+    }
+  }
+
+  /**
+   * Bring an older save record up to the current version
+   * @param {Object} record
+   * @returns {Object|null} Upgraded record, or null if it can't be read
+   */
+  migrate(record) {
+    if (!record || typeof record.version !== 'number') {
+      console.warn('Save record has no version, ignoring');
+      return null;
+    }
+
+    if (record.version > SAVE_VERSION) {
+      console.warn(`Save "${record.slot}" was made by a newer version (v${record.version})`);
+      return null;
+    }
+
+    let upgraded = record;
+    while (upgraded.version < SAVE_VERSION) {
+      const migration = MIGRATIONS[upgraded.version];
+      if (!migration) {
+        console.warn(`No migration from save version ${upgraded.version}`);
+        return null;
+      }
+      upgraded = { ...migration(upgraded), version: upgraded.version + 1 };
+    }
+
+    return upgraded;
+  }
+
+  /**
+   * Delete a save slot from both stores
+   * @param {string} slotName
+   */
+  async deleteSlot(slotName) {
+    try {
+      localStorage.removeItem(SLOT_KEY_PREFIX + slotName);
+    } catch (e) {
+      console.warn(`Failed to delete save "${slotName}" from localStorage:`, e);
+    }
+
+    if (this.db) {
+      try {
+        await this.dbRequest('readwrite', store => store.delete(slotName));
+      } catch (e) {
+        console.warn(`Failed to delete save "${slotName}" from IndexedDB:`, e);
+      }
+    }
+  }
+
+  /**
+   * List all save slots, newest first
+   * @returns {Promise<Array>} Array of {slot, savedAt, version, summary}
+   */
+  async listSlots() {
+    const slots = new Map();
+
+    const addRecord = (record) => {
+      if (!record || !record.slot) return;
+      const existing = slots.get(record.slot);
+      if (!existing || record.savedAt > existing.savedAt) {
+        slots.set(record.slot, {
+          slot: record.slot,
+          savedAt: record.savedAt,
+          version: record.version,
+          summary: record.summary || {},
+        });
+      }
+    };
+
+    try {
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(SLOT_KEY_PREFIX)) {
+          addRecord(this.readLocal(key.slice(SLOT_KEY_PREFIX.length)));
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to list saves in localStorage:', e);
+    }
+
+    if (this.db) {
+      try {
+        const records = await this.dbRequest('readonly', store => store.getAll());
+        records.forEach(addRecord);
+      } catch (e) {
+        console.warn('Failed to list saves in IndexedDB:', e);
+      }
+    }
+
+    return Array.from(slots.values()).sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Get the most recently written slot
+   * @returns {Promise<Object|null>}
+   */
+  async getLatestSlot() {
+    const slots = await this.listSlots();
+    return slots.length > 0 ? slots[0] : null;
+  }
+
+  /**
+   * Check if any save exists
+   * @returns {Promise<boolean>}
+   */
+  async hasSaves() {
+    return (await this.getLatestSlot()) !== null;
+  }
+}
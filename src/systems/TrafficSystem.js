@@ -0,0 +1,598 @@
+/**
+ * TrafficSystem - AI vehicles driving on the road graph
+ *
+ * Spawns cars, jeepneys and trucks around the player that follow
+ * Pathfinder graph edges in the right-hand lane, keep to each road's
+ * speed limit, brake for vehicles ahead and pick turns at intersections.
+ */
+
+import * as BABYLON from '@babylonjs/core';
+import { getRoadLayout, getLaneOffset } from '../world/RoadRenderer.js';
+
+// Traffic vehicle definitions
+export const TrafficVehicleTypes = {
+  CAR: {
+    id: 'car',
+    models: ['vehicle-suv.glb', 'vehicle-racer.glb'],
+    modelScale: 1.6,
+    size: { width: 1.9, height: 1.5, length: 4.2 },
+    speedFactor: 1.0,
+    weight: 0.6,
+  },
+  JEEPNEY: {
+    id: 'jeepney',
+    models: [], // Built procedurally
+    size: { width: 2.0, height: 2.2, length: 6.0 },
+    speedFactor: 0.85,
+    weight: 0.25,
+  },
+  TRUCK: {
+    id: 'truck',
+    models: ['vehicle-truck.glb'],
+    modelScale: 2.0,
+    size: { width: 2.5, height: 2.8, length: 5.0 },
+    speedFactor: 0.9,
+    weight: 0.15,
+  },
+};
+
+// Jeepney body colors (painted in bright, mixed liveries)
+const JEEPNEY_COLORS = [
+  new BABYLON.Color3(0.85, 0.15, 0.15),
+  new BABYLON.Color3(0.1, 0.45, 0.85),
+  new BABYLON.Color3(0.95, 0.75, 0.1),
+  new BABYLON.Color3(0.15, 0.65, 0.3),
+  new BABYLON.Color3(0.75, 0.75, 0.78),
+];
+
+export class TrafficSystem {
+  constructor(scene, pathfinder, shadowGenerator = null, floatingOrigin = null) {
+    this.scene = scene;
+    this.pathfinder = pathfinder;
+    this.shadowGenerator = shadowGenerator;
+
+    // Vehicle positions are absolute; the origin converts them for the scene
+    this.floatingOrigin = floatingOrigin;
+
+    // Road lookup for speed limits and lane layout
+    this.roadsById = new Map();
+    this.layouts = new Map();
+
+    // Loaded model containers by file name
+    this.modelContainers = {};
+    this.jeepneyMaterials = [];
+
+    // Active vehicles
+    this.vehicles = [];
+    this.nextVehicleId = 0;
+
+    // Population settings
+    this.maxVehicles = 20;
+    this.spawnMinDistance = 150;
+    this.spawnMaxDistance = 450;
+    this.despawnDistance = 650;
+    this.spawnInterval = 0.5; // seconds between spawn attempts
+    this.spawnTimer = 0;
+
+    // Driving behavior
+    this.acceleration = 2.5; // m/s^2
+    this.braking = 6.0; // m/s^2
+    this.minGap = 6; // meters kept to the vehicle ahead when stopped
+    this.timeHeadway = 1.5; // seconds of following distance
+    this.lookAhead = 40; // meters scanned for vehicles ahead
+    this.turnSpeed = 6; // m/s through sharp turns
+    this.defaultSpeedLimit = 40; // km/h when road data has none
+
+    this.enabled = true;
+  }
+
+  /**
+   * Load traffic vehicle models
+   */
+  async init() {
+    for (const road of this.pathfinder.roads) {
+      this.roadsById.set(road.id, road);
+    }
+
+    const files = new Set();
+    for (const type of Object.values(TrafficVehicleTypes)) {
+      type.models.forEach(file => files.add(file));
+    }
+
+    for (const file of files) {
+      try {
+        this.modelContainers[file] = await BABYLON.SceneLoader.LoadAssetContainerAsync(
+          '/models/vehicles/', file, this.scene
+        );
+      } catch (e) {
+        console.warn(`TrafficSystem: Failed to load ${file}:`, e.message);
+      }
+    }
+
+    for (let i = 0; i < JEEPNEY_COLORS.length; i++) {
+      const mat = new BABYLON.StandardMaterial(`jeepneyMat_${i}`, this.scene);
+      mat.diffuseColor = JEEPNEY_COLORS[i];
+      mat.specularColor = new BABYLON.Color3(0.3, 0.3, 0.3);
+      this.jeepneyMaterials.push(mat);
+    }
+
+    console.log(`TrafficSystem initialized with ${Object.keys(this.modelContainers).length} vehicle models`);
+  }
+
+  /**
+   * Update traffic (spawn, drive, despawn)
+   * @param {number} deltaTime - Time since last frame in seconds
+   * @param {BABYLON.Vector3} playerPosition - Absolute world position
+   */
+  update(deltaTime, playerPosition) {
+    if (!this.enabled || !this.pathfinder.isReady()) return;
+
+    // Despawn far vehicles
+    for (let i = this.vehicles.length - 1; i >= 0; i--) {
+      const v = this.vehicles[i];
+      const dx = v.position.x - playerPosition.x;
+      const dz = v.position.z - playerPosition.z;
+      if (dx * dx + dz * dz > this.despawnDistance * this.despawnDistance) {
+        this.removeVehicle(v);
+        this.vehicles.splice(i, 1);
+      }
+    }
+
+    // Spawn new vehicles
+    this.spawnTimer += deltaTime;
+    if (this.spawnTimer >= this.spawnInterval) {
+      this.spawnTimer = 0;
+      if (this.vehicles.length < this.maxVehicles) {
+        this.trySpawn(playerPosition);
+      }
+    }
+
+    // Drive
+    for (const v of this.vehicles) {
+      this.updateVehicle(v, deltaTime, playerPosition);
+    }
+  }
+
+  /**
+   * Try to spawn a vehicle on a random graph node near the player
+   * @param {BABYLON.Vector3} playerPosition
+   */
+  trySpawn(playerPosition) {
+    const pf = this.pathfinder;
+    const cellRange = Math.ceil(this.spawnMaxDistance / pf.gridCellSize);
+    const cellX = Math.floor(playerPosition.x / pf.gridCellSize) + Math.round((Math.random() * 2 - 1) * cellRange);
+    const cellZ = Math.floor(playerPosition.z / pf.gridCellSize) + Math.round((Math.random() * 2 - 1) * cellRange);
+
+    const cellNodes = pf.spatialGrid.get(`${cellX},${cellZ}`);
+    if (!cellNodes || cellNodes.length === 0) return;
+
+    const nodeId = cellNodes[Math.floor(Math.random() * cellNodes.length)];
+    const node = pf.nodes.get(nodeId);
+    if (!node || node.edges.length === 0) return;
+
+    const dist = Math.sqrt((node.x - playerPosition.x) ** 2 + (node.z - playerPosition.z) ** 2);
+    if (dist < this.spawnMinDistance || dist > this.spawnMaxDistance) return;
+
+    // Keep spawn points clear of existing traffic
+    for (const v of this.vehicles) {
+      if (Math.abs(v.position.x - node.x) < 20 && Math.abs(v.position.z - node.z) < 20) return;
+    }
+
+    const edges = node.edges.filter(e => this.pathfinder.canTraverse(e));
+    if (edges.length === 0) return;
+    const edge = edges[Math.floor(Math.random() * edges.length)];
+    this.spawnVehicle(this.pickType(), nodeId, edge);
+  }
+
+  /**
+   * Lane layout of a road (cached)
+   * @param {string} roadId
+   * @returns {Object} From getRoadLayout
+   */
+  getLayout(roadId) {
+    let layout = this.layouts.get(roadId);
+    if (!layout) {
+      layout = getRoadLayout(this.roadsById.get(roadId) || {});
+      this.layouts.set(roadId, layout);
+    }
+    return layout;
+  }
+
+  /**
+   * Pick a vehicle type by weight
+   * @returns {Object}
+   */
+  pickType() {
+    const types = Object.values(TrafficVehicleTypes);
+    let roll = Math.random();
+    for (const type of types) {
+      roll -= type.weight;
+      if (roll <= 0) return type;
+    }
+    return types[0];
+  }
+
+  /**
+   * Create an AI vehicle on a graph edge
+   * @param {Object} type - TrafficVehicleTypes entry
+   * @param {string} fromNodeId
+   * @param {Object} edge - Pathfinder edge {nodeId, distance, roadId}
+   */
+  spawnVehicle(type, fromNodeId, edge) {
+    const id = this.nextVehicleId++;
+    const { width, height, length } = type.size;
+
+    // Physics box drives the vehicle; the visual model is parented to it
+    const body = BABYLON.MeshBuilder.CreateBox(`traffic_${id}`, { width, height, depth: length }, this.scene);
+    body.visibility = 0;
+    body.rotationQuaternion = BABYLON.Quaternion.Identity();
+
+    const visual = this.createVisual(type, id);
+    if (visual) {
+      visual.parent = body;
+      visual.position.y = -height / 2;
+    }
+
+    const aggregate = new BABYLON.PhysicsAggregate(
+      body,
+      BABYLON.PhysicsShapeType.BOX,
+      { mass: 1500, friction: 0.6, restitution: 0.1 },
+      this.scene
+    );
+    // Animated bodies push the player but are moved only by this system
+    aggregate.body.setMotionType(BABYLON.PhysicsMotionType.ANIMATED);
+    aggregate.body.disablePreStep = true;
+
+    const vehicle = {
+      id,
+      type,
+      body,
+      visual,
+      aggregate,
+      position: new BABYLON.Vector3(),
+      heading: 0,
+      speed: 0,
+      driverFactor: 0.9 + Math.random() * 0.15,
+      laneIndex: 0,
+      fromNodeId,
+      edge,
+      nextEdge: null,
+      progress: 0, // meters along current edge
+    };
+
+    this.enterEdge(vehicle, fromNodeId, edge);
+    vehicle.speed = this.getTargetSpeed(vehicle) * 0.8;
+    this.placeVehicle(vehicle, true);
+
+    this.vehicles.push(vehicle);
+  }
+
+  /**
+   * Build the visual model for a vehicle
+   * @param {Object} type
+   * @param {number} id
+   * @returns {BABYLON.TransformNode|null}
+   */
+  createVisual(type, id) {
+    if (type === TrafficVehicleTypes.JEEPNEY) {
+      return this.createJeepney(id);
+    }
+
+    const available = type.models.filter(file => this.modelContainers[file]);
+    if (available.length === 0) return this.createBoxVehicle(type, id);
+
+    const file = available[Math.floor(Math.random() * available.length)];
+    const entries = this.modelContainers[file].instantiateModelsToScene(name => `traffic_${id}_${name}`, false);
+    const root = entries.rootNodes[0];
+    if (!root) return this.createBoxVehicle(type, id);
+
+    root.scaling = new BABYLON.Vector3(type.modelScale, type.modelScale, type.modelScale);
+    // Kenney models face Z-, rotate to face Z+
+    root.rotation = new BABYLON.Vector3(0, Math.PI, 0);
+    root.rotationQuaternion = null;
+
+    if (this.shadowGenerator) {
+      root.getChildMeshes().forEach(mesh => this.shadowGenerator.addShadowCaster(mesh));
+    }
+
+    return root;
+  }
+
+  /**
+   * Build a procedural jeepney (long passenger body with open sides and roof rack)
+   * @param {number} id
+   * @returns {BABYLON.TransformNode}
+   */
+  createJeepney(id) {
+    const root = new BABYLON.TransformNode(`jeepney_${id}`, this.scene);
+    const { width, height, length } = TrafficVehicleTypes.JEEPNEY.size;
+    const paint = this.jeepneyMaterials[Math.floor(Math.random() * this.jeepneyMaterials.length)];
+
+    const hood = BABYLON.MeshBuilder.CreateBox(`jeepney_${id}_hood`, {
+      width: width * 0.9, height: height * 0.45, depth: length * 0.25,
+    }, this.scene);
+    hood.material = paint;
+    hood.position = new BABYLON.Vector3(0, height * 0.35, length * 0.37);
+    hood.parent = root;
+
+    const cabin = BABYLON.MeshBuilder.CreateBox(`jeepney_${id}_cabin`, {
+      width, height: height * 0.75, depth: length * 0.75,
+    }, this.scene);
+    cabin.material = paint;
+    cabin.position = new BABYLON.Vector3(0, height * 0.5, -length * 0.12);
+    cabin.parent = root;
+
+    const roof = BABYLON.MeshBuilder.CreateBox(`jeepney_${id}_roof`, {
+      width: width * 1.05, height: 0.12, depth: length * 0.8,
+    }, this.scene);
+    roof.material = paint;
+    roof.position = new BABYLON.Vector3(0, height * 0.92, -length * 0.1);
+    roof.parent = root;
+
+    if (this.shadowGenerator) {
+      this.shadowGenerator.addShadowCaster(hood);
+      this.shadowGenerator.addShadowCaster(cabin);
+    }
+
+    return root;
+  }
+
+  /**
+   * Fallback box vehicle when a model failed to load
+   * @param {Object} type
+   * @param {number} id
+   * @returns {BABYLON.Mesh}
+   */
+  createBoxVehicle(type, id) {
+    const { width, height, length } = type.size;
+    const box = BABYLON.MeshBuilder.CreateBox(`traffic_${id}_visual`, { width, height, depth: length }, this.scene);
+    box.position.y = height / 2;
+    box.material = this.jeepneyMaterials[id % this.jeepneyMaterials.length] || null;
+    return box;
+  }
+
+  /**
+   * Start driving along an edge and choose the turn at its end
+   * @param {Object} vehicle
+   * @param {string} fromNodeId
+   * @param {Object} edge
+   */
+  enterEdge(vehicle, fromNodeId, edge) {
+    vehicle.fromNodeId = fromNodeId;
+    vehicle.edge = edge;
+    vehicle.progress = 0;
+
+    const layout = this.getLayout(edge.roadId);
+    const lanesPerDirection = edge.forward === false ? layout.backwardLanes : layout.forwardLanes;
+    vehicle.laneIndex = Math.min(vehicle.laneIndex, Math.max(1, lanesPerDirection) - 1);
+
+    vehicle.nextEdge = this.chooseNextEdge(fromNodeId, edge);
+  }
+
+  /**
+   * Choose which edge to take at the end of the current one
+   * Prefers staying on the same road, avoids U-turns unless at a dead end.
+   * @param {string} fromNodeId
+   * @param {Object} edge
+   * @returns {Object|null}
+   */
+  chooseNextEdge(fromNodeId, edge) {
+    const node = this.pathfinder.nodes.get(edge.nodeId);
+    if (!node) return null;
+
+    const options = node.edges.filter(e => e.nodeId !== fromNodeId && this.pathfinder.canTraverse(e));
+    if (options.length === 0) {
+      // Dead end - turn around
+      return node.edges.find(e => e.nodeId === fromNodeId) || null;
+    }
+
+    // Weight straight-on continuation of the same road higher than turns
+    const weights = options.map(e => (e.roadId === edge.roadId ? 3 : 1));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let roll = Math.random() * total;
+    for (let i = 0; i < options.length; i++) {
+      roll -= weights[i];
+      if (roll <= 0) return options[i];
+    }
+    return options[options.length - 1];
+  }
+
+  /**
+   * Get the speed limit for a vehicle's current road in m/s
+   * @param {Object} vehicle
+   * @returns {number}
+   */
+  getTargetSpeed(vehicle) {
+    const road = this.roadsById.get(vehicle.edge.roadId);
+    const limitKmh = road && road.speedLimit ? road.speedLimit : this.defaultSpeedLimit;
+    return (limitKmh / 3.6) * vehicle.type.speedFactor * vehicle.driverFactor;
+  }
+
+  /**
+   * Get the turn angle between the current and next edge (radians, 0 = straight)
+   * @param {Object} vehicle
+   * @returns {number}
+   */
+  getTurnAngle(vehicle) {
+    if (!vehicle.nextEdge) return 0;
+    const nodes = this.pathfinder.nodes;
+    const a = nodes.get(vehicle.fromNodeId);
+    const b = nodes.get(vehicle.edge.nodeId);
+    const c = nodes.get(vehicle.nextEdge.nodeId);
+    const h1 = Math.atan2(b.x - a.x, b.z - a.z);
+    const h2 = Math.atan2(c.x - b.x, c.z - b.z);
+    let diff = h2 - h1;
+    while (diff > Math.PI) diff -= Math.PI * 2;
+    while (diff < -Math.PI) diff += Math.PI * 2;
+    return Math.abs(diff);
+  }
+
+  /**
+   * Drive one vehicle
+   * @param {Object} vehicle
+   * @param {number} deltaTime
+   * @param {BABYLON.Vector3} playerPosition
+   */
+  updateVehicle(vehicle, deltaTime, playerPosition) {
+    let targetSpeed = this.getTargetSpeed(vehicle);
+
+    // Slow down for sharp turns near the end of the edge
+    const remaining = vehicle.edge.distance - vehicle.progress;
+    if (remaining < 25 && this.getTurnAngle(vehicle) > Math.PI / 4) {
+      targetSpeed = Math.min(targetSpeed, this.turnSpeed);
+    }
+
+    // Keep a safe gap to whatever is ahead
+    const gap = this.findGapAhead(vehicle, playerPosition);
+    if (gap) {
+      // Settles at minGap + speed * timeHeadway behind the leader
+      const safeSpeed = Math.max(0, (gap.distance - this.minGap) / this.timeHeadway);
+      targetSpeed = Math.min(targetSpeed, safeSpeed);
+    }
+
+    if (vehicle.speed < targetSpeed) {
+      vehicle.speed = Math.min(targetSpeed, vehicle.speed + this.acceleration * deltaTime);
+    } else {
+      vehicle.speed = Math.max(targetSpeed, vehicle.speed - this.braking * deltaTime);
+    }
+
+    // Advance along edges
+    vehicle.progress += vehicle.speed * deltaTime;
+    while (vehicle.progress >= vehicle.edge.distance) {
+      const overflow = vehicle.progress - vehicle.edge.distance;
+      if (!vehicle.nextEdge) {
+        vehicle.progress = vehicle.edge.distance;
+        vehicle.speed = 0;
+        break;
+      }
+      this.enterEdge(vehicle, vehicle.edge.nodeId, vehicle.nextEdge);
+      vehicle.progress = overflow;
+    }
+
+    this.placeVehicle(vehicle, false, deltaTime);
+  }
+
+  /**
+   * Find the nearest vehicle (or the player) ahead in the same lane
+   * @param {Object} vehicle
+   * @param {BABYLON.Vector3} playerPosition
+   * @returns {{distance: number}|null}
+   */
+  findGapAhead(vehicle, playerPosition) {
+    const dirX = Math.sin(vehicle.heading);
+    const dirZ = Math.cos(vehicle.heading);
+    const halfLength = vehicle.type.size.length / 2;
+    let nearest = null;
+
+    const check = (x, z, otherHalfLength) => {
+      const dx = x - vehicle.position.x;
+      const dz = z - vehicle.position.z;
+      const along = dx * dirX + dz * dirZ;
+      if (along <= 0 || along > this.lookAhead) return;
+      const lateral = Math.abs(dx * dirZ - dz * dirX);
+      if (lateral > 2.5) return;
+      const distance = along - halfLength - otherHalfLength;
+      if (!nearest || distance < nearest.distance) {
+        nearest = { distance };
+      }
+    };
+
+    for (const other of this.vehicles) {
+      if (other === vehicle) continue;
+      // Only vehicles heading roughly the same way block the lane
+      if (Math.cos(other.heading - vehicle.heading) < 0.5) continue;
+      check(other.position.x, other.position.z, other.type.size.length / 2);
+    }
+
+    if (playerPosition) {
+      check(playerPosition.x, playerPosition.z, 2);
+    }
+
+    return nearest;
+  }
+
+  /**
+   * Position a vehicle on its lane along the current edge
+   * @param {Object} vehicle
+   * @param {boolean} snap - Jump straight to the pose instead of smoothing
+   * @param {number} deltaTime
+   */
+  placeVehicle(vehicle, snap, deltaTime = 0) {
+    const nodes = this.pathfinder.nodes;
+    const a = nodes.get(vehicle.fromNodeId);
+    const b = nodes.get(vehicle.edge.nodeId);
+    const t = vehicle.edge.distance > 0 ? vehicle.progress / vehicle.edge.distance : 0;
+
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const len = Math.sqrt(dx * dx + dz * dz) || 1;
+    const dirX = dx / len;
+    const dirZ = dz / len;
+
+    // Drive on the right: offset to the right of travel direction
+    const layout = this.getLayout(vehicle.edge.roadId);
+    const offset = getLaneOffset(layout, vehicle.laneIndex, vehicle.edge.forward !== false);
+
+    const x = a.x + dx * t + dirZ * offset;
+    const z = a.z + dz * t - dirX * offset;
+    const y = a.y + (b.y - a.y) * t + vehicle.type.size.height / 2;
+
+    const targetHeading = Math.atan2(dirX, dirZ);
+    if (snap) {
+      vehicle.heading = targetHeading;
+    } else {
+      // Smooth heading changes through corners
+      let diff = targetHeading - vehicle.heading;
+      while (diff > Math.PI) diff -= Math.PI * 2;
+      while (diff < -Math.PI) diff += Math.PI * 2;
+      vehicle.heading += diff * Math.min(1, deltaTime * 6);
+    }
+
+    vehicle.position.set(x, y, z);
+    const rotation = BABYLON.Quaternion.RotationYawPitchRoll(vehicle.heading, 0, 0);
+    const scenePosition = this.floatingOrigin ? this.floatingOrigin.toLocal(vehicle.position) : vehicle.position;
+
+    if (snap) {
+      vehicle.body.position.copyFrom(scenePosition);
+      vehicle.body.rotationQuaternion = rotation;
+      vehicle.aggregate.body.disablePreStep = false;
+      this.scene.onAfterPhysicsObservable.addOnce(() => {
+        vehicle.aggregate.body.disablePreStep = true;
+      });
+    } else {
+      // Target transform gives the animated body a real velocity for collisions
+      vehicle.aggregate.body.setTargetTransform(scenePosition, rotation);
+    }
+  }
+
+  /**
+   * Dispose a vehicle's meshes and physics
+   * @param {Object} vehicle
+   */
+  removeVehicle(vehicle) {
+    vehicle.aggregate.dispose();
+    if (vehicle.visual) vehicle.visual.dispose(false, false);
+    vehicle.body.dispose();
+  }
+
+  /**
+   * Remove all traffic
+   */
+  clear() {
+    for (const v of this.vehicles) {
+      this.removeVehicle(v);
+    }
+    this.vehicles = [];
+  }
+
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    this.clear();
+    for (const container of Object.values(this.modelContainers)) {
+      container.dispose();
+    }
+    this.modelContainers = {};
+  }
+}
@@ -0,0 +1,812 @@
+/**
+ * TrailerSystem - Articulated trailers towed by the player truck
+ *
+ * Each trailer is its own Havok body riding on raycast wheels, coupled to
+ * the truck's fifth wheel with a ball joint that lets it yaw freely but
+ * limits pitch and roll. Bodies are built procedurally per cargo trailerType.
+ * Parked trailers rest on landing legs with their brakes on.
+ */
+
+import * as BABYLON from '@babylonjs/core';
+import { VehicleController } from './VehicleController.js';
+
+// Trailer bodies by cargo trailerType (meters, kg)
+export const TrailerTypes = {
+  container: { id: 'container', name: 'Container Chassis', length: 12, height: 2.6, emptyMass: 4500, color: '#C62828' },
+  refrigerated: { id: 'refrigerated', name: 'Reefer', length: 12, height: 2.6, emptyMass: 6500, color: '#ECEFF1' },
+  tanker: { id: 'tanker', name: 'Tanker', length: 11, height: 2.2, emptyMass: 6000, color: '#B0BEC5' },
+  flatbed: { id: 'flatbed', name: 'Flatbed', length: 12, height: 1.3, emptyMass: 4000, color: '#5D4037' },
+  dump: { id: 'dump', name: 'Dump Trailer', length: 9, height: 1.8, emptyMass: 6000, color: '#F9A825' },
+  livestock: { id: 'livestock', name: 'Livestock Trailer', length: 11, height: 2.4, emptyMass: 5500, color: '#8D6E63' },
+  logging: { id: 'logging', name: 'Log Trailer', length: 11, height: 1.9, emptyMass: 4500, color: '#424242' },
+  lowboy: { id: 'lowboy', name: 'Lowboy', length: 13, height: 1.6, emptyMass: 7000, color: '#37474F' },
+  covered: { id: 'covered', name: 'Curtainsider', length: 12, height: 2.6, emptyMass: 5000, color: '#1565C0' },
+};
+
+// Payload mass by cargo weight class (kg)
+export const CargoWeightMass = {
+  light: 3000,
+  medium: 6000,
+  heavy: 10000,
+  very_heavy: 14000,
+};
+
+const TRAILER_WIDTH = 2.5;
+const DECK_THICKNESS = 0.25;
+
+// Kingpin distance behind the trailer's front face
+const KINGPIN_SETBACK = 0.5;
+
+// Fifth wheel position along the truck, just behind the rear axle
+const FIFTH_WHEEL_Z = -1.6;
+
+// Hitching tolerances
+const HITCH_RANGE = 2.0; // meters between kingpin and fifth wheel
+const HITCH_MAX_ANGLE = 0.6; // radians between truck and trailer heading
+const HITCH_MAX_SPEED = 1.5; // m/s
+
+/**
+ * A single trailer: physics body, raycast wheels and procedural model
+ */
+export class Trailer {
+  /**
+   * @param {BABYLON.Scene} scene
+   * @param {Object} options
+   * @param {string} options.id - Unique trailer id
+   * @param {string} options.typeId - TrailerTypes key
+   * @param {string} [options.cargoId] - CargoTypes id of the load
+   * @param {string} [options.jobId] - Job the trailer belongs to
+   * @param {number} options.mass - Total mass including cargo (kg)
+   * @param {BABYLON.ShadowGenerator} [shadowGenerator]
+   */
+  constructor(scene, options, shadowGenerator = null) {
+    this.scene = scene;
+    this.shadowGenerator = shadowGenerator;
+
+    this.id = options.id;
+    this.type = TrailerTypes[options.typeId] || TrailerTypes.container;
+    this.cargoId = options.cargoId || null;
+    this.jobId = options.jobId || null;
+    this.mass = options.mass;
+
+    this.mesh = null;
+    this.aggregate = null;
+    this.body = null;
+    this.container = null;
+    this.controller = null;
+    this.meshes = [];
+    this.materials = [];
+    this.hitched = false;
+  }
+
+  /**
+   * Create the physics body and model
+   * @param {BABYLON.Vector3} position - Chassis center
+   * @param {BABYLON.Quaternion} rotation
+   */
+  build(position, rotation) {
+    const { length, height } = this.type;
+    const mountY = -height / 2 + 0.1;
+
+    // Invisible collider covering deck and load
+    this.mesh = BABYLON.MeshBuilder.CreateBox(`trailer_${this.id}`, {
+      width: TRAILER_WIDTH,
+      height,
+      depth: length,
+    }, this.scene);
+    this.mesh.visibility = 0;
+    this.mesh.position = position.clone();
+    this.mesh.rotationQuaternion = rotation.clone();
+
+    this.aggregate = new BABYLON.PhysicsAggregate(
+      this.mesh,
+      BABYLON.PhysicsShapeType.BOX,
+      { mass: this.mass, friction: 0.3, restitution: 0.1 },
+      this.scene
+    );
+    this.body = this.aggregate.body;
+    this.body.disablePreStep = false;
+    this.body.setLinearDamping(0.05);
+    this.body.setAngularDamping(0.3);
+
+    // Tandem axle at the rear, landing legs near the front
+    const rearZ = -length / 2;
+    const legZ = length / 2 - 2.5;
+    const wheels = [
+      { id: 'rl1', position: new BABYLON.Vector3(-1.0, mountY, rearZ + 2.9), axle: 'rear', steer: false, drive: false },
+      { id: 'rr1', position: new BABYLON.Vector3(1.0, mountY, rearZ + 2.9), axle: 'rear', steer: false, drive: false },
+      { id: 'rl2', position: new BABYLON.Vector3(-1.0, mountY, rearZ + 1.6), axle: 'rear2', steer: false, drive: false },
+      { id: 'rr2', position: new BABYLON.Vector3(1.0, mountY, rearZ + 1.6), axle: 'rear2', steer: false, drive: false },
+      { id: 'legL', position: new BABYLON.Vector3(-0.9, mountY, legZ), axle: 'front', steer: false, drive: false },
+      { id: 'legR', position: new BABYLON.Vector3(0.9, mountY, legZ), axle: 'front', steer: false, drive: false },
+    ];
+
+    // Load sits low and slightly behind center so the kingpin carries a share of it
+    this.controller = new VehicleController(this.scene, this.body, this.mesh, {
+      mass: this.mass,
+      wheels,
+      centerOfMassY: -height / 2 + 0.8,
+      centerOfMassZ: -length * 0.1,
+      dragCoefficient: 3.0,
+    });
+
+    this.kingpin = new BABYLON.Vector3(0, mountY, length / 2 - KINGPIN_SETBACK);
+
+    this.container = new BABYLON.TransformNode(`trailerContainer_${this.id}`, this.scene);
+    this.container.position.copyFrom(this.mesh.position);
+    this.container.rotationQuaternion = this.mesh.rotationQuaternion.clone();
+
+    this.buildModel();
+    this.buildWheels(wheels.filter(w => !w.id.startsWith('leg')));
+  }
+
+  /**
+   * Distance from the chassis center down to the ground at rest
+   * @param {Object} type - TrailerTypes entry
+   * @returns {number}
+   */
+  static getRideHeight(type) {
+    // Matches VehicleController defaults: 0.5 m rest length, 0.45 m wheels, ~0.1 m sag
+    return type.height / 2 - 0.1 + 0.5 - 0.1 + 0.45;
+  }
+
+  /**
+   * Build the trailer body for its type
+   */
+  buildModel() {
+    const { length, height, color } = this.type;
+    const base = -height / 2;
+    const deckTop = base + DECK_THICKNESS;
+    const top = height / 2;
+
+    const bodyMat = this.createMaterial('body', BABYLON.Color3.FromHexString(color));
+    const frameMat = this.createMaterial('frame', new BABYLON.Color3(0.15, 0.15, 0.16));
+
+    // Chassis deck and landing legs are shared by every type
+    this.addBox('deck', TRAILER_WIDTH, DECK_THICKNESS, length, 0, base + DECK_THICKNESS / 2, 0, frameMat);
+    for (const x of [-0.9, 0.9]) {
+      this.addBox('leg', 0.15, 0.75, 0.15, x, base - 0.375, length / 2 - 2.5, frameMat);
+    }
+
+    const boxHeight = top - deckTop;
+    const boxY = deckTop + boxHeight / 2;
+
+    switch (this.type.id) {
+      case 'container':
+      case 'covered': {
+        this.addBox('box', 2.44, boxHeight, length - 0.2, 0, boxY, 0, bodyMat);
+        break;
+      }
+
+      case 'refrigerated': {
+        this.addBox('box', 2.44, boxHeight, length - 0.2, 0, boxY, 0, bodyMat);
+        const unitMat = this.createMaterial('unit', new BABYLON.Color3(0.3, 0.32, 0.35));
+        this.addBox('reefer', 1.8, 1.0, 0.4, 0, top - 0.7, length / 2 + 0.1, unitMat);
+        break;
+      }
+
+      case 'tanker': {
+        const radius = boxHeight / 2;
+        const tank = BABYLON.MeshBuilder.CreateCylinder(`${this.id}_tank`, {
+          diameter: radius * 2,
+          height: length - 1.2,
+          tessellation: 20,
+        }, this.scene);
+        tank.rotation.x = Math.PI / 2;
+        this.addPart(tank, 0, boxY, 0, bodyMat);
+
+        for (const end of [-1, 1]) {
+          const cap = BABYLON.MeshBuilder.CreateSphere(`${this.id}_cap`, { diameter: radius * 2, segments: 12 }, this.scene);
+          cap.scaling.z = 0.35;
+          this.addPart(cap, 0, boxY, end * (length - 1.2) / 2, bodyMat);
+        }
+        break;
+      }
+
+      case 'flatbed': {
+        // Bundled lumber
+        const loadMat = this.createMaterial('load', new BABYLON.Color3(0.76, 0.6, 0.4));
+        for (let i = 0; i < 3; i++) {
+          const z = -length / 2 + 2 + i * (length - 3) / 3 + 1.2;
+          this.addBox('bundle', 2.2, boxHeight - 0.1, 3.0, 0, deckTop + (boxHeight - 0.1) / 2, z, loadMat);
+        }
+        break;
+      }
+
+      case 'dump': {
+        const wall = 0.12;
+        this.addBox('tubFloor', 2.4, wall, length - 0.4, 0, deckTop + wall / 2, 0, bodyMat);
+        for (const x of [-1.2, 1.2]) {
+          this.addBox('tubSide', wall, boxHeight, length - 0.4, x, boxY, 0, bodyMat);
+        }
+        for (const z of [-(length - 0.4) / 2, (length - 0.4) / 2]) {
+          this.addBox('tubEnd', 2.4, boxHeight, wall, 0, boxY, z, bodyMat);
+        }
+        const fillMat = this.createMaterial('fill', new BABYLON.Color3(0.45, 0.4, 0.35));
+        this.addBox('fill', 2.3, boxHeight * 0.7, length - 0.7, 0, deckTop + boxHeight * 0.35, 0, fillMat);
+        break;
+      }
+
+      case 'livestock': {
+        // Slatted sides under a solid roof
+        const slats = 5;
+        for (let i = 0; i < slats; i++) {
+          const y = deckTop + (i + 0.5) * (boxHeight - 0.2) / slats;
+          for (const x of [-1.2, 1.2]) {
+            this.addBox('slat', 0.08, 0.2, length - 0.4, x, y, 0, bodyMat);
+          }
+        }
+        for (const z of [-(length - 0.4) / 2, (length - 0.4) / 2]) {
+          this.addBox('gate', 2.4, boxHeight, 0.1, 0, boxY, z, bodyMat);
+        }
+        this.addBox('roof', 2.5, 0.1, length - 0.3, 0, top - 0.05, 0, frameMat);
+        break;
+      }
+
+      case 'logging': {
+        const logMat = this.createMaterial('logs', new BABYLON.Color3(0.45, 0.3, 0.18));
+        for (const z of [-length / 2 + 1, -length / 6, length / 6, length / 2 - 1]) {
+          for (const x of [-1.15, 1.15]) {
+            this.addBox('stake', 0.12, boxHeight, 0.12, x, boxY, z, frameMat);
+          }
+        }
+        const logRadius = Math.min(0.35, boxHeight / 4);
+        const rows = [[-0.75, 0, 0.75], [-0.375, 0.375]];
+        rows.forEach((row, level) => {
+          for (const x of row) {
+            const log = BABYLON.MeshBuilder.CreateCylinder(`${this.id}_log`, {
+              diameter: logRadius * 2,
+              height: length - 0.6,
+              tessellation: 10,
+            }, this.scene);
+            log.rotation.x = Math.PI / 2;
+            this.addPart(log, x, deckTop + logRadius * (1 + level * 1.7), 0, logMat);
+          }
+        });
+        break;
+      }
+
+      case 'lowboy': {
+        // Raised gooseneck at the front, heavy machine on the well
+        this.addBox('gooseneck', 2.4, 0.5, 2.5, 0, deckTop + 0.25, length / 2 - 1.25, frameMat);
+        const machineMat = this.createMaterial('machine', new BABYLON.Color3(0.95, 0.7, 0.1));
+        this.addBox('machineBody', 2.2, boxHeight * 0.5, 4.5, 0, deckTop + boxHeight * 0.25, -1, machineMat);
+        this.addBox('machineCab', 1.4, boxHeight * 0.5, 1.6, -0.3, deckTop + boxHeight * 0.75, -0.2, machineMat);
+        break;
+      }
+
+      default:
+        this.addBox('box', 2.44, boxHeight, length - 0.2, 0, boxY, 0, bodyMat);
+    }
+  }
+
+  /**
+   * Create visual wheels at the axle mounts
+   * @param {Array} wheelDefs
+   */
+  buildWheels(wheelDefs) {
+    const controller = this.controller;
+    const wheelMat = this.createMaterial('wheel', new BABYLON.Color3(0.12, 0.12, 0.12));
+    const restDrop = controller.suspensionRestLength - controller.staticCompression;
+
+    for (const def of wheelDefs) {
+      const wheel = BABYLON.MeshBuilder.CreateCylinder(`${this.id}_wheel_${def.id}`, {
+        height: 0.5,
+        diameter: controller.wheelRadius * 2,
+        tessellation: 16,
+      }, this.scene);
+      wheel.rotation.z = Math.PI / 2;
+      this.addPart(wheel, def.position.x, def.position.y - restDrop, def.position.z, wheelMat);
+      controller.attachWheelVisual(def.id, wheel, this.container);
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @param {BABYLON.Color3} color
+   * @returns {BABYLON.StandardMaterial}
+   */
+  createMaterial(name, color) {
+    const material = new BABYLON.StandardMaterial(`${this.id}_${name}Mat`, this.scene);
+    material.diffuseColor = color;
+    material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+    this.materials.push(material);
+    return material;
+  }
+
+  /**
+   * Add a box part to the model
+   * @returns {BABYLON.Mesh}
+   */
+  addBox(name, width, height, depth, x, y, z, material) {
+    const box = BABYLON.MeshBuilder.CreateBox(`${this.id}_${name}`, { width, height, depth }, this.scene);
+    return this.addPart(box, x, y, z, material);
+  }
+
+  /**
+   * Parent a mesh to the model at a local position
+   * @returns {BABYLON.Mesh}
+   */
+  addPart(mesh, x, y, z, material) {
+    mesh.parent = this.container;
+    mesh.position.set(x, y, z);
+    mesh.material = material;
+    mesh.receiveShadows = true;
+    if (this.shadowGenerator) this.shadowGenerator.addShadowCaster(mesh);
+    this.meshes.push(mesh);
+    return mesh;
+  }
+
+  /**
+   * Raise or lower the landing legs
+   * @param {boolean} down
+   */
+  setLegsDown(down) {
+    this.controller.setWheelRetracted('legL', !down);
+    this.controller.setWheelRetracted('legR', !down);
+  }
+
+  /**
+   * Step suspension and tires, then move the model
+   * @param {number} deltaTime
+   * @param {number} brakeForce - Total service brake force (N)
+   * @param {number} grip - Tire grip multiplier
+   */
+  update(deltaTime, brakeForce, grip) {
+    this.controller.update(deltaTime, {
+      steering: 0,
+      driveForce: 0,
+      brakeForce,
+      handbrake: false,
+      grip,
+    });
+
+    this.container.position.copyFrom(this.mesh.position);
+    if (this.mesh.rotationQuaternion) {
+      this.container.rotationQuaternion.copyFrom(this.mesh.rotationQuaternion);
+    }
+  }
+
+  /**
+   * World position of the kingpin
+   * @returns {BABYLON.Vector3}
+   */
+  getKingpinWorld() {
+    this.mesh.computeWorldMatrix(true);
+    return BABYLON.Vector3.TransformCoordinates(this.kingpin, this.mesh.getWorldMatrix());
+  }
+
+  /**
+   * Heading angle of the trailer (radians, 0 = Z+)
+   * @returns {number}
+   */
+  getHeading() {
+    const forward = BABYLON.Vector3.TransformNormal(BABYLON.Vector3.Forward(), this.mesh.getWorldMatrix());
+    return Math.atan2(forward.x, forward.z);
+  }
+
+  /**
+   * Move the trailer, clearing its motion
+   * @param {BABYLON.Vector3} position
+   * @param {BABYLON.Quaternion} rotation
+   */
+  teleport(position, rotation) {
+    this.mesh.position.copyFrom(position);
+    this.mesh.rotationQuaternion = rotation.clone();
+    this.body.setLinearVelocity(BABYLON.Vector3.Zero());
+    this.body.setAngularVelocity(BABYLON.Vector3.Zero());
+    this.controller.reset();
+    this.container.position.copyFrom(position);
+    this.container.rotationQuaternion = rotation.clone();
+  }
+
+  /**
+   * Get save data
+   * @returns {Object}
+   */
+  getSaveData() {
+    const pos = this.mesh.position;
+    const rot = this.mesh.rotationQuaternion;
+    return {
+      id: this.id,
+      typeId: this.type.id,
+      cargoId: this.cargoId,
+      jobId: this.jobId,
+      mass: this.mass,
+      position: { x: pos.x, y: pos.y, z: pos.z },
+      rotation: { x: rot.x, y: rot.y, z: rot.z, w: rot.w },
+    };
+  }
+
+  /**
+   * Dispose of the body and model
+   */
+  dispose() {
+    if (this.aggregate) this.aggregate.dispose();
+    for (const mesh of this.meshes) mesh.dispose();
+    for (const material of this.materials) material.dispose();
+    if (this.container) this.container.dispose();
+    if (this.mesh) this.mesh.dispose();
+    this.meshes = [];
+    this.materials = [];
+  }
+}
+
+export class TrailerSystem {
+  /**
+   * @param {BABYLON.Scene} scene
+   * @param {Pathfinder} pathfinder - Road graph used to park trailers beside roads
+   * @param {BABYLON.ShadowGenerator} [shadowGenerator]
+   * @param {FloatingOrigin} [floatingOrigin] - Converts between road-graph and scene positions
+   */
+  constructor(scene, pathfinder, shadowGenerator = null, floatingOrigin = null) {
+    this.scene = scene;
+    this.pathfinder = pathfinder;
+    this.shadowGenerator = shadowGenerator;
+    this.floatingOrigin = floatingOrigin;
+
+    this.trailers = [];
+    this.nextId = 1;
+
+    // Towing truck
+    this.tractorBody = null;
+    this.tractorMesh = null;
+    this.fifthWheel = new BABYLON.Vector3(0, -0.35, FIFTH_WHEEL_Z);
+
+    // Coupling
+    this.hitchedTrailer = null;
+    this.constraint = null;
+
+    this.raycastResult = new BABYLON.PhysicsRaycastResult();
+
+    // Callbacks
+    this.onHitched = null;
+    this.onUnhitched = null;
+  }
+
+  /**
+   * Set the truck that tows trailers
+   * @param {BABYLON.PhysicsBody} body
+   * @param {BABYLON.AbstractMesh} mesh
+   * @param {VehicleController} controller - Fifth wheel sits at its wheel mount height
+   */
+  setTractor(body, mesh, controller) {
+    this.tractorBody = body;
+    this.tractorMesh = mesh;
+    this.fifthWheel.y = controller.wheels[0].position.y;
+  }
+
+  /**
+   * Total trailer mass for a cargo
+   * @param {Object} cargo - CargoTypes entry
+   * @returns {number} kg
+   */
+  getTrailerMass(cargo) {
+    const type = TrailerTypes[cargo.trailerType] || TrailerTypes.container;
+    return type.emptyMass + (CargoWeightMass[cargo.weight] || CargoWeightMass.medium);
+  }
+
+  /**
+   * Convert a scene position to absolute world coordinates
+   * @param {BABYLON.Vector3} position
+   * @returns {BABYLON.Vector3}
+   */
+  toWorld(position) {
+    return this.floatingOrigin ? this.floatingOrigin.toWorld(position) : position.clone();
+  }
+
+  /**
+   * Convert absolute world coordinates to a scene position
+   * @param {{x: number, y: number, z: number}} position
+   * @returns {BABYLON.Vector3}
+   */
+  toLocal(position) {
+    return this.floatingOrigin
+      ? this.floatingOrigin.toLocal(position)
+      : new BABYLON.Vector3(position.x, position.y, position.z);
+  }
+
+  /**
+   * Absolute world position of a trailer
+   * @param {Trailer} trailer
+   * @returns {BABYLON.Vector3}
+   */
+  getWorldPosition(trailer) {
+    return this.toWorld(trailer.mesh.position);
+  }
+
+  /**
+   * Park a loaded trailer for a job beside the road nearest a location
+   * @param {Object} job - Job with cargo and id
+   * @param {number} x - Absolute world X
+   * @param {number} z - Absolute world Z
+   * @returns {Trailer}
+   */
+  spawnForJob(job, x, z) {
+    const parking = this.findParkingSpot(x, z);
+    const spot = this.toLocal({ x: parking.x, y: 0, z: parking.z });
+    const type = TrailerTypes[job.cargo.trailerType] || TrailerTypes.container;
+
+    const trailer = this.createTrailer({
+      typeId: type.id,
+      cargoId: job.cargo.id,
+      jobId: job.id,
+      mass: this.getTrailerMass(job.cargo),
+    }, this.getSpawnPosition(type, spot.x, spot.z), BABYLON.Quaternion.RotationYawPitchRoll(parking.heading, 0, 0));
+
+    console.log(`${type.name} (${(trailer.mass / 1000).toFixed(1)} t) waiting at ${job.origin.name}`);
+    return trailer;
+  }
+
+  /**
+   * Create a trailer and add it to the world
+   * @param {Object} options - Trailer options without id
+   * @param {BABYLON.Vector3} position
+   * @param {BABYLON.Quaternion} rotation
+   * @param {string} [id]
+   * @returns {Trailer}
+   */
+  createTrailer(options, position, rotation, id = null) {
+    const trailer = new Trailer(this.scene, { ...options, id: id || `t${this.nextId++}` }, this.shadowGenerator);
+    trailer.build(position, rotation);
+    trailer.setLegsDown(true);
+    this.trailers.push(trailer);
+    return trailer;
+  }
+
+  /**
+   * Find a spot on the shoulder of the road nearest a location (absolute coordinates)
+   * @param {number} x
+   * @param {number} z
+   * @returns {{x: number, z: number, heading: number}}
+   */
+  findParkingSpot(x, z) {
+    const spot = this.pathfinder && this.pathfinder.isReady() ? this.pathfinder.findRoadside(x, z) : null;
+    return spot || { x, z, heading: 0 };
+  }
+
+  /**
+   * Chassis position that leaves a trailer's wheels just above the ground
+   * @param {Object} type - TrailerTypes entry
+   * @param {number} x - Scene X
+   * @param {number} z - Scene Z
+   * @returns {BABYLON.Vector3}
+   */
+  getSpawnPosition(type, x, z) {
+    const physicsEngine = this.scene.getPhysicsEngine();
+    let groundY = 0;
+    if (physicsEngine) {
+      physicsEngine.raycastToRef(
+        new BABYLON.Vector3(x, 500, z),
+        new BABYLON.Vector3(x, -100, z),
+        this.raycastResult
+      );
+      if (this.raycastResult.hasHit) groundY = this.raycastResult.hitPointWorld.y;
+    }
+    return new BABYLON.Vector3(x, groundY + Trailer.getRideHeight(type) + 0.2, z);
+  }
+
+  /**
+   * World position of the truck's fifth wheel
+   * @returns {BABYLON.Vector3}
+   */
+  getFifthWheelWorld() {
+    this.tractorMesh.computeWorldMatrix(true);
+    return BABYLON.Vector3.TransformCoordinates(this.fifthWheel, this.tractorMesh.getWorldMatrix());
+  }
+
+  /**
+   * Heading of the truck (radians, 0 = Z+)
+   * @returns {number}
+   */
+  getTractorHeading() {
+    this.tractorMesh.computeWorldMatrix(true);
+    const forward = BABYLON.Vector3.TransformNormal(BABYLON.Vector3.Forward(), this.tractorMesh.getWorldMatrix());
+    return Math.atan2(forward.x, forward.z);
+  }
+
+  /**
+   * Find the closest unhitched trailer and whether it can be coupled
+   * @returns {{trailer: Trailer, distance: number, aligned: boolean}|null}
+   */
+  findHitchCandidate() {
+    if (!this.tractorMesh) return null;
+
+    const fifthWheel = this.getFifthWheelWorld();
+    const heading = this.getTractorHeading();
+    let best = null;
+
+    for (const trailer of this.trailers) {
+      if (trailer.hitched) continue;
+
+      const kingpin = trailer.getKingpinWorld();
+      const distance = Math.hypot(kingpin.x - fifthWheel.x, kingpin.z - fifthWheel.z);
+      if (best && distance >= best.distance) continue;
+
+      let angle = Math.abs(trailer.getHeading() - heading) % (Math.PI * 2);
+      if (angle > Math.PI) angle = Math.PI * 2 - angle;
+      best = { trailer, distance, aligned: angle < HITCH_MAX_ANGLE };
+    }
+
+    return best;
+  }
+
+  /**
+   * Check whether a candidate is close, lined up and the truck slow enough
+   * @param {Object} candidate - From findHitchCandidate()
+   * @returns {boolean}
+   */
+  canHitch(candidate) {
+    if (!candidate) return false;
+    return candidate.distance <= HITCH_RANGE && candidate.aligned && this.isTractorStopped();
+  }
+
+  /**
+   * Check if the truck is slow enough to couple or drop a trailer
+   * @returns {boolean}
+   */
+  isTractorStopped() {
+    return !!this.tractorBody && this.tractorBody.getLinearVelocity().length() <= HITCH_MAX_SPEED;
+  }
+
+  /**
+   * Couple a trailer to the fifth wheel
+   * @param {Trailer} trailer
+   */
+  hitch(trailer) {
+    if (this.hitchedTrailer) this.unhitch();
+
+    // The truck stops against the trailer's nose, so slide the kingpin onto the fifth wheel
+    this.placeOnFifthWheel(trailer, trailer.getHeading());
+
+    // Free yaw, a little pitch for crests and dips, almost no roll
+    this.constraint = new BABYLON.Physics6DoFConstraint(
+      {
+        pivotA: this.fifthWheel.clone(),
+        pivotB: trailer.kingpin.clone(),
+        axisA: new BABYLON.Vector3(1, 0, 0),
+        axisB: new BABYLON.Vector3(1, 0, 0),
+        perpAxisA: new BABYLON.Vector3(0, 1, 0),
+        perpAxisB: new BABYLON.Vector3(0, 1, 0),
+        collision: false,
+      },
+      [
+        { axis: BABYLON.PhysicsConstraintAxis.LINEAR_X, minLimit: 0, maxLimit: 0 },
+        { axis: BABYLON.PhysicsConstraintAxis.LINEAR_Y, minLimit: 0, maxLimit: 0 },
+        { axis: BABYLON.PhysicsConstraintAxis.LINEAR_Z, minLimit: 0, maxLimit: 0 },
+        { axis: BABYLON.PhysicsConstraintAxis.ANGULAR_X, minLimit: -0.3, maxLimit: 0.3 },
+        { axis: BABYLON.PhysicsConstraintAxis.ANGULAR_Z, minLimit: -0.05, maxLimit: 0.05 },
+      ],
+      this.scene
+    );
+    this.tractorBody.addConstraint(trailer.body, this.constraint);
+
+    trailer.hitched = true;
+    trailer.setLegsDown(false);
+    this.hitchedTrailer = trailer;
+
+    console.log(`Hitched ${trailer.type.name}`);
+    if (this.onHitched) this.onHitched(trailer);
+  }
+
+  /**
+   * Release the hitched trailer onto its landing legs
+   * @returns {Trailer|null} The trailer that was dropped
+   */
+  unhitch() {
+    const trailer = this.hitchedTrailer;
+    if (!trailer) return null;
+
+    if (this.constraint) {
+      this.constraint.dispose();
+      this.constraint = null;
+    }
+    trailer.hitched = false;
+    trailer.setLegsDown(true);
+    this.hitchedTrailer = null;
+
+    console.log(`Unhitched ${trailer.type.name}`);
+    if (this.onUnhitched) this.onUnhitched(trailer);
+    return trailer;
+  }
+
+  /**
+   * Move a trailer so its kingpin sits on the fifth wheel
+   * Used when coupling and after the truck is teleported or recovered.
+   * @param {Trailer} trailer
+   * @param {number} [heading] - Trailer heading, defaults to straight behind the truck
+   */
+  placeOnFifthWheel(trailer, heading = this.getTractorHeading()) {
+    const rotation = BABYLON.Quaternion.RotationYawPitchRoll(heading, 0, 0);
+    const offset = trailer.kingpin.rotateByQuaternionToRef(rotation, new BABYLON.Vector3());
+    trailer.teleport(this.getFifthWheelWorld().subtract(offset), rotation);
+  }
+
+  /**
+   * Get the trailer carrying a job's cargo
+   * @param {string} jobId
+   * @returns {Trailer|null}
+   */
+  getTrailerForJob(jobId) {
+    return this.trailers.find(t => t.jobId === jobId) || null;
+  }
+
+  /**
+   * Remove a trailer from the world (unhitching it first)
+   * @param {Trailer} trailer
+   */
+  removeTrailer(trailer) {
+    if (!trailer) return;
+    if (trailer === this.hitchedTrailer) this.unhitch();
+    trailer.dispose();
+    this.trailers = this.trailers.filter(t => t !== trailer);
+  }
+
+  /**
+   * Remove all trailers
+   */
+  clear() {
+    for (const trailer of [...this.trailers]) {
+      this.removeTrailer(trailer);
+    }
+  }
+
+  /**
+   * Update trailer physics
+   * @param {number} deltaTime
+   * @param {Object} controls
+   * @param {number} controls.brakeDecel - Service brake deceleration requested by the truck (m/s^2)
+   * @param {number} [controls.grip] - Tire grip multiplier
+   */
+  update(deltaTime, controls) {
+    const grip = controls.grip ?? 1;
+
+    for (const trailer of this.trailers) {
+      // Hitched trailers brake with the truck, parked ones hold with their spring brakes
+      const brakeForce = trailer.hitched
+        ? controls.brakeDecel * trailer.mass
+        : trailer.mass * 20;
+      trailer.update(deltaTime, brakeForce, grip);
+    }
+  }
+
+  /**
+   * Get save data
+   * @returns {Object}
+   */
+  getSaveData() {
+    // Positions are stored in absolute world coordinates
+    return {
+      trailers: this.trailers.map(t => {
+        const data = t.getSaveData();
+        const world = this.toWorld(t.mesh.position);
+        return { ...data, position: { x: world.x, y: world.y, z: world.z } };
+      }),
+      hitchedId: this.hitchedTrailer ? this.hitchedTrailer.id : null,
+      nextId: this.nextId,
+    };
+  }
+
+  /**
+   * Load save data (call after the truck has been placed)
+   * @param {Object} data
+   */
+  loadSaveData(data) {
+    this.clear();
+    if (typeof data.nextId === 'number') this.nextId = data.nextId;
+
+    for (const saved of data.trailers || []) {
+      const { position, rotation, id, ...options } = saved;
+      const trailer = this.createTrailer(
+        options,
+        this.toLocal({ x: position.x, y: position.y + 0.2, z: position.z }),
+        new BABYLON.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w),
+        id
+      );
+
+      if (id === data.hitchedId && this.tractorMesh) {
+        this.hitch(trailer);
+      }
+    }
+  }
+}
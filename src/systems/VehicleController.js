@@ -0,0 +1,435 @@
+/**
+ * VehicleController - Raycast wheel vehicle on a Havok rigid body
+ *
+ * Casts a ray down from each wheel mount, holds the chassis up with a
+ * spring/damper per wheel and applies tire forces at the contact patch
+ * from the wheel's slip. Front wheels steer, rear wheels drive.
+ */
+
+import * as BABYLON from '@babylonjs/core';
+
+// Collision group of the player chassis, so wheel rays skip it
+export const VEHICLE_COLLISION_GROUP = 1 << 1;
+
+// Wheel mounts relative to the chassis center (Z+ forward, X+ right)
+const DEFAULT_WHEELS = [
+  { id: 'fl', position: new BABYLON.Vector3(-1.0, -0.35, 1.3), axle: 'front', steer: true, drive: false },
+  { id: 'fr', position: new BABYLON.Vector3(1.0, -0.35, 1.3), axle: 'front', steer: true, drive: false },
+  { id: 'rl', position: new BABYLON.Vector3(-1.0, -0.35, -1.3), axle: 'rear', steer: false, drive: true },
+  { id: 'rr', position: new BABYLON.Vector3(1.0, -0.35, -1.3), axle: 'rear', steer: false, drive: true },
+];
+
+const GRAVITY = 9.81;
+
+// Mass the default suspension rates are tuned for; rates scale with the real mass
+const REFERENCE_MASS = 2000;
+
+export class VehicleController {
+  /**
+   * @param {BABYLON.Scene} scene
+   * @param {BABYLON.PhysicsBody} body - Dynamic chassis body
+   * @param {BABYLON.AbstractMesh} chassisMesh - Mesh the body drives
+   * @param {Object} [options] - Overrides for mass, wheels and tuning values
+   */
+  constructor(scene, body, chassisMesh, options = {}) {
+    this.scene = scene;
+    this.body = body;
+    this.chassis = chassisMesh;
+
+    this.mass = options.mass ?? REFERENCE_MASS;
+    this.wheelRadius = options.wheelRadius ?? 0.45;
+    const massScale = this.mass / REFERENCE_MASS;
+
+    // Suspension
+    this.suspensionRestLength = options.suspensionRestLength ?? 0.5;
+    this.suspensionStiffness = options.suspensionStiffness ?? 35000 * massScale; // N/m
+    this.compressionDamping = options.compressionDamping ?? 3500 * massScale; // N per m/s
+    this.reboundDamping = options.reboundDamping ?? 4500 * massScale; // N per m/s
+    this.maxCompression = options.maxCompression ?? 0.35; // bump stop (m)
+    this.bumpStopStiffness = 150000 * massScale; // N/m past the bump stop
+    this.antiRollStiffness = options.antiRollStiffness ?? 12000 * massScale; // N/m of left/right difference
+
+    // Tires
+    this.tireFriction = options.tireFriction ?? 1.0;
+    this.peakSlipAngle = 0.15; // radians where lateral grip saturates
+    this.rollingResistance = 0.015; // fraction of wheel load
+    this.rollInfluence = 0.35; // 0 applies tire forces at the mount, 1 at the contact patch
+    this.handbrakeLateralGrip = 0.5;
+
+    // Body
+    this.dragCoefficient = options.dragCoefficient ?? 4.0; // N per (m/s)^2
+
+    // Steering
+    this.maxSteerAngle = options.maxSteerAngle ?? 0.6; // radians at walking pace
+    this.steerSpeed = 2.5; // radians per second
+    this.steerSpeedSensitivity = 15; // m/s at which lock is halved
+    this.steerAngle = 0;
+
+    this.wheels = (options.wheels || DEFAULT_WHEELS).map(def => ({
+      ...def,
+      position: def.position.clone(),
+      compression: 0,
+      lastCompression: 0,
+      grounded: false,
+      contactPoint: new BABYLON.Vector3(),
+      contactNormal: new BABYLON.Vector3(0, 1, 0),
+      load: 0,
+      slip: 0,
+      spin: 0,
+      spinSpeed: 0,
+      retracted: false,
+      surface: null,
+      visual: null,
+    }));
+    this.driveWheelCount = this.wheels.filter(w => w.drive).length || 1;
+
+    // Compression at rest, used for ride height and visual wheel travel
+    this.staticCompression = Math.min(
+      this.maxCompression,
+      (this.mass * GRAVITY) / this.wheels.length / this.suspensionStiffness
+    );
+
+    // Rays ignore the chassis itself
+    if (this.body.shape) {
+      this.body.shape.filterMembershipMask = VEHICLE_COLLISION_GROUP;
+    }
+    this.rayQuery = { collideWith: (~VEHICLE_COLLISION_GROUP) >>> 0 };
+    this.raycastResult = new BABYLON.PhysicsRaycastResult();
+
+    // Lower the center of mass towards the axles so the truck leans rather than rolls
+    this.centerOfMass = new BABYLON.Vector3(0, options.centerOfMassY ?? -0.4, options.centerOfMassZ ?? 0);
+    this.applyMassProperties();
+  }
+
+  /**
+   * Push mass and center of mass to the physics body
+   * Inertia from the collider is scaled so the truck keeps its handling at any mass.
+   */
+  applyMassProperties() {
+    const massProps = this.body.getMassProperties();
+    const inertiaScale = massProps.mass > 0 ? this.mass / massProps.mass : 1;
+    this.body.setMassProperties({
+      ...massProps,
+      mass: this.mass,
+      inertia: massProps.inertia ? massProps.inertia.scale(inertiaScale) : undefined,
+      centerOfMass: this.centerOfMass.clone(),
+    });
+  }
+
+  /**
+   * Change the chassis mass, scaling suspension rates so ride height is unchanged
+   * @param {number} mass - Kilograms
+   */
+  setMass(mass) {
+    if (!(mass > 0) || mass === this.mass) return;
+
+    const scale = mass / this.mass;
+    this.suspensionStiffness *= scale;
+    this.compressionDamping *= scale;
+    this.reboundDamping *= scale;
+    this.bumpStopStiffness *= scale;
+    this.antiRollStiffness *= scale;
+    this.mass = mass;
+
+    this.applyMassProperties();
+  }
+
+  /**
+   * Distance from the chassis origin down to the ground at rest
+   * @returns {number} Meters
+   */
+  getRideHeight() {
+    const mountY = this.wheels[0].position.y;
+    return -mountY + (this.suspensionRestLength - this.staticCompression) + this.wheelRadius;
+  }
+
+  /**
+   * Attach a visual wheel that spins, steers and follows suspension travel
+   * The node is reparented to a pivot so its own import transform is kept.
+   * @param {string} wheelId - Wheel id ('fl', 'fr', 'rl', 'rr')
+   * @param {BABYLON.TransformNode} node - Wheel mesh or node
+   * @param {BABYLON.TransformNode} parent - Vehicle container the pivot lives in
+   * @param {number} [radius] - Visual wheel radius, defaults to the physics radius
+   */
+  attachWheelVisual(wheelId, node, parent, radius = this.wheelRadius) {
+    const wheel = this.wheels.find(w => w.id === wheelId);
+    if (!wheel) return;
+
+    // Pivot sits where the node is now, in vehicle space
+    node.computeWorldMatrix(true);
+    parent.computeWorldMatrix(true);
+    const inverse = parent.getWorldMatrix().clone().invert();
+    const localPos = BABYLON.Vector3.TransformCoordinates(node.getAbsolutePosition(), inverse);
+
+    const pivot = new BABYLON.TransformNode(`wheelPivot_${wheelId}`, this.scene);
+    pivot.parent = parent;
+    pivot.position = localPos;
+    pivot.rotationQuaternion = BABYLON.Quaternion.Identity();
+    node.setParent(pivot);
+
+    wheel.visual = { pivot, restY: localPos.y, radius };
+  }
+
+  /**
+   * Step the vehicle simulation
+   * @param {number} deltaTime - Frame time in seconds (matches the scene's physics step)
+   * @param {Object} controls
+   * @param {number} controls.steering - -1 (left) to 1 (right)
+   * @param {number} controls.driveForce - Total force at the driven wheels (N, negative reverses)
+   * @param {number} controls.brakeForce - Total service brake force (N)
+   * @param {boolean} controls.handbrake - Lock the rear wheels
+   * @param {number} [controls.grip] - Tire grip multiplier (weather, wear)
+   */
+  update(deltaTime, controls) {
+    const dt = Math.min(deltaTime, 0.1);
+    if (dt <= 0) return;
+
+    const physicsEngine = this.scene.getPhysicsEngine();
+    if (!physicsEngine) return;
+
+    const grip = controls.grip ?? 1;
+
+    this.chassis.computeWorldMatrix(true);
+    const world = this.chassis.getWorldMatrix();
+    const up = BABYLON.Vector3.TransformNormal(BABYLON.Vector3.Up(), world).normalize();
+    const forward = BABYLON.Vector3.TransformNormal(BABYLON.Vector3.Forward(), world).normalize();
+    const right = BABYLON.Vector3.Cross(up, forward).normalize();
+
+    const linearVelocity = this.body.getLinearVelocity();
+    const angularVelocity = this.body.getAngularVelocity();
+    const centerOfMass = this.body.getObjectCenterWorld();
+    const speed = linearVelocity.length();
+
+    // Steering eases towards the target, with less lock at speed
+    const lock = this.maxSteerAngle / (1 + speed / this.steerSpeedSensitivity);
+    const targetSteer = controls.steering * lock;
+    const maxStep = this.steerSpeed * dt;
+    this.steerAngle += Math.max(-maxStep, Math.min(maxStep, targetSteer - this.steerAngle));
+
+    // Suspension rays
+    const rayLength = this.suspensionRestLength + this.wheelRadius;
+    for (const wheel of this.wheels) {
+      wheel.mount = BABYLON.Vector3.TransformCoordinates(wheel.position, world);
+      if (wheel.retracted) {
+        wheel.compression = 0;
+        wheel.grounded = false;
+        continue;
+      }
+
+      const rayEnd = wheel.mount.subtract(up.scale(rayLength));
+
+      physicsEngine.raycastToRef(wheel.mount, rayEnd, this.raycastResult, this.rayQuery);
+      if (this.raycastResult.hasHit) {
+        const distance = BABYLON.Vector3.Distance(wheel.mount, this.raycastResult.hitPointWorld);
+        wheel.compression = Math.max(0, rayLength - distance);
+        wheel.grounded = true;
+        wheel.contactPoint.copyFrom(this.raycastResult.hitPointWorld);
+        wheel.contactNormal.copyFrom(this.raycastResult.hitNormalWorld);
+        wheel.surface = this.raycastResult.body?.transformNode?.metadata?.surface || null;
+      } else {
+        wheel.compression = 0;
+        wheel.grounded = false;
+        wheel.surface = null;
+      }
+    }
+
+    // Anti-roll bars push against the difference across each axle
+    const antiRoll = new Map();
+    for (const axle of ['front', 'rear']) {
+      const left = this.wheels.find(w => w.axle === axle && w.position.x < 0);
+      const rightWheel = this.wheels.find(w => w.axle === axle && w.position.x > 0);
+      if (!left || !rightWheel) continue;
+      const force = (left.compression - rightWheel.compression) * this.antiRollStiffness;
+      antiRoll.set(left, force);
+      antiRoll.set(rightWheel, -force);
+    }
+
+    for (const wheel of this.wheels) {
+      const compressionSpeed = (wheel.compression - wheel.lastCompression) / dt;
+      wheel.lastCompression = wheel.compression;
+
+      if (!wheel.grounded) {
+        wheel.load = 0;
+        wheel.slip = 0;
+        wheel.spinSpeed *= 0.99; // Free-spinning wheel slowly stops
+        wheel.spin += wheel.spinSpeed * dt;
+        continue;
+      }
+
+      // Spring, damper, anti-roll and bump stop
+      const damping = compressionSpeed > 0 ? this.compressionDamping : this.reboundDamping;
+      let suspensionForce = wheel.compression * this.suspensionStiffness
+        + compressionSpeed * damping
+        + (antiRoll.get(wheel) || 0);
+      if (wheel.compression > this.maxCompression) {
+        suspensionForce += (wheel.compression - this.maxCompression) * this.bumpStopStiffness;
+      }
+      wheel.load = Math.max(0, suspensionForce);
+      this.body.applyImpulse(up.scale(wheel.load * dt), wheel.mount);
+
+      // Tire axes on the ground plane
+      const steer = wheel.steer ? this.steerAngle : 0;
+      const normal = wheel.contactNormal;
+      const heading = forward.scale(Math.cos(steer)).addInPlace(right.scale(Math.sin(steer)));
+      const tireForward = heading.subtract(normal.scale(BABYLON.Vector3.Dot(heading, normal))).normalize();
+      const tireSide = BABYLON.Vector3.Cross(normal, tireForward).normalize();
+
+      // Velocity of the chassis at the contact patch
+      const arm = wheel.contactPoint.subtract(centerOfMass);
+      const pointVelocity = linearVelocity.add(BABYLON.Vector3.Cross(angularVelocity, arm));
+      const longSpeed = BABYLON.Vector3.Dot(pointVelocity, tireForward);
+      const latSpeed = BABYLON.Vector3.Dot(pointVelocity, tireSide);
+
+      const surfaceGrip = wheel.surface ? wheel.surface.grip : 1;
+      const maxFriction = this.tireFriction * grip * surfaceGrip * wheel.load;
+      const wheelMass = wheel.load / GRAVITY;
+      const locked = controls.handbrake && wheel.drive;
+
+      // Lateral force from slip angle (low-speed floor keeps it stable when stopped)
+      const slipAngle = Math.atan2(latSpeed, Math.max(Math.abs(longSpeed), 2));
+      const lateralGrip = locked ? this.handbrakeLateralGrip : 1;
+      let lateralForce = -Math.max(-1, Math.min(1, slipAngle / this.peakSlipAngle)) * maxFriction * lateralGrip;
+
+      // Longitudinal force from drive, brakes and rolling resistance
+      let longForce = wheel.drive ? controls.driveForce / this.driveWheelCount : 0;
+      let brakeForce = controls.brakeForce / this.wheels.length;
+      if (locked) brakeForce += maxFriction;
+      if (brakeForce > 0) {
+        // Brakes stop the wheel but never push it backwards
+        const stopForce = (Math.abs(longSpeed) * wheelMass) / dt;
+        longForce -= Math.sign(longSpeed) * Math.min(brakeForce, stopForce);
+      }
+      const rolling = this.rollingResistance * (wheel.surface ? wheel.surface.rollingResistance : 1);
+      longForce -= Math.max(-1, Math.min(1, longSpeed)) * rolling * wheel.load;
+
+      // Friction circle: combined force can't exceed available grip
+      const total = Math.sqrt(longForce * longForce + lateralForce * lateralForce);
+      wheel.slip = maxFriction > 0 ? total / maxFriction : 0;
+      if (total > maxFriction && total > 0) {
+        const scale = maxFriction / total;
+        longForce *= scale;
+        lateralForce *= scale;
+      }
+
+      // Apply between mount and contact patch to tame body roll
+      const tireForce = tireForward.scale(longForce).addInPlace(tireSide.scale(lateralForce));
+      const applyPoint = BABYLON.Vector3.Lerp(wheel.mount, wheel.contactPoint, this.rollInfluence);
+      this.body.applyImpulse(tireForce.scaleInPlace(dt), applyPoint);
+
+      // Wheel rotation follows the ground, locked wheels stop
+      wheel.spinSpeed = locked ? 0 : longSpeed / this.wheelRadius;
+      wheel.spin += wheel.spinSpeed * dt;
+    }
+
+    // Aerodynamic drag
+    if (speed > 0.1) {
+      const drag = linearVelocity.scale(-this.dragCoefficient * speed * dt);
+      this.body.applyImpulse(drag, centerOfMass);
+    }
+
+    this.updateVisuals();
+  }
+
+  /**
+   * Move visual wheels to match steering, spin and suspension travel
+   */
+  updateVisuals() {
+    for (const wheel of this.wheels) {
+      const visual = wheel.visual;
+      if (!visual) continue;
+
+      // Extension below the resting position, limited so small models stay tidy
+      const travel = wheel.grounded ? wheel.compression - this.staticCompression : -0.15;
+      visual.pivot.position.y = visual.restY + Math.max(-0.15, Math.min(0.15, travel));
+
+      const spin = wheel.spin * (this.wheelRadius / visual.radius);
+      const steer = wheel.steer ? this.steerAngle : 0;
+      BABYLON.Quaternion.RotationYawPitchRollToRef(steer, spin % (Math.PI * 2), 0, visual.pivot.rotationQuaternion);
+    }
+  }
+
+  /**
+   * Lift a wheel (or support leg) off the ground so it takes no load
+   * @param {string} wheelId
+   * @param {boolean} retracted
+   */
+  setWheelRetracted(wheelId, retracted) {
+    const wheel = this.wheels.find(w => w.id === wheelId);
+    if (wheel) wheel.retracted = retracted;
+  }
+
+  /**
+   * Clear suspension history (call after teleporting the vehicle)
+   */
+  reset() {
+    this.steerAngle = 0;
+    for (const wheel of this.wheels) {
+      wheel.compression = 0;
+      wheel.lastCompression = 0;
+      wheel.grounded = false;
+      wheel.spinSpeed = 0;
+      wheel.load = 0;
+      wheel.slip = 0;
+    }
+  }
+
+  /**
+   * Get the speed along the chassis forward axis
+   * @returns {number} m/s, negative when reversing
+   */
+  getForwardSpeed() {
+    const forward = BABYLON.Vector3.TransformNormal(BABYLON.Vector3.Forward(), this.chassis.getWorldMatrix());
+    return BABYLON.Vector3.Dot(this.body.getLinearVelocity(), forward.normalize());
+  }
+
+  /**
+   * Check if any wheel touches the ground
+   * @returns {boolean}
+   */
+  isGrounded() {
+    return this.wheels.some(w => w.grounded);
+  }
+
+  /**
+   * How upright the chassis is
+   * @returns {number} 1 when level, 0 on its side, -1 upside down
+   */
+  getUprightness() {
+    const up = BABYLON.Vector3.TransformNormal(BABYLON.Vector3.Up(), this.chassis.getWorldMatrix());
+    return up.normalize().y;
+  }
+
+  /**
+   * Get the slope along the chassis forward axis
+   * @returns {number} Rise over run, positive when nose-up
+   */
+  getGrade() {
+    const forward = BABYLON.Vector3.TransformNormal(BABYLON.Vector3.Forward(), this.chassis.getWorldMatrix()).normalize();
+    const run = Math.sqrt(forward.x * forward.x + forward.z * forward.z);
+    return run > 0.1 ? forward.y / run : 0;
+  }
+
+  /**
+   * Get the surface under most of the grounded wheels
+   * @returns {Object|null} Surface entry, or null when airborne or on an untagged body
+   */
+  getSurface() {
+    const counts = new Map();
+    let best = null;
+    for (const wheel of this.wheels) {
+      if (!wheel.grounded || !wheel.surface) continue;
+      const count = (counts.get(wheel.surface) || 0) + 1;
+      counts.set(wheel.surface, count);
+      if (!best || count > counts.get(best)) best = wheel.surface;
+    }
+    return best;
+  }
+
+  /**
+   * Get the highest tire slip (above 1 means a tire is sliding)
+   * @returns {number}
+   */
+  getMaxSlip() {
+    return this.wheels.reduce((max, w) => Math.max(max, w.slip), 0);
+  }
+}
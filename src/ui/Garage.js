@@ -3,6 +3,7 @@
  *
  * Features:
  * - Truck statistics display
+ * - Fuel, condition and odometer of each owned truck
  * - Dealership with available trucks
  * - Purchase confirmation dialog
  */
@@ -21,6 +22,12 @@ export const TruckTypes = {
       maxSpeed: 90,
       fuelCapacity: 300,
       fuelEfficiency: 3,
+      gearbox: {
+        gearRatios: [6.8, 4.6, 3.2, 2.3, 1.65, 1.25, 1.0],
+        reverseRatio: 6.2,
+        idleRpm: 650,
+        maxRpm: 2500,
+      },
     },
   },
   HEAVY: {
@@ -35,6 +42,12 @@ export const TruckTypes = {
       maxSpeed: 80,
       fuelCapacity: 400,
       fuelEfficiency: 2.5,
+      gearbox: {
+        gearRatios: [9.5, 6.8, 4.9, 3.6, 2.6, 1.9, 1.4, 1.0],
+        reverseRatio: 8.8,
+        idleRpm: 600,
+        maxRpm: 2200,
+      },
     },
   },
   FAST: {
@@ -49,6 +62,12 @@ export const TruckTypes = {
       maxSpeed: 110,
       fuelCapacity: 250,
       fuelEfficiency: 2.8,
+      gearbox: {
+        gearRatios: [5.4, 3.5, 2.4, 1.7, 1.25, 1.0],
+        reverseRatio: 5.0,
+        idleRpm: 700,
+        maxRpm: 3000,
+      },
     },
   },
 };
@@ -65,6 +84,9 @@ export class Garage {
     this.selectedTruckId = 'standard';
     this.playerMoney = 0;
 
+    // Saved fuel, maintenance and odometer per owned truck (keyed by truck id)
+    this.truckStates = {};
+
     // Callbacks
     this.onPurchase = null;
     this.onSelectTruck = null;
@@ -289,6 +311,14 @@ export class Garage {
         color: rgba(255, 255, 255, 0.5);
       }
 
+      .garage__stat-value--warning {
+        color: #FF9800;
+      }
+
+      .garage__stat-fill--warning {
+        background: #FF9800;
+      }
+
       .garage__actions {
         padding: 20px;
         border-top: 1px solid rgba(255, 255, 255, 0.1);
@@ -452,6 +482,15 @@ export class Garage {
     this.statsContainer.className = 'garage__stats';
     sidebar.appendChild(this.statsContainer);
 
+    this.statusTitle = document.createElement('div');
+    this.statusTitle.className = 'garage__section-title';
+    this.statusTitle.textContent = 'Truck Status';
+    sidebar.appendChild(this.statusTitle);
+
+    this.statusContainer = document.createElement('div');
+    this.statusContainer.className = 'garage__stats';
+    sidebar.appendChild(this.statusContainer);
+
     const trucksTitle = document.createElement('div');
     trucksTitle.className = 'garage__section-title';
     trucksTitle.textContent = 'Available Trucks';
@@ -478,6 +517,7 @@ export class Garage {
     this.populateTrucksList();
     this.updateTruckInfo();
     this.updateStats();
+    this.updateStatus();
     this.updateActions();
 
     return container;
@@ -537,6 +577,7 @@ export class Garage {
     this.selectedTruckId = truckId;
     this.updateTruckInfo();
     this.updateStats();
+    this.updateStatus();
     this.updateActions();
     this.populateTrucksList();
   }
@@ -596,31 +637,73 @@ export class Garage {
     ];
 
     for (const stat of stats) {
-      const statDiv = document.createElement('div');
-      statDiv.className = 'garage__stat';
-
-      const label = document.createElement('span');
-      label.className = 'garage__stat-label';
-      label.textContent = stat.label;
-      statDiv.appendChild(label);
-
-      const value = document.createElement('span');
-      value.className = 'garage__stat-value';
-      value.textContent = stat.value;
-      statDiv.appendChild(value);
-
-      this.statsContainer.appendChild(statDiv);
-
-      const bar = document.createElement('div');
-      bar.className = 'garage__stat-bar';
-      const fill = document.createElement('div');
-      fill.className = 'garage__stat-fill';
-      fill.style.width = Math.min(100, stat.percent * 100) + '%';
-      bar.appendChild(fill);
-      this.statsContainer.appendChild(bar);
+      this.appendStat(this.statsContainer, stat);
+    }
+  }
+
+  updateStatus() {
+    const isOwned = this.ownedTrucks.includes(this.selectedTruckId);
+    this.statusTitle.style.display = isOwned ? '' : 'none';
+    this.statusContainer.style.display = isOwned ? '' : 'none';
+    this.clearElement(this.statusContainer);
+    if (!isOwned) return;
+
+    const state = this.truckStates[this.selectedTruckId];
+    const fuelPercent = state ? state.fuelPercent : 1;
+    const condition = state ? state.condition : 100;
+    const odometer = state ? state.odometer : 0;
+
+    const stats = [
+      { label: 'Odometer', value: Math.round(odometer).toLocaleString() + ' km' },
+      { label: 'Condition', value: Math.round(condition) + '%', percent: condition / 100, warning: condition < 50 },
+      { label: 'Fuel', value: Math.round(fuelPercent * 100) + '%', percent: fuelPercent, warning: fuelPercent < 0.15 },
+    ];
+
+    for (const stat of stats) {
+      this.appendStat(this.statusContainer, stat);
+    }
+  }
+
+  appendStat(container, stat) {
+    const statDiv = document.createElement('div');
+    statDiv.className = 'garage__stat';
+
+    const label = document.createElement('span');
+    label.className = 'garage__stat-label';
+    label.textContent = stat.label;
+    statDiv.appendChild(label);
+
+    const value = document.createElement('span');
+    value.className = 'garage__stat-value';
+    if (stat.warning) value.classList.add('garage__stat-value--warning');
+    value.textContent = stat.value;
+    statDiv.appendChild(value);
+
+    container.appendChild(statDiv);
+
+    if (stat.percent === undefined) return;
+
+    const bar = document.createElement('div');
+    bar.className = 'garage__stat-bar';
+    const fill = document.createElement('div');
+    fill.className = 'garage__stat-fill';
+    if (stat.warning) fill.classList.add('garage__stat-fill--warning');
+    fill.style.width = Math.min(100, stat.percent * 100) + '%';
+    bar.appendChild(fill);
+    container.appendChild(bar);
+  }
+
+  setTruckState(truckId, state) {
+    this.truckStates[truckId] = state;
+    if (truckId === this.selectedTruckId && this.statusContainer) {
+      this.updateStatus();
     }
   }
 
+  getTruckState(truckId) {
+    return this.truckStates[truckId] || null;
+  }
+
   updateActions() {
     const truckType = Object.values(TruckTypes).find(t => t.id === this.selectedTruckId);
     if (!truckType) return;
@@ -719,20 +802,47 @@ export class Garage {
     this.updateBalance(this.playerMoney);
     this.populateTrucksList();
     this.updateTruckInfo();
+    this.updateStatus();
     this.updateActions();
   }
 
   setActiveTruck(truckId) {
+    const previousId = this.activeTruckId;
     this.activeTruckId = truckId;
 
     if (this.onSelectTruck) {
-      this.onSelectTruck(truckId);
+      this.onSelectTruck(truckId, previousId);
     }
 
     this.updateTruckInfo();
     this.updateActions();
   }
 
+  getSaveData() {
+    return {
+      ownedTrucks: [...this.ownedTrucks],
+      activeTruckId: this.activeTruckId,
+      truckStates: { ...this.truckStates },
+    };
+  }
+
+  loadSaveData(data) {
+    if (Array.isArray(data.ownedTrucks) && data.ownedTrucks.length > 0) {
+      this.ownedTrucks = [...data.ownedTrucks];
+    }
+    if (data.activeTruckId && this.ownedTrucks.includes(data.activeTruckId)) {
+      this.activeTruckId = data.activeTruckId;
+    }
+    this.truckStates = data.truckStates ? { ...data.truckStates } : {};
+    this.selectedTruckId = this.activeTruckId;
+
+    this.populateTrucksList();
+    this.updateTruckInfo();
+    this.updateStats();
+    this.updateStatus();
+    this.updateActions();
+  }
+
   updateBalance(amount) {
     this.playerMoney = amount;
     if (this.balanceValue) {
@@ -25,8 +25,13 @@ export class HUD {
 
     // Elements for updates
     this.speedValue = null;
+    this.tachoElement = null;
+    this.rpmValue = null;
+    this.gearValue = null;
+    this.transmissionValue = null;
     this.fuelBar = null;
     this.timeValue = null;
+    this.timeIcon = null;
     this.moneyValue = null;
     this.damageBar = null;
     this.gpsValue = null;
@@ -34,6 +39,10 @@ export class HUD {
     this.jobCargoElement = null;
     this.jobDestElement = null;
     this.jobDistElement = null;
+    this.navElement = null;
+    this.navIconElement = null;
+    this.navDistElement = null;
+    this.navTextElement = null;
   }
 
   /**
@@ -90,6 +99,51 @@ export class HUD {
         margin-top: 4px;
       }
 
+      /* Tachometer - left of the speedometer */
+      .hud__tacho {
+        position: absolute;
+        bottom: 40px;
+        right: 185px;
+        width: 110px;
+        height: 110px;
+        border-radius: 50%;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.6);
+      }
+      .hud__tacho-face {
+        width: 94px;
+        height: 94px;
+        border-radius: 50%;
+        background: rgba(20, 20, 30, 0.95);
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+      }
+      .hud__tacho-gear {
+        color: white;
+        font-size: 32px;
+        font-weight: bold;
+        line-height: 1;
+      }
+      .hud__tacho-rpm {
+        color: rgba(255, 255, 255, 0.6);
+        font-size: 11px;
+        margin-top: 4px;
+      }
+      .hud__tacho-mode {
+        color: #4CAF50;
+        font-size: 10px;
+        font-weight: 600;
+        letter-spacing: 1px;
+        margin-top: 2px;
+      }
+      .hud__tacho--limiter .hud__tacho-gear {
+        color: #f44336;
+      }
+
       /* Info Panel - Bottom Left */
       .hud__info {
         position: absolute;
@@ -258,6 +312,44 @@ export class HUD {
         font-size: 13px;
         text-align: center;
       }
+
+      /* Navigation Panel - Below Job Info */
+      .hud__nav {
+        position: absolute;
+        top: 125px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: rgba(0, 0, 0, 0.7);
+        padding: 10px 18px;
+        border-radius: 8px;
+        display: none;
+        align-items: center;
+        gap: 14px;
+        min-width: 250px;
+      }
+      .hud__nav--active {
+        display: flex;
+      }
+      .hud__nav-icon {
+        color: #4CAF50;
+        font-size: 34px;
+        line-height: 1;
+        width: 40px;
+        text-align: center;
+      }
+      .hud__nav-dist {
+        color: white;
+        font-size: 20px;
+        font-weight: bold;
+      }
+      .hud__nav-text {
+        color: rgba(255, 255, 255, 0.8);
+        font-size: 13px;
+        max-width: 240px;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -288,6 +380,31 @@ export class HUD {
 
     hud.appendChild(speedo);
 
+    // Tachometer with gear indicator (ring fill is drawn in setEngine)
+    this.tachoElement = document.createElement('div');
+    this.tachoElement.className = 'hud__tacho';
+
+    const tachoFace = document.createElement('div');
+    tachoFace.className = 'hud__tacho-face';
+
+    this.gearValue = document.createElement('div');
+    this.gearValue.className = 'hud__tacho-gear';
+    this.gearValue.textContent = 'N';
+    tachoFace.appendChild(this.gearValue);
+
+    this.rpmValue = document.createElement('div');
+    this.rpmValue.className = 'hud__tacho-rpm';
+    this.rpmValue.textContent = '0 rpm';
+    tachoFace.appendChild(this.rpmValue);
+
+    this.transmissionValue = document.createElement('div');
+    this.transmissionValue.className = 'hud__tacho-mode';
+    this.transmissionValue.textContent = 'AUTO';
+    tachoFace.appendChild(this.transmissionValue);
+
+    this.tachoElement.appendChild(tachoFace);
+    hud.appendChild(this.tachoElement);
+
     // Info panel (fuel, damage)
     const info = document.createElement('div');
     info.className = 'hud__info';
@@ -311,10 +428,10 @@ export class HUD {
     // Time
     const timeItem = document.createElement('div');
     timeItem.className = 'hud__top-item';
-    const timeIcon = document.createElement('span');
-    timeIcon.className = 'hud__top-icon';
-    timeIcon.textContent = '\u2600'; // sun symbol
-    timeItem.appendChild(timeIcon);
+    this.timeIcon = document.createElement('span');
+    this.timeIcon.className = 'hud__top-icon';
+    this.timeIcon.textContent = '\u2600'; // sun symbol
+    timeItem.appendChild(this.timeIcon);
     this.timeValue = document.createElement('span');
     this.timeValue.className = 'hud__top-value';
     this.timeValue.textContent = '10:00';
@@ -339,7 +456,7 @@ export class HUD {
     // Controls hint
     const controls = document.createElement('div');
     controls.className = 'hud__controls';
-    controls.textContent = 'WASD: Drive | Space: Brake | C: Camera | J: Jobs | ESC: Pause';
+    controls.textContent = 'WASD: Drive | Space: Brake | E/Q: Shift | U: Hitch | C: Camera | J: Jobs | ESC: Pause';
     hud.appendChild(controls);
 
     // GPS location display (clickable to open Google Maps)
@@ -387,6 +504,26 @@ export class HUD {
 
     hud.appendChild(this.jobInfoElement);
 
+    // Turn-by-turn navigation panel (hidden by default)
+    this.navElement = document.createElement('div');
+    this.navElement.className = 'hud__nav';
+
+    this.navIconElement = document.createElement('div');
+    this.navIconElement.className = 'hud__nav-icon';
+    this.navElement.appendChild(this.navIconElement);
+
+    const navDetails = document.createElement('div');
+    this.navDistElement = document.createElement('div');
+    this.navDistElement.className = 'hud__nav-dist';
+    navDetails.appendChild(this.navDistElement);
+
+    this.navTextElement = document.createElement('div');
+    this.navTextElement.className = 'hud__nav-text';
+    navDetails.appendChild(this.navTextElement);
+    this.navElement.appendChild(navDetails);
+
+    hud.appendChild(this.navElement);
+
     return hud;
   }
 
@@ -428,6 +565,30 @@ export class HUD {
     }
   }
 
+  /**
+   * Update tachometer and gear indicator
+   * @param {number} rpm - Engine RPM
+   * @param {number} maxRpm - Rev limit
+   * @param {string} gear - Gear label ('R', 'N', '1'...)
+   * @param {boolean} manual - Manual transmission mode
+   * @param {boolean} limiting - Rev limiter active
+   */
+  setEngine(rpm, maxRpm, gear, manual, limiting) {
+    if (!this.tachoElement) return;
+
+    // Ring sweeps 270 degrees, with the last 10% of the range in red
+    const fraction = Math.max(0, Math.min(1, rpm / maxRpm));
+    const sweep = fraction * 270;
+    const color = fraction > 0.9 ? '#f44336' : fraction > 0.75 ? '#FFC107' : '#4CAF50';
+    this.tachoElement.style.background =
+      `conic-gradient(from 225deg, ${color} 0deg ${sweep}deg, rgba(255, 255, 255, 0.15) ${sweep}deg 270deg, transparent 270deg)`;
+    this.tachoElement.classList.toggle('hud__tacho--limiter', limiting);
+
+    this.gearValue.textContent = gear;
+    this.rpmValue.textContent = `${Math.round(rpm / 10) * 10} rpm`;
+    this.transmissionValue.textContent = manual ? 'MANUAL' : 'AUTO';
+  }
+
   /**
    * Update fuel level
    * @param {number} percent - Fuel percentage (0-100)
@@ -461,6 +622,10 @@ export class HUD {
       const minutes = Math.floor((hour % 1) * 60);
       this.timeValue.textContent = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
     }
+    if (this.timeIcon) {
+      const isDay = hour >= 6 && hour < 18;
+      this.timeIcon.textContent = isDay ? '\u2600' : '\u263E'; // sun or moon
+    }
   }
 
   /**
@@ -522,14 +687,35 @@ export class HUD {
   /**
    * Set active job info
    * @param {Object} job - Job object with cargo, destination, etc.
+   * @param {string|null} [deadline] - In-game time the cargo is due, e.g. "16:30"
    */
-  setJobInfo(job) {
+  setJobInfo(job, deadline = null) {
     if (!this.jobInfoElement) return;
 
     this.activeJob = job;
-    this.jobCargoElement.textContent = `\u{1F4E6} ${job.cargo.name}`;
-    this.jobDestElement.textContent = `\u2192 ${job.destination.name}`;
-    this.jobDistElement.textContent = `${job.distanceKm.toFixed(1)} km remaining`;
+    const leg = job.stage === 'deliver' || job.stage === 'unloading' ? 2 : 1;
+    this.jobCargoElement.textContent = `\u{1F4E6} ${job.cargo.name} \u00B7 Leg ${leg}/2`;
+
+    const percent = Math.round((job.loadProgress || 0) * 100);
+    switch (job.stage) {
+      case 'pickup':
+        this.jobDestElement.textContent = `\u{1F69B} Pick up trailer at ${(job.pickup || job.origin).name}`;
+        this.jobDistElement.textContent = `${job.distanceKm.toFixed(1)} km delivery`;
+        break;
+      case 'loading':
+        this.jobDestElement.textContent = `\u23F3 Loading at ${job.origin.name} ${percent}%`;
+        this.jobDistElement.textContent = 'Keep the truck parked';
+        break;
+      case 'unloading':
+        this.jobDestElement.textContent = `\u23F3 Unloading at ${job.destination.name} ${percent}%`;
+        this.jobDistElement.textContent = 'Leave the trailer in place';
+        break;
+      default:
+        this.jobDestElement.textContent = deadline
+          ? `\u2192 ${job.destination.name} \u00B7 deliver by ${deadline}`
+          : `\u2192 ${job.destination.name}`;
+        this.jobDistElement.textContent = `${job.distanceKm.toFixed(1)} km remaining`;
+    }
     this.jobInfoElement.classList.add('hud__job--active');
   }
 
@@ -549,6 +735,7 @@ export class HUD {
    */
   updateJobDistance(distanceMeters) {
     if (!this.jobDistElement || !this.activeJob) return;
+    if (this.activeJob.stage === 'loading' || this.activeJob.stage === 'unloading') return;
 
     const distanceKm = distanceMeters / 1000;
     if (distanceKm < 1) {
@@ -558,6 +745,31 @@ export class HUD {
     }
   }
 
+  /**
+   * Show the next navigation maneuver
+   * @param {string} icon - Maneuver arrow
+   * @param {number} distanceMeters - Distance to the maneuver
+   * @param {string} instruction - Maneuver text
+   */
+  setNavigation(icon, distanceMeters, instruction) {
+    if (!this.navElement) return;
+
+    this.navIconElement.textContent = icon;
+    this.navDistElement.textContent = distanceMeters < 1000
+      ? `${Math.round(distanceMeters / 10) * 10} m`
+      : `${(distanceMeters / 1000).toFixed(1)} km`;
+    this.navTextElement.textContent = instruction;
+    this.navElement.classList.add('hud__nav--active');
+  }
+
+  /**
+   * Hide navigation panel
+   */
+  clearNavigation() {
+    if (!this.navElement) return;
+    this.navElement.classList.remove('hud__nav--active');
+  }
+
   /**
    * Show the HUD
    */
@@ -1,9 +1,54 @@
 /**
  * JobMarket - Job selection screen UI
  *
- * Displays available jobs and allows player to accept one.
+ * Displays the job board of the depot the truck is at and allows player to
+ * accept one while parked there. The list can be sorted, filtered by cargo
+ * flags and destination, and is split into pages; the selected job's road
+ * route is previewed on a small map.
  */
 
+import { formatDuration } from '../core/SimulationClock.js';
+
+// Sort orders for the job list
+const SORT_OPTIONS = {
+  pay: { label: 'Pay', compare: (a, b) => b.payment - a.payment },
+  payPerKm: { label: 'Pay per km', compare: (a, b) => payPerKm(b) - payPerKm(a) },
+  distance: { label: 'Distance', compare: (a, b) => a.distance - b.distance },
+  deadline: { label: 'Deadline', compare: (a, b) => (deadlineOf(a) - deadlineOf(b)) || 0 },
+};
+
+// Cargo flags the list can be filtered by
+const CARGO_FLAGS = {
+  fragile: 'Fragile',
+  hazardous: 'Hazmat',
+  timeSensitive: 'Urgent',
+  oversized: 'Oversize',
+};
+
+// Preview map colours, matching the mini-map
+const PREVIEW_COLORS = {
+  background: '#142014',
+  road: {
+    motorway: '#ffffff',
+    trunk: '#e0e0e0',
+    primary: '#cccccc',
+    secondary: '#aaaaaa',
+    tertiary: '#888888',
+    default: '#777777',
+  },
+  route: '#4CAF50',
+  origin: '#ffaa00',
+  destination: '#ff6600',
+};
+
+function payPerKm(job) {
+  return job.distanceKm > 0 ? job.payment / job.distanceKm : 0;
+}
+
+function deadlineOf(job) {
+  return job.timeLimit || Infinity;
+}
+
 export class JobMarket {
   constructor(uiManager, jobSystem, callbacks = {}) {
     this.uiManager = uiManager;
@@ -12,6 +57,19 @@ export class JobMarket {
     this.element = null;
     this.jobListElement = null;
     this.selectedJobId = null;
+
+    // Road data for the route preview (same as the mini-map)
+    this.roads = [];
+
+    // Depot whose board is shown
+    this.depot = null;
+
+    // List view state
+    this.sortBy = 'pay';
+    this.flagFilters = new Set();
+    this.destinationFilter = '';
+    this.page = 0;
+    this.pageSize = 6;
   }
 
   /**
@@ -50,8 +108,8 @@ export class JobMarket {
         border-radius: 16px;
         padding: 30px;
         width: 90%;
-        max-width: 800px;
-        max-height: 80vh;
+        max-width: 1100px;
+        max-height: 85vh;
         overflow: hidden;
         display: flex;
         flex-direction: column;
@@ -90,10 +148,102 @@ export class JobMarket {
         background: rgba(255, 255, 255, 0.2);
       }
 
+      .job-market__toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 12px;
+        margin-bottom: 15px;
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 14px;
+      }
+
+      .job-market__select {
+        background: rgba(255, 255, 255, 0.1);
+        color: white;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 6px;
+        padding: 6px 10px;
+        font-size: 14px;
+      }
+      .job-market__select option {
+        background: #1a2a1a;
+      }
+
+      .job-market__flag {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        cursor: pointer;
+      }
+
+      .job-market__body {
+        flex: 1;
+        display: flex;
+        gap: 20px;
+        min-height: 0;
+        margin-bottom: 20px;
+      }
+
+      .job-market__column {
+        flex: 1;
+        display: flex;
+        flex-direction: column;
+        min-width: 0;
+      }
+
       .job-market__list {
         flex: 1;
         overflow-y: auto;
-        margin-bottom: 20px;
+      }
+
+      .job-market__pager {
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        gap: 15px;
+        padding-top: 10px;
+        color: rgba(255, 255, 255, 0.6);
+        font-size: 14px;
+      }
+
+      .job-market__page-btn {
+        background: rgba(255, 255, 255, 0.1);
+        border: none;
+        color: white;
+        width: 32px;
+        height: 32px;
+        border-radius: 50%;
+        cursor: pointer;
+        font-size: 16px;
+      }
+      .job-market__page-btn:hover:not(:disabled) {
+        background: rgba(255, 255, 255, 0.2);
+      }
+      .job-market__page-btn:disabled {
+        opacity: 0.3;
+        cursor: default;
+      }
+
+      .job-market__preview {
+        width: 300px;
+        flex-shrink: 0;
+        display: flex;
+        flex-direction: column;
+        gap: 10px;
+      }
+
+      .job-market__map {
+        width: 300px;
+        height: 300px;
+        border-radius: 12px;
+        border: 1px solid rgba(255, 255, 255, 0.1);
+      }
+
+      .job-market__preview-info {
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 13px;
+        line-height: 1.6;
       }
 
       .job-market__empty {
@@ -196,6 +346,14 @@ export class JobMarket {
         background: #f44336;
         color: white;
       }
+      .job-card__tag--oversized {
+        background: #9c27b0;
+        color: white;
+      }
+      .job-card__tag--unreachable {
+        background: #607d8b;
+        color: white;
+      }
 
       .job-market__footer {
         display: flex;
@@ -239,12 +397,10 @@ export class JobMarket {
         cursor: not-allowed;
       }
 
-      .job-market__btn--refresh {
-        background: rgba(255, 255, 255, 0.1);
-        color: white;
-      }
-      .job-market__btn--refresh:hover {
-        background: rgba(255, 255, 255, 0.2);
+      .job-market__notice {
+        color: #ffaa00;
+        font-size: 14px;
+        align-self: center;
       }
     `;
     document.head.appendChild(style);
@@ -265,10 +421,10 @@ export class JobMarket {
     const header = document.createElement('div');
     header.className = 'job-market__header';
 
-    const title = document.createElement('h2');
-    title.className = 'job-market__title';
-    title.textContent = 'Job Market';
-    header.appendChild(title);
+    this.titleElement = document.createElement('h2');
+    this.titleElement.className = 'job-market__title';
+    this.titleElement.textContent = 'Job Market';
+    header.appendChild(this.titleElement);
 
     const closeBtn = document.createElement('button');
     closeBtn.className = 'job-market__close';
@@ -278,10 +434,56 @@ export class JobMarket {
 
     box.appendChild(header);
 
-    // Job list
+    box.appendChild(this.createToolbar());
+
+    const body = document.createElement('div');
+    body.className = 'job-market__body';
+
+    // Job list and pager
+    const column = document.createElement('div');
+    column.className = 'job-market__column';
+
     this.jobListElement = document.createElement('div');
     this.jobListElement.className = 'job-market__list';
-    box.appendChild(this.jobListElement);
+    column.appendChild(this.jobListElement);
+
+    const pager = document.createElement('div');
+    pager.className = 'job-market__pager';
+
+    this.prevPageBtn = document.createElement('button');
+    this.prevPageBtn.className = 'job-market__page-btn';
+    this.prevPageBtn.textContent = '\u2039'; // ‹
+    this.prevPageBtn.addEventListener('click', () => this.setPage(this.page - 1));
+    pager.appendChild(this.prevPageBtn);
+
+    this.pageLabel = document.createElement('span');
+    pager.appendChild(this.pageLabel);
+
+    this.nextPageBtn = document.createElement('button');
+    this.nextPageBtn.className = 'job-market__page-btn';
+    this.nextPageBtn.textContent = '\u203A'; // ›
+    this.nextPageBtn.addEventListener('click', () => this.setPage(this.page + 1));
+    pager.appendChild(this.nextPageBtn);
+
+    column.appendChild(pager);
+    body.appendChild(column);
+
+    // Route preview
+    const preview = document.createElement('div');
+    preview.className = 'job-market__preview';
+
+    this.previewCanvas = document.createElement('canvas');
+    this.previewCanvas.className = 'job-market__map';
+    this.previewCanvas.width = 300;
+    this.previewCanvas.height = 300;
+    preview.appendChild(this.previewCanvas);
+
+    this.previewInfo = document.createElement('div');
+    this.previewInfo.className = 'job-market__preview-info';
+    preview.appendChild(this.previewInfo);
+
+    body.appendChild(preview);
+    box.appendChild(body);
 
     // Footer
     const footer = document.createElement('div');
@@ -294,11 +496,9 @@ export class JobMarket {
     const actions = document.createElement('div');
     actions.className = 'job-market__actions';
 
-    const refreshBtn = document.createElement('button');
-    refreshBtn.className = 'job-market__btn job-market__btn--refresh';
-    refreshBtn.textContent = 'Refresh Jobs';
-    refreshBtn.addEventListener('click', () => this.refresh());
-    actions.appendChild(refreshBtn);
+    this.noticeElement = document.createElement('span');
+    this.noticeElement.className = 'job-market__notice';
+    actions.appendChild(this.noticeElement);
 
     this.acceptBtn = document.createElement('button');
     this.acceptBtn.className = 'job-market__btn job-market__btn--accept';
@@ -322,6 +522,121 @@ export class JobMarket {
     return container;
   }
 
+  /**
+   * Create the sort and filter controls
+   * @returns {HTMLElement}
+   */
+  createToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'job-market__toolbar';
+
+    const sortLabel = document.createElement('span');
+    sortLabel.textContent = 'Sort by';
+    toolbar.appendChild(sortLabel);
+
+    const sortSelect = document.createElement('select');
+    sortSelect.className = 'job-market__select';
+    for (const [key, option] of Object.entries(SORT_OPTIONS)) {
+      const element = document.createElement('option');
+      element.value = key;
+      element.textContent = option.label;
+      sortSelect.appendChild(element);
+    }
+    sortSelect.value = this.sortBy;
+    sortSelect.addEventListener('change', () => {
+      this.sortBy = sortSelect.value;
+      this.setPage(0);
+    });
+    toolbar.appendChild(sortSelect);
+
+    this.destinationSelect = document.createElement('select');
+    this.destinationSelect.className = 'job-market__select';
+    this.destinationSelect.addEventListener('change', () => {
+      this.destinationFilter = this.destinationSelect.value;
+      this.setPage(0);
+    });
+    toolbar.appendChild(this.destinationSelect);
+
+    for (const [flag, label] of Object.entries(CARGO_FLAGS)) {
+      const option = document.createElement('label');
+      option.className = 'job-market__flag';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.flagFilters.add(flag);
+        } else {
+          this.flagFilters.delete(flag);
+        }
+        this.setPage(0);
+      });
+      option.appendChild(checkbox);
+      option.appendChild(document.createTextNode(label));
+      toolbar.appendChild(option);
+    }
+
+    return toolbar;
+  }
+
+  /**
+   * Jobs on the board of the shown depot
+   * @returns {Array}
+   */
+  getDepotJobs() {
+    return this.depot ? this.jobSystem.getDepotJobs(this.depot) : [];
+  }
+
+  /**
+   * Rebuild the destination filter from the destinations on the board
+   */
+  updateDestinationOptions() {
+    if (!this.destinationSelect) return;
+
+    const destinations = [...new Set(this.getDepotJobs().map(job => job.destination.name))].sort();
+    if (!destinations.includes(this.destinationFilter)) {
+      this.destinationFilter = '';
+    }
+
+    this.destinationSelect.textContent = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'All destinations';
+    this.destinationSelect.appendChild(all);
+
+    for (const name of destinations) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      this.destinationSelect.appendChild(option);
+    }
+    this.destinationSelect.value = this.destinationFilter;
+  }
+
+  /**
+   * Jobs on the board that pass the filters, in the selected order
+   * @returns {Array}
+   */
+  getVisibleJobs() {
+    const jobs = this.getDepotJobs().filter(job => {
+      if (this.destinationFilter && job.destination.name !== this.destinationFilter) return false;
+      for (const flag of this.flagFilters) {
+        if (!job.cargo[flag]) return false;
+      }
+      return true;
+    });
+    return jobs.sort(SORT_OPTIONS[this.sortBy].compare);
+  }
+
+  /**
+   * Go to a page of the job list
+   * @param {number} page
+   */
+  setPage(page) {
+    this.page = page;
+    this.updateJobList();
+  }
+
   /**
    * Update the job list display
    */
@@ -331,17 +646,33 @@ export class JobMarket {
     // Clear existing jobs
     this.jobListElement.textContent = '';
 
-    const jobs = this.jobSystem.availableJobs;
+    const jobs = this.getVisibleJobs();
+    const pageCount = Math.max(1, Math.ceil(jobs.length / this.pageSize));
+    this.page = Math.min(Math.max(this.page, 0), pageCount - 1);
+
+    this.pageLabel.textContent = `Page ${this.page + 1} of ${pageCount}`;
+    this.prevPageBtn.disabled = this.page === 0;
+    this.nextPageBtn.disabled = this.page >= pageCount - 1;
+
+    // Drop a selection the filters have hidden
+    if (this.selectedJobId && !jobs.some(job => job.id === this.selectedJobId)) {
+      this.selectedJobId = null;
+      this.acceptBtn.disabled = true;
+    }
+    this.updatePreview();
 
     if (jobs.length === 0) {
       const empty = document.createElement('div');
       empty.className = 'job-market__empty';
-      empty.textContent = 'No jobs available. Check back later!';
+      empty.textContent = this.getDepotJobs().length === 0
+        ? 'No jobs available. Check back later!'
+        : 'No jobs match the filters.';
       this.jobListElement.appendChild(empty);
       return;
     }
 
-    for (const job of jobs) {
+    const start = this.page * this.pageSize;
+    for (const job of jobs.slice(start, start + this.pageSize)) {
       const card = this.createJobCard(job);
       this.jobListElement.appendChild(card);
     }
@@ -388,6 +719,19 @@ export class JobMarket {
       tag.textContent = 'HAZMAT';
       cargoName.appendChild(tag);
     }
+    if (job.cargo.oversized) {
+      const tag = document.createElement('span');
+      tag.className = 'job-card__tag job-card__tag--oversized';
+      tag.textContent = 'OVERSIZE';
+      cargoName.appendChild(tag);
+    }
+    if (job.reachable === false) {
+      const tag = document.createElement('span');
+      tag.className = 'job-card__tag job-card__tag--unreachable';
+      tag.textContent = 'NO ROAD ROUTE';
+      tag.title = 'Origin and destination are not connected by road';
+      cargoName.appendChild(tag);
+    }
 
     header.appendChild(cargoName);
 
@@ -425,14 +769,19 @@ export class JobMarket {
 
     const distance = document.createElement('span');
     distance.className = 'job-card__detail';
-    distance.textContent = `\u{1F4CF} ${job.distanceKm.toFixed(1)} km`;
+    distance.textContent = `\u{1F4CF} ${job.distanceKm.toFixed(1)} km by road`;
     details.appendChild(distance);
 
+    const direct = document.createElement('span');
+    direct.className = 'job-card__detail';
+    direct.textContent = `\u2197 ${job.straightDistanceKm.toFixed(1)} km direct`;
+    direct.title = 'Straight-line distance';
+    details.appendChild(direct);
+
     if (job.timeLimit) {
       const time = document.createElement('span');
       time.className = 'job-card__detail';
-      const minutes = Math.floor(job.timeLimit / 60);
-      time.textContent = `\u23F1 ${minutes} min`;
+      time.textContent = `\u23F1 ${formatDuration(job.timeLimit)} after loading`;
       details.appendChild(time);
     }
 
@@ -452,17 +801,144 @@ export class JobMarket {
    */
   selectJob(jobId) {
     this.selectedJobId = jobId;
+    this.noticeElement.textContent = '';
     this.acceptBtn.disabled = false;
     this.updateJobList();
   }
 
+  /**
+   * Set road data for the route preview
+   * @param {Array} roads - Road data array
+   */
+  setRoadData(roads) {
+    this.roads = roads || [];
+  }
+
+  /**
+   * Draw the selected job's route on the preview map
+   */
+  updatePreview() {
+    if (!this.previewCanvas) return;
+
+    const ctx = this.previewCanvas.getContext('2d');
+    const { width, height } = this.previewCanvas;
+    ctx.fillStyle = PREVIEW_COLORS.background;
+    ctx.fillRect(0, 0, width, height);
+
+    const job = this.getDepotJobs().find(j => j.id === this.selectedJobId);
+    if (!job) {
+      this.previewInfo.textContent = 'Select a job to preview its route.';
+      return;
+    }
+
+    const route = this.jobSystem.previewRoute(job);
+
+    // Fit the delivery route with a margin, keeping north up like the mini-map
+    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+    for (const [x, z] of route) {
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minZ = Math.min(minZ, z);
+      maxZ = Math.max(maxZ, z);
+    }
+    const span = Math.max(maxX - minX, maxZ - minZ, 500) * 1.2;
+    const centerX = (minX + maxX) / 2;
+    const centerZ = (minZ + maxZ) / 2;
+    const scale = width / span;
+    const toCanvas = (x, z) => ({
+      x: width / 2 + (x - centerX) * scale,
+      y: height / 2 + (z - centerZ) * scale,
+    });
+
+    // Roads with any point inside the view
+    const half = span / 2;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    for (const road of this.roads) {
+      if (!road.points || road.points.length < 2) continue;
+      const visible = road.points.some(p => Math.abs(p[0] - centerX) < half && Math.abs(p[2] - centerZ) < half);
+      if (!visible) continue;
+
+      ctx.strokeStyle = PREVIEW_COLORS.road[road.type] || PREVIEW_COLORS.road.default;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      road.points.forEach((point, i) => {
+        const pos = toCanvas(point[0], point[2]);
+        if (i === 0) ctx.moveTo(pos.x, pos.y);
+        else ctx.lineTo(pos.x, pos.y);
+      });
+      ctx.stroke();
+    }
+
+    this.drawPreviewLine(ctx, route, toCanvas, PREVIEW_COLORS.route, 4);
+
+    this.drawPreviewMarker(ctx, toCanvas(job.origin.x, job.origin.z), PREVIEW_COLORS.origin, 7);
+    this.drawPreviewMarker(ctx, toCanvas(job.destination.x, job.destination.z), PREVIEW_COLORS.destination, 7);
+
+    // Route summary
+    this.previewInfo.textContent = '';
+    const lines = [
+      `${job.origin.name} \u2192 ${job.destination.name}`,
+      `Route: ${job.distanceKm.toFixed(1)} km, \u20B1${payPerKm(job).toFixed(1)}/km`,
+    ];
+    for (const text of lines) {
+      const line = document.createElement('div');
+      line.textContent = text;
+      this.previewInfo.appendChild(line);
+    }
+  }
+
+  /**
+   * Stroke a route on the preview map
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Array} points - [x, z] points
+   * @param {Function} toCanvas - World to canvas transform
+   * @param {string} color
+   * @param {number} lineWidth
+   */
+  drawPreviewLine(ctx, points, toCanvas, color, lineWidth) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    points.forEach(([x, z], i) => {
+      const pos = toCanvas(x, z);
+      if (i === 0) ctx.moveTo(pos.x, pos.y);
+      else ctx.lineTo(pos.x, pos.y);
+    });
+    ctx.stroke();
+  }
+
+  /**
+   * Draw a round marker on the preview map
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {{x: number, y: number}} pos - Canvas position
+   * @param {string} color
+   * @param {number} radius
+   */
+  drawPreviewMarker(ctx, pos, color, radius) {
+    ctx.fillStyle = color;
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
   /**
    * Accept the selected job
    */
   acceptSelectedJob() {
     if (!this.selectedJobId) return;
 
-    const job = this.jobSystem.acceptJob(this.selectedJobId);
+    const truck = this.callbacks.getTruckPosition ? this.callbacks.getTruckPosition() : null;
+    const speed = this.callbacks.getTruckSpeed ? this.callbacks.getTruckSpeed() : 0;
+    if (!truck || !this.jobSystem.isParkedAt(this.depot, truck.x, truck.z, speed)) {
+      this.noticeElement.textContent = `Park at ${this.depot.name} to accept jobs`;
+      return;
+    }
+
+    const job = this.jobSystem.acceptJob(this.selectedJobId, truck.x, truck.z, speed);
     if (job) {
       this.hide();
       if (this.callbacks.onJobAccepted) {
@@ -471,17 +947,6 @@ export class JobMarket {
     }
   }
 
-  /**
-   * Refresh job list
-   */
-  refresh() {
-    this.jobSystem.refreshJobs();
-    this.selectedJobId = null;
-    this.acceptBtn.disabled = true;
-    this.updateJobList();
-    this.updateStats();
-  }
-
   /**
    * Update stats display
    */
@@ -489,15 +954,22 @@ export class JobMarket {
     if (!this.statsElement) return;
 
     const stats = this.jobSystem.getStats();
-    this.statsElement.textContent = `Deliveries: ${stats.totalDeliveries} | Total Earned: \u20B1${stats.totalEarnings.toLocaleString()}`;
+    const nextJobs = this.jobSystem.clock.formatArrival(this.jobSystem.getNextRefresh(this.depot));
+    this.statsElement.textContent = `Deliveries: ${stats.totalDeliveries} | Total Earned: \u20B1${stats.totalEarnings.toLocaleString()} | New jobs at ${nextJobs}`;
   }
 
   /**
-   * Show the job market
+   * Show a depot's job board
+   * @param {Object} depot
    */
-  show() {
+  show(depot) {
+    this.depot = depot;
+    this.titleElement.textContent = `${depot.name} Depot`;
+    this.noticeElement.textContent = '';
     this.selectedJobId = null;
     this.acceptBtn.disabled = true;
+    this.page = 0;
+    this.updateDestinationOptions();
     this.updateJobList();
     this.updateStats();
     this.uiManager.showScreen('job-market');
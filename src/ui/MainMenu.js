@@ -9,6 +9,8 @@ export class MainMenu {
     this.uiManager = uiManager;
     this.callbacks = callbacks;
     this.element = null;
+    this.continueBtn = null;
+    this.startBtn = null;
   }
 
   /**
@@ -167,9 +169,18 @@ export class MainMenu {
     const buttons = document.createElement('div');
     buttons.className = 'main-menu__buttons';
 
+    // Continue button (hidden until a save exists)
+    this.continueBtn = this.createButton('Continue', 'continue', true);
+    this.continueBtn.style.display = 'none';
+    buttons.appendChild(this.continueBtn);
+
     // Start button
-    const startBtn = this.createButton('Start Game', 'start', true);
-    buttons.appendChild(startBtn);
+    this.startBtn = this.createButton('Start Game', 'start', true);
+    buttons.appendChild(this.startBtn);
+
+    // Load game button
+    const loadBtn = this.createButton('Load Game', 'load', false);
+    buttons.appendChild(loadBtn);
 
     // Options button
     const optionsBtn = this.createButton('Options', 'options', false);
@@ -218,11 +229,21 @@ export class MainMenu {
    */
   handleAction(action) {
     switch (action) {
+      case 'continue':
+        if (this.callbacks.onContinue) {
+          this.callbacks.onContinue();
+        }
+        break;
       case 'start':
         if (this.callbacks.onStart) {
           this.callbacks.onStart();
         }
         break;
+      case 'load':
+        if (this.callbacks.onLoadGame) {
+          this.callbacks.onLoadGame();
+        }
+        break;
       case 'options':
         if (this.callbacks.onOptions) {
           this.callbacks.onOptions();
@@ -236,6 +257,17 @@ export class MainMenu {
     }
   }
 
+  /**
+   * Show or hide the Continue button
+   * @param {boolean} available - Whether a save exists to continue from
+   */
+  setContinueAvailable(available) {
+    if (!this.continueBtn) return;
+    this.continueBtn.style.display = available ? '' : 'none';
+    // Only one primary button at a time
+    this.startBtn.className = `main-menu__btn main-menu__btn--${available ? 'secondary' : 'primary'}`;
+  }
+
   /**
    * Show the main menu
    */
@@ -25,6 +25,9 @@ export class MiniMap {
     this.routePoints = null;
     this.destination = null;
 
+    // Active job's pickup and delivery points [{x, z, type, done}]
+    this.jobMarkers = [];
+
     // Map settings
     this.size = 180; // Canvas size in pixels
     this.zoom = 2000; // Meters visible on map (radius from player)
@@ -45,9 +48,12 @@ export class MiniMap {
       player: '#4CAF50',
       city: '#ff6600',
       town: '#ffaa00',
+      industrial: '#b388ff',
       fuel: '#00cc00',
       route: '#3399ff',
       destination: '#ff3333',
+      pickup: '#ffcc00',
+      delivery: '#ff3333',
       compass: 'rgba(255, 255, 255, 0.5)',
     };
   }
@@ -217,6 +223,21 @@ export class MiniMap {
     this.destination = null;
   }
 
+  /**
+   * Set the active job's leg end points
+   * @param {Array} markers - [{x, z, type: 'pickup'|'delivery', done}]
+   */
+  setJobMarkers(markers) {
+    this.jobMarkers = markers || [];
+  }
+
+  /**
+   * Clear job leg markers
+   */
+  clearJobMarkers() {
+    this.jobMarkers = [];
+  }
+
   /**
    * Convert world coordinates to canvas coordinates
    * @param {number} worldX
@@ -285,6 +306,9 @@ export class MiniMap {
     // Draw POIs
     this.renderPOIs(ctx);
 
+    // Draw job pickup and delivery points
+    this.renderJobMarkers(ctx);
+
     // Draw destination marker
     if (this.destination) {
       this.renderDestination(ctx);
@@ -423,6 +447,10 @@ export class MiniMap {
           color = this.colors.town;
           radius = 6;
           break;
+        case 'industrial':
+          color = this.colors.industrial;
+          radius = 6;
+          break;
         case 'fuel':
           color = this.colors.fuel;
           radius = 4;
@@ -439,7 +467,7 @@ export class MiniMap {
       ctx.fill();
 
       // Draw POI name for cities/towns at higher zoom
-      if ((poi.type === 'city' || poi.type === 'town') && this.zoom <= 5000 && poi.name) {
+      if ((poi.type === 'city' || poi.type === 'town' || poi.type === 'industrial') && this.zoom <= 5000 && poi.name) {
         ctx.fillStyle = 'white';
         ctx.font = '16px sans-serif';
         ctx.textAlign = 'center';
@@ -448,6 +476,32 @@ export class MiniMap {
     }
   }
 
+  /**
+   * Render job leg markers (square, lettered; finished legs dimmed)
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  renderJobMarkers(ctx) {
+    for (const marker of this.jobMarkers) {
+      const pos = this.worldToCanvas(marker.x, marker.z);
+      if (!this.isVisible(pos.x, pos.y)) continue;
+
+      ctx.globalAlpha = marker.done ? 0.4 : 1;
+      ctx.fillStyle = this.colors[marker.type] || this.colors.destination;
+      ctx.strokeStyle = 'white';
+      ctx.lineWidth = 2;
+      ctx.fillRect(pos.x - 9, pos.y - 9, 18, 18);
+      ctx.strokeRect(pos.x - 9, pos.y - 9, 18, 18);
+
+      ctx.fillStyle = 'black';
+      ctx.font = 'bold 13px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(marker.type === 'pickup' ? 'P' : 'D', pos.x, pos.y + 1);
+      ctx.globalAlpha = 1;
+    }
+    ctx.textBaseline = 'alphabetic';
+  }
+
   /**
    * Render destination marker
    * @param {CanvasRenderingContext2D} ctx
@@ -1,11 +1,28 @@
 /**
  * OptionsMenu - Game settings screen
  *
- * Allows players to adjust audio, controls, and graphics settings.
+ * Allows players to adjust audio, controls, gameplay, and graphics settings.
  */
 
 import { AudioCategory } from '../systems/AudioManager.js';
 import { InputAction } from '../core/InputManager.js';
+import { RouteMode } from '../systems/Pathfinder.js';
+import { DEFAULT_TIME_SCALE } from '../core/SimulationClock.js';
+
+// GPS route preference choices
+const ROUTE_MODE_OPTIONS = [
+  { mode: RouteMode.FASTEST, label: 'Fastest' },
+  { mode: RouteMode.SHORTEST, label: 'Shortest' },
+  { mode: RouteMode.AVOID_TERTIARY, label: 'Avoid Tertiary' },
+];
+
+// In-game time scale choices (game seconds per real second)
+const TIME_SCALE_OPTIONS = [
+  { scale: 1, label: 'Real Time' },
+  { scale: 10, label: '10\u00D7' },
+  { scale: 30, label: '30\u00D7' },
+  { scale: 60, label: '60\u00D7' },
+];
 
 export class OptionsMenu {
   constructor(uiManager, audioManager, inputManager, callbacks = {}) {
@@ -20,6 +37,8 @@ export class OptionsMenu {
     this.sliders = new Map();
     this.tabButtons = new Map();
     this.tabPanels = new Map();
+    this.routeModeButtons = new Map();
+    this.timeScaleButtons = new Map();
 
     // Key remapping state
     this.listeningForKey = null; // Currently listening binding element
@@ -310,6 +329,30 @@ export class OptionsMenu {
         0%, 100% { opacity: 1; }
         50% { opacity: 0.7; }
       }
+      .options-menu__choices {
+        flex: 1;
+        display: flex;
+        gap: 8px;
+      }
+      .options-menu__choice {
+        flex: 1;
+        padding: 8px 10px;
+        background: rgba(255, 255, 255, 0.1);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 6px;
+        color: rgba(255, 255, 255, 0.8);
+        font-size: 13px;
+        cursor: pointer;
+        transition: all 0.2s;
+      }
+      .options-menu__choice:hover {
+        background: rgba(255, 255, 255, 0.15);
+      }
+      .options-menu__choice--active {
+        background: rgba(76, 175, 80, 0.3);
+        border-color: #4CAF50;
+        color: white;
+      }
       .options-menu__binding-hint {
         color: rgba(255, 255, 255, 0.4);
         font-size: 11px;
@@ -357,6 +400,7 @@ export class OptionsMenu {
     const tabData = [
       { id: 'audio', label: 'Audio' },
       { id: 'controls', label: 'Controls' },
+      { id: 'gameplay', label: 'Gameplay' },
       { id: 'graphics', label: 'Graphics' },
     ];
 
@@ -388,6 +432,11 @@ export class OptionsMenu {
     content.appendChild(controlsPanel);
     this.tabPanels.set('controls', controlsPanel);
 
+    // Gameplay panel
+    const gameplayPanel = this.createGameplayPanel();
+    content.appendChild(gameplayPanel);
+    this.tabPanels.set('gameplay', gameplayPanel);
+
     // Graphics panel
     const graphicsPanel = this.createGraphicsPanel();
     content.appendChild(graphicsPanel);
@@ -526,6 +575,10 @@ export class OptionsMenu {
       { action: InputAction.STEER_LEFT, label: 'Steer Left' },
       { action: InputAction.STEER_RIGHT, label: 'Steer Right' },
       { action: InputAction.HANDBRAKE, label: 'Handbrake' },
+      { action: InputAction.SHIFT_UP, label: 'Shift Up' },
+      { action: InputAction.SHIFT_DOWN, label: 'Shift Down' },
+      { action: InputAction.TRANSMISSION_MODE, label: 'Auto / Manual' },
+      { action: InputAction.HITCH, label: 'Hitch / Unhitch' },
       { action: InputAction.HORN, label: 'Horn' },
       { action: InputAction.HEADLIGHTS, label: 'Headlights' },
       { action: InputAction.CAMERA_NEXT, label: 'Camera View' },
@@ -673,6 +726,141 @@ export class OptionsMenu {
     }
   }
 
+  /**
+   * Create gameplay settings panel
+   * @returns {HTMLElement}
+   */
+  createGameplayPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'options-menu__panel';
+
+    const section = document.createElement('div');
+    section.className = 'options-menu__section';
+
+    const sectionTitle = document.createElement('div');
+    sectionTitle.className = 'options-menu__section-title';
+    sectionTitle.textContent = 'GPS Navigation';
+    section.appendChild(sectionTitle);
+
+    const row = document.createElement('div');
+    row.className = 'options-menu__row';
+
+    const label = document.createElement('div');
+    label.className = 'options-menu__label';
+    label.textContent = 'Route';
+    row.appendChild(label);
+
+    const choices = document.createElement('div');
+    choices.className = 'options-menu__choices';
+
+    for (const option of ROUTE_MODE_OPTIONS) {
+      const btn = document.createElement('button');
+      btn.className = 'options-menu__choice';
+      btn.textContent = option.label;
+      btn.addEventListener('click', () => this.setRouteMode(option.mode));
+      choices.appendChild(btn);
+      this.routeModeButtons.set(option.mode, btn);
+    }
+
+    row.appendChild(choices);
+    section.appendChild(row);
+
+    const info = document.createElement('div');
+    info.className = 'options-menu__info';
+    info.textContent = 'Fastest weighs speed limits and road class. Changing it recalculates the active route.';
+    section.appendChild(info);
+
+    panel.appendChild(section);
+    panel.appendChild(this.createTimeScaleSection());
+    return panel;
+  }
+
+  /**
+   * Create the in-game time scale section
+   * @returns {HTMLElement}
+   */
+  createTimeScaleSection() {
+    const section = document.createElement('div');
+    section.className = 'options-menu__section';
+
+    const sectionTitle = document.createElement('div');
+    sectionTitle.className = 'options-menu__section-title';
+    sectionTitle.textContent = 'Time';
+    section.appendChild(sectionTitle);
+
+    const row = document.createElement('div');
+    row.className = 'options-menu__row';
+
+    const label = document.createElement('div');
+    label.className = 'options-menu__label';
+    label.textContent = 'Time Scale';
+    row.appendChild(label);
+
+    const choices = document.createElement('div');
+    choices.className = 'options-menu__choices';
+
+    for (const option of TIME_SCALE_OPTIONS) {
+      const btn = document.createElement('button');
+      btn.className = 'options-menu__choice';
+      btn.textContent = option.label;
+      btn.addEventListener('click', () => this.setTimeScale(option.scale));
+      choices.appendChild(btn);
+      this.timeScaleButtons.set(option.scale, btn);
+    }
+
+    row.appendChild(choices);
+    section.appendChild(row);
+
+    const info = document.createElement('div');
+    info.className = 'options-menu__info';
+    info.textContent = 'How fast the in-game clock runs. Day and night, loading times and job deadlines all follow it.';
+    section.appendChild(info);
+
+    return section;
+  }
+
+  /**
+   * Select an in-game time scale
+   * @param {number} scale - Game seconds per real second
+   */
+  setTimeScale(scale) {
+    if (this.callbacks.onTimeScaleChange) {
+      this.callbacks.onTimeScaleChange(scale);
+    }
+    this.updateTimeScaleButtons();
+  }
+
+  /**
+   * Highlight the current time scale
+   */
+  updateTimeScaleButtons() {
+    const current = this.callbacks.getTimeScale ? this.callbacks.getTimeScale() : DEFAULT_TIME_SCALE;
+    for (const [scale, btn] of this.timeScaleButtons) {
+      btn.classList.toggle('options-menu__choice--active', scale === current);
+    }
+  }
+
+  /**
+   * Select a GPS route preference
+   * @param {string} mode - RouteMode value
+   */
+  setRouteMode(mode) {
+    if (this.callbacks.onRouteModeChange) {
+      this.callbacks.onRouteModeChange(mode);
+    }
+    this.updateRouteModeButtons();
+  }
+
+  /**
+   * Highlight the current route preference
+   */
+  updateRouteModeButtons() {
+    const current = this.callbacks.getRouteMode ? this.callbacks.getRouteMode() : RouteMode.FASTEST;
+    for (const [mode, btn] of this.routeModeButtons) {
+      btn.classList.toggle('options-menu__choice--active', mode === current);
+    }
+  }
+
   /**
    * Create graphics settings panel
    * @returns {HTMLElement}
@@ -818,6 +1006,10 @@ export class OptionsMenu {
       this.inputManager.saveBindings();
     }
 
+    // Reset gameplay
+    this.setRouteMode(RouteMode.FASTEST);
+    this.setTimeScale(DEFAULT_TIME_SCALE);
+
     // Update sliders and bindings
     this.updateSliderValues();
     this.refreshBindings();
@@ -847,6 +1039,8 @@ export class OptionsMenu {
    */
   show() {
     this.updateSliderValues();
+    this.updateRouteModeButtons();
+    this.updateTimeScaleButtons();
     if (this.gamepadStatusElement) {
       this.updateGamepadStatus(this.gamepadStatusElement);
     }
@@ -136,6 +136,13 @@ export class PauseMenu {
     const resumeBtn = this.createButton('Resume', 'resume', 'primary');
     buttons.appendChild(resumeBtn);
 
+    // Save/load buttons
+    const saveBtn = this.createButton('Save Game', 'save', 'secondary');
+    buttons.appendChild(saveBtn);
+
+    const loadBtn = this.createButton('Load Game', 'load', 'secondary');
+    buttons.appendChild(loadBtn);
+
     // Options button
     const optionsBtn = this.createButton('Options', 'options', 'secondary');
     buttons.appendChild(optionsBtn);
@@ -183,6 +190,16 @@ export class PauseMenu {
           this.callbacks.onResume();
         }
         break;
+      case 'save':
+        if (this.callbacks.onSaveGame) {
+          this.callbacks.onSaveGame();
+        }
+        break;
+      case 'load':
+        if (this.callbacks.onLoadGame) {
+          this.callbacks.onLoadGame();
+        }
+        break;
       case 'options':
         if (this.callbacks.onOptions) {
           this.callbacks.onOptions();
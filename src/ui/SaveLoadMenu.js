@@ -0,0 +1,380 @@
+/**
+ * SaveLoadMenu - Save slot browser
+ *
+ * Lists saved games and lets the player load, overwrite, or delete slots.
+ * Opened in 'save' mode from the pause menu and 'load' mode from either menu.
+ */
+
+import { AUTOSAVE_SLOT } from '../systems/SaveSystem.js';
+
+export class SaveLoadMenu {
+  constructor(uiManager, saveSystem, callbacks = {}) {
+    this.uiManager = uiManager;
+    this.saveSystem = saveSystem;
+    this.callbacks = callbacks;
+    this.element = null;
+    this.mode = 'load'; // 'load' or 'save'
+
+    // UI element references
+    this.titleElement = null;
+    this.slotListElement = null;
+    this.newSlotRow = null;
+    this.nameInput = null;
+  }
+
+  /**
+   * Create and register the save/load menu
+   */
+  init() {
+    this.element = this.createElement();
+    this.uiManager.registerScreen('saveLoadMenu', this.element);
+  }
+
+  /**
+   * Add CSS styles to document
+   */
+  addStyles() {
+    if (document.getElementById('save-load-menu-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'save-load-menu-styles';
+    style.textContent = `
+      .save-menu {
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.8);
+        backdrop-filter: blur(5px);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        z-index: 1001;
+        pointer-events: auto;
+      }
+      .save-menu__container {
+        background: rgba(30, 30, 50, 0.95);
+        border-radius: 12px;
+        width: 90%;
+        max-width: 520px;
+        max-height: 80vh;
+        display: flex;
+        flex-direction: column;
+        box-shadow: 0 10px 40px rgba(0, 0, 0, 0.5);
+        overflow: hidden;
+      }
+      .save-menu__header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 20px 24px;
+        background: rgba(0, 0, 0, 0.3);
+        border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+      }
+      .save-menu__title {
+        color: white;
+        font-size: 24px;
+        font-weight: bold;
+      }
+      .save-menu__close {
+        background: rgba(255, 255, 255, 0.1);
+        border: none;
+        color: white;
+        font-size: 22px;
+        width: 36px;
+        height: 36px;
+        border-radius: 50%;
+        cursor: pointer;
+      }
+      .save-menu__close:hover {
+        background: rgba(255, 255, 255, 0.2);
+      }
+      .save-menu__new {
+        display: flex;
+        gap: 10px;
+        padding: 16px 24px;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+      }
+      .save-menu__input {
+        flex: 1;
+        padding: 10px 12px;
+        border-radius: 6px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        background: rgba(0, 0, 0, 0.3);
+        color: white;
+        font-size: 14px;
+      }
+      .save-menu__list {
+        flex: 1;
+        overflow-y: auto;
+        padding: 12px 24px;
+      }
+      .save-menu__empty {
+        color: rgba(255, 255, 255, 0.5);
+        text-align: center;
+        padding: 30px 0;
+      }
+      .save-menu__slot {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        padding: 12px 14px;
+        margin-bottom: 8px;
+        background: rgba(255, 255, 255, 0.05);
+        border-radius: 8px;
+      }
+      .save-menu__slot-info {
+        flex: 1;
+        min-width: 0;
+      }
+      .save-menu__slot-name {
+        color: white;
+        font-size: 15px;
+        font-weight: 600;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+      .save-menu__slot-meta {
+        color: rgba(255, 255, 255, 0.5);
+        font-size: 12px;
+        margin-top: 2px;
+      }
+      .save-menu__btn {
+        padding: 8px 14px;
+        font-size: 13px;
+        font-weight: 600;
+        border: none;
+        border-radius: 6px;
+        cursor: pointer;
+        transition: all 0.2s ease;
+      }
+      .save-menu__btn--primary {
+        background: linear-gradient(135deg, #4CAF50, #8BC34A);
+        color: white;
+      }
+      .save-menu__btn--primary:hover {
+        box-shadow: 0 4px 15px rgba(76, 175, 80, 0.4);
+      }
+      .save-menu__btn--danger {
+        background: rgba(244, 67, 54, 0.8);
+        color: white;
+      }
+      .save-menu__btn--danger:hover {
+        background: rgba(244, 67, 54, 1);
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Create the menu element using DOM methods
+   * @returns {HTMLElement}
+   */
+  createElement() {
+    this.addStyles();
+
+    const menu = document.createElement('div');
+    menu.className = 'save-menu';
+
+    const container = document.createElement('div');
+    container.className = 'save-menu__container';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'save-menu__header';
+
+    this.titleElement = document.createElement('div');
+    this.titleElement.className = 'save-menu__title';
+    header.appendChild(this.titleElement);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'save-menu__close';
+    closeBtn.textContent = '\u00D7';
+    closeBtn.addEventListener('click', () => this.close());
+    header.appendChild(closeBtn);
+
+    container.appendChild(header);
+
+    // New save row (save mode only)
+    this.newSlotRow = document.createElement('div');
+    this.newSlotRow.className = 'save-menu__new';
+
+    this.nameInput = document.createElement('input');
+    this.nameInput.className = 'save-menu__input';
+    this.nameInput.type = 'text';
+    this.nameInput.maxLength = 32;
+    this.nameInput.placeholder = 'New save name';
+    this.nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.saveNewSlot();
+    });
+    this.newSlotRow.appendChild(this.nameInput);
+
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'save-menu__btn save-menu__btn--primary';
+    saveBtn.textContent = 'Save';
+    saveBtn.addEventListener('click', () => this.saveNewSlot());
+    this.newSlotRow.appendChild(saveBtn);
+
+    container.appendChild(this.newSlotRow);
+
+    // Slot list
+    this.slotListElement = document.createElement('div');
+    this.slotListElement.className = 'save-menu__list';
+    container.appendChild(this.slotListElement);
+
+    menu.appendChild(container);
+
+    // Close on background click
+    menu.addEventListener('click', (e) => {
+      if (e.target === menu) {
+        this.close();
+      }
+    });
+
+    return menu;
+  }
+
+  /**
+   * Rebuild the slot list from storage
+   */
+  async refreshSlots() {
+    const slots = await this.saveSystem.listSlots();
+
+    this.slotListElement.textContent = '';
+
+    if (slots.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'save-menu__empty';
+      empty.textContent = 'No saved games yet';
+      this.slotListElement.appendChild(empty);
+      return;
+    }
+
+    for (const slot of slots) {
+      this.slotListElement.appendChild(this.createSlotRow(slot));
+    }
+  }
+
+  /**
+   * Create a row for one save slot
+   * @param {Object} slot - {slot, savedAt, summary}
+   * @returns {HTMLElement}
+   */
+  createSlotRow(slot) {
+    const row = document.createElement('div');
+    row.className = 'save-menu__slot';
+
+    const info = document.createElement('div');
+    info.className = 'save-menu__slot-info';
+
+    const name = document.createElement('div');
+    name.className = 'save-menu__slot-name';
+    name.textContent = slot.slot === AUTOSAVE_SLOT ? 'Autosave' : slot.slot;
+    info.appendChild(name);
+
+    const meta = document.createElement('div');
+    meta.className = 'save-menu__slot-meta';
+    const parts = [new Date(slot.savedAt).toLocaleString()];
+    if (typeof slot.summary.money === 'number') {
+      parts.push(`\u20B1${slot.summary.money.toLocaleString()}`);
+    }
+    if (typeof slot.summary.deliveries === 'number') {
+      parts.push(`${slot.summary.deliveries} deliveries`);
+    }
+    meta.textContent = parts.join(' | ');
+    info.appendChild(meta);
+
+    row.appendChild(info);
+
+    if (this.mode === 'load') {
+      const loadBtn = document.createElement('button');
+      loadBtn.className = 'save-menu__btn save-menu__btn--primary';
+      loadBtn.textContent = 'Load';
+      loadBtn.addEventListener('click', () => this.loadSlot(slot.slot));
+      row.appendChild(loadBtn);
+    } else if (slot.slot !== AUTOSAVE_SLOT) {
+      const overwriteBtn = document.createElement('button');
+      overwriteBtn.className = 'save-menu__btn save-menu__btn--primary';
+      overwriteBtn.textContent = 'Overwrite';
+      overwriteBtn.addEventListener('click', () => this.saveSlot(slot.slot));
+      row.appendChild(overwriteBtn);
+    }
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'save-menu__btn save-menu__btn--danger';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => this.deleteSlot(slot.slot));
+    row.appendChild(deleteBtn);
+
+    return row;
+  }
+
+  /**
+   * Save to the slot named in the input field
+   */
+  saveNewSlot() {
+    const name = this.nameInput.value.trim();
+    if (!name || name === AUTOSAVE_SLOT) return;
+    this.nameInput.value = '';
+    this.saveSlot(name);
+  }
+
+  /**
+   * Save the current game to a slot
+   * @param {string} slotName
+   */
+  async saveSlot(slotName) {
+    if (this.callbacks.onSave) {
+      await this.callbacks.onSave(slotName);
+    }
+    await this.refreshSlots();
+  }
+
+  /**
+   * Load a slot
+   * @param {string} slotName
+   */
+  loadSlot(slotName) {
+    this.uiManager.hideScreen('saveLoadMenu');
+    if (this.callbacks.onLoad) {
+      this.callbacks.onLoad(slotName);
+    }
+  }
+
+  /**
+   * Delete a slot
+   * @param {string} slotName
+   */
+  async deleteSlot(slotName) {
+    await this.saveSystem.deleteSlot(slotName);
+    await this.refreshSlots();
+    if (this.callbacks.onSlotsChanged) {
+      await this.callbacks.onSlotsChanged();
+    }
+  }
+
+  /**
+   * Show the menu
+   * @param {string} mode - 'save' or 'load'
+   */
+  show(mode = 'load') {
+    this.mode = mode;
+    this.titleElement.textContent = mode === 'save' ? 'Save Game' : 'Load Game';
+    this.newSlotRow.style.display = mode === 'save' ? 'flex' : 'none';
+    this.uiManager.showScreen('saveLoadMenu');
+    this.refreshSlots();
+  }
+
+  /**
+   * Close the menu and return to the previous screen
+   */
+  close() {
+    this.uiManager.hideScreen('saveLoadMenu');
+    if (this.callbacks.onClose) {
+      this.callbacks.onClose();
+    }
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * DayNightCycle - Time of day clock driving sun, sky and ambient lighting
+ *
+ * Reads the hour from the simulation clock and blends the scene lighting
+ * through dawn, day, dusk and night.
+ */
+
+import * as BABYLON from '@babylonjs/core';
+
+// Sky color keyframes by hour (wraps around midnight)
+const SKY_KEYFRAMES = [
+  { hour: 0, color: new BABYLON.Color3(0.02, 0.03, 0.08) },
+  { hour: 5, color: new BABYLON.Color3(0.02, 0.03, 0.08) },
+  { hour: 6, color: new BABYLON.Color3(0.85, 0.55, 0.4) },   // Dawn
+  { hour: 7.5, color: new BABYLON.Color3(0.53, 0.81, 0.92) }, // Day
+  { hour: 17, color: new BABYLON.Color3(0.53, 0.81, 0.92) },
+  { hour: 18.5, color: new BABYLON.Color3(0.95, 0.5, 0.3) },  // Dusk
+  { hour: 19.5, color: new BABYLON.Color3(0.02, 0.03, 0.08) }, // Night
+  { hour: 24, color: new BABYLON.Color3(0.02, 0.03, 0.08) },
+];
+
+// Ambient light intensity keyframes by hour
+const AMBIENT_KEYFRAMES = [
+  { hour: 0, value: 0.15 },
+  { hour: 5, value: 0.15 },
+  { hour: 6.5, value: 0.4 },
+  { hour: 8, value: 0.6 },
+  { hour: 17, value: 0.6 },
+  { hour: 18.5, value: 0.4 },
+  { hour: 19.5, value: 0.15 },
+  { hour: 24, value: 0.15 },
+];
+
+// Sun color at the horizon and at noon
+const SUN_HORIZON_COLOR = new BABYLON.Color3(1.0, 0.6, 0.35);
+const SUN_NOON_COLOR = new BABYLON.Color3(1.0, 1.0, 0.95);
+
+export class DayNightCycle {
+  constructor(scene, ambientLight, sunLight, clock) {
+    this.scene = scene;
+    this.ambientLight = ambientLight;
+    this.sunLight = sunLight;
+
+    // SimulationClock that owns the time of day
+    this.clock = clock;
+
+    // Sunrise/sunset hours (Mindanao is near the equator, so roughly 6 to 18)
+    this.sunriseHour = 6;
+    this.sunsetHour = 18;
+
+    // Night state for transition callbacks
+    this.wasNight = null;
+
+    // Callbacks
+    this.onNightStart = null;
+    this.onDayStart = null;
+  }
+
+  /**
+   * Update lighting for the clock's current hour
+   */
+  update() {
+    this.applyLighting();
+  }
+
+  /**
+   * Apply lighting for the current hour
+   */
+  applyLighting() {
+    const hour = this.getHour();
+
+    // Sky color
+    const sky = this.sampleColor(SKY_KEYFRAMES, hour);
+    this.scene.clearColor = new BABYLON.Color4(sky.r, sky.g, sky.b, 1);
+
+    // Ambient intensity
+    if (this.ambientLight) {
+      this.ambientLight.intensity = this.sampleValue(AMBIENT_KEYFRAMES, hour);
+    }
+
+    // Sun arcs east to west across the day
+    if (this.sunLight) {
+      const dayLength = this.sunsetHour - this.sunriseHour;
+      const progress = (hour - this.sunriseHour) / dayLength; // 0 at sunrise, 1 at sunset
+      const angle = progress * Math.PI;
+      const elevation = Math.sin(angle);
+
+      // Direction points from the sun towards the ground
+      this.sunLight.direction = new BABYLON.Vector3(
+        -Math.cos(angle),
+        -Math.max(0.1, elevation),
+        -0.3
+      ).normalize();
+
+      const daylight = Math.max(0, elevation);
+      this.sunLight.intensity = Math.min(1, daylight * 1.5);
+      this.sunLight.diffuse = BABYLON.Color3.Lerp(SUN_HORIZON_COLOR, SUN_NOON_COLOR, Math.min(1, daylight * 2));
+    }
+
+    // Day/night transitions
+    const night = this.isNight();
+    if (this.wasNight !== null && night !== this.wasNight) {
+      if (night && this.onNightStart) this.onNightStart();
+      if (!night && this.onDayStart) this.onDayStart();
+    }
+    this.wasNight = night;
+  }
+
+  /**
+   * Interpolate a color from keyframes
+   * @param {Array} keyframes - [{hour, color}]
+   * @param {number} hour
+   * @returns {BABYLON.Color3}
+   */
+  sampleColor(keyframes, hour) {
+    const [a, b, t] = this.findKeyframes(keyframes, hour);
+    return BABYLON.Color3.Lerp(a.color, b.color, t);
+  }
+
+  /**
+   * Interpolate a number from keyframes
+   * @param {Array} keyframes - [{hour, value}]
+   * @param {number} hour
+   * @returns {number}
+   */
+  sampleValue(keyframes, hour) {
+    const [a, b, t] = this.findKeyframes(keyframes, hour);
+    return a.value + (b.value - a.value) * t;
+  }
+
+  /**
+   * Find the keyframes surrounding an hour
+   * @param {Array} keyframes - Sorted by hour, covering 0 to 24
+   * @param {number} hour
+   * @returns {Array} - [before, after, t]
+   */
+  findKeyframes(keyframes, hour) {
+    for (let i = 0; i < keyframes.length - 1; i++) {
+      const a = keyframes[i];
+      const b = keyframes[i + 1];
+      if (hour >= a.hour && hour <= b.hour) {
+        const span = b.hour - a.hour;
+        return [a, b, span > 0 ? (hour - a.hour) / span : 0];
+      }
+    }
+    const last = keyframes[keyframes.length - 1];
+    return [last, last, 0];
+  }
+
+  /**
+   * Get current hour (0-24)
+   * @returns {number}
+   */
+  getHour() {
+    return this.clock.getHour();
+  }
+
+  /**
+   * Set current hour
+   * @param {number} hour - 0 to 24
+   */
+  setHour(hour) {
+    this.clock.setHour(hour);
+    this.wasNight = null;
+    this.applyLighting();
+  }
+
+  /**
+   * Set time scale
+   * @param {number} scale - Game seconds per real second
+   */
+  setTimeScale(scale) {
+    this.clock.setTimeScale(scale);
+  }
+
+  /**
+   * Check if it is dark enough to need headlights
+   * @returns {boolean}
+   */
+  isNight() {
+    const hour = this.getHour();
+    return hour < this.sunriseHour + 0.5 || hour >= this.sunsetHour + 0.5;
+  }
+}
@@ -8,9 +8,10 @@
 import * as BABYLON from '@babylonjs/core';
 
 export class EnvironmentProps {
-  constructor(scene, shadowGenerator) {
+  constructor(scene, shadowGenerator, terrain = null) {
     this.scene = scene;
     this.shadowGenerator = shadowGenerator;
+    this.terrain = terrain;
 
     // Loaded model templates (for instancing)
     this.templates = {};
@@ -179,8 +180,8 @@ export class EnvironmentProps {
         const offsetAlongRoad = (random() - 0.5) * this.treeSpacing;
 
         const x = p[0] + perpX * dist * side + dirX * offsetAlongRoad;
-        const y = (p[1] || 0);
         const z = p[2] + perpZ * dist * side + dirZ * offsetAlongRoad;
+        const y = this.getGroundHeight(x, z, p);
 
         // Choose random tree template
         const template = treeTemplates[Math.floor(random() * treeTemplates.length)];
@@ -236,8 +237,8 @@ export class EnvironmentProps {
         const offsetAlongRoad = (random() - 0.5) * 10;
 
         const x = p[0] + perpX * dist * side + dirX * offsetAlongRoad;
-        const y = (p[1] || 0);
         const z = p[2] + perpZ * dist * side + dirZ * offsetAlongRoad;
+        const y = this.getGroundHeight(x, z, p);
 
         // Calculate rotation to face road
         const rotY = Math.atan2(-perpX * side, -perpZ * side);
@@ -256,6 +257,14 @@ export class EnvironmentProps {
     return count;
   }
 
+  /**
+   * Ground height for a prop, from the terrain when available
+   */
+  getGroundHeight(x, z, roadPoint) {
+    if (this.terrain) return this.terrain.getHeightAt(x, z);
+    return roadPoint[1] || 0;
+  }
+
   /**
    * Create an instance from template (for trees)
    */
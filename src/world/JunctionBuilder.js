@@ -0,0 +1,433 @@
+/**
+ * JunctionBuilder - Finds road junctions and shapes their surfaces
+ *
+ * OSM ways that meet share a node (or end a few meters short of one another),
+ * and drawing each way as its own ribbon leaves overlapping asphalt, gaps on
+ * the outside of corners and markings running across the junction. This
+ * groups nearby vertices into junctions, cuts every incoming road back to
+ * where its edges clear the neighbouring arms, and builds one polygon that
+ * joins the trimmed ends. Roads are then drawn from the remaining pieces so
+ * their markings stop at the junction edge.
+ *
+ * T-junctions (an end meeting a through road) and roundabouts (approaches
+ * meeting the ring) fall out of the same rule: any vertex cluster with three
+ * or more arms is a junction.
+ */
+
+import { getRoadLayout } from './RoadRenderer.js';
+
+export class JunctionBuilder {
+  constructor() {
+    // Vertices closer than this (meters) belong to the same junction
+    this.mergeDistance = 4;
+
+    // Larger height differences are bridges, not junctions
+    this.maxHeightDifference = 2;
+
+    // Extra setback past where the arm edges clear each other
+    this.trimMargin = 1;
+    this.maxTrim = 25;
+
+    // Arm directions are measured this far out from the junction
+    this.directionDistance = 8;
+
+    this.gridCellSize = 50;
+    this.distanceCache = new Map();
+
+    // Results
+    this.junctions = [];
+    this.paths = []; // road points with snapped vertices inserted
+    this.cuts = []; // per road: sorted [start, end] distances removed
+  }
+
+  /**
+   * Find junctions, their polygons and the stretches of road they replace
+   * @param {Array} roads - Road data array
+   */
+  build(roads) {
+    this.junctions = [];
+    this.paths = roads.map(road => (road.points && road.points.length >= 2 ? road.points.slice() : null));
+    this.cuts = roads.map(() => []);
+    this.distanceCache.clear();
+
+    this.snapRoadEnds();
+    const clusters = this.findClusters();
+
+    for (const members of clusters) {
+      const junction = this.buildJunction(roads, members);
+      if (junction) this.junctions.push(junction);
+    }
+
+    this.cuts.forEach(list => this.mergeIntervals(list));
+
+    console.log(`Junctions built: ${this.junctions.length}`);
+  }
+
+  /**
+   * Insert a vertex where a road end stops just short of another road's segment
+   */
+  snapRoadEnds() {
+    const grid = new Map();
+    this.paths.forEach((points, r) => {
+      if (!points) return;
+      for (let i = 0; i < points.length - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const minX = Math.floor((Math.min(a[0], b[0]) - this.mergeDistance) / this.gridCellSize);
+        const maxX = Math.floor((Math.max(a[0], b[0]) + this.mergeDistance) / this.gridCellSize);
+        const minZ = Math.floor((Math.min(a[2], b[2]) - this.mergeDistance) / this.gridCellSize);
+        const maxZ = Math.floor((Math.max(a[2], b[2]) + this.mergeDistance) / this.gridCellSize);
+        for (let cx = minX; cx <= maxX; cx++) {
+          for (let cz = minZ; cz <= maxZ; cz++) {
+            const key = `${cx},${cz}`;
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push({ r, a, b });
+          }
+        }
+      }
+    });
+
+    // Splits per road, applied afterwards so segment references stay valid
+    const splits = new Map();
+    this.paths.forEach((points, r) => {
+      if (!points) return;
+
+      for (const end of [points[0], points[points.length - 1]]) {
+        const cell = grid.get(`${Math.floor(end[0] / this.gridCellSize)},${Math.floor(end[2] / this.gridCellSize)}`);
+        if (!cell) continue;
+
+        let best = null;
+        for (const seg of cell) {
+          if (seg.r === r) continue;
+          const dx = seg.b[0] - seg.a[0];
+          const dz = seg.b[2] - seg.a[2];
+          const lengthSq = dx * dx + dz * dz;
+          if (lengthSq < 0.0001) continue;
+
+          const t = Math.max(0, Math.min(1, ((end[0] - seg.a[0]) * dx + (end[2] - seg.a[2]) * dz) / lengthSq));
+          const px = seg.a[0] + dx * t;
+          const pz = seg.a[2] + dz * t;
+          const y = seg.a[1] + (seg.b[1] - seg.a[1]) * t;
+          const dist = Math.sqrt((px - end[0]) ** 2 + (pz - end[2]) ** 2);
+          if (dist >= this.mergeDistance || Math.abs(y - end[1]) > this.maxHeightDifference) continue;
+          if (!best || dist < best.dist) best = { seg, t, dist, point: [px, y, pz] };
+        }
+
+        // Ends already at a vertex are merged by the clustering
+        if (!best) continue;
+        const segLength = Math.sqrt((best.seg.b[0] - best.seg.a[0]) ** 2 + (best.seg.b[2] - best.seg.a[2]) ** 2);
+        const fromA = best.t * segLength;
+        if (fromA < this.mergeDistance || segLength - fromA < this.mergeDistance) continue;
+
+        if (!splits.has(best.seg.r)) splits.set(best.seg.r, []);
+        splits.get(best.seg.r).push({ a: best.seg.a, t: best.t, point: best.point });
+      }
+    });
+
+    for (const [r, list] of splits) {
+      const points = this.paths[r];
+      list.sort((m, n) => n.t - m.t);
+      for (const split of list) {
+        const index = points.indexOf(split.a);
+        if (index >= 0) points.splice(index + 1, 0, split.point);
+      }
+    }
+  }
+
+  /**
+   * Group vertices of different roads (or both ends of a loop) lying close together
+   * @returns {Array<Array<{r: number, i: number}>>} Clusters with at least two members
+   */
+  findClusters() {
+    const vertices = [];
+    this.paths.forEach((points, r) => {
+      if (!points) return;
+      points.forEach((p, i) => vertices.push({ r, i, p, end: i === 0 || i === points.length - 1 }));
+    });
+
+    const parent = vertices.map((v, k) => k);
+    const find = k => {
+      while (parent[k] !== k) {
+        parent[k] = parent[parent[k]];
+        k = parent[k];
+      }
+      return k;
+    };
+
+    const cellSize = this.mergeDistance;
+    const grid = new Map();
+    vertices.forEach((v, k) => {
+      const cx = Math.floor(v.p[0] / cellSize);
+      const cz = Math.floor(v.p[2] / cellSize);
+
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const cell = grid.get(`${cx + dx},${cz + dz}`);
+          if (!cell) continue;
+          for (const other of cell) {
+            const o = vertices[other];
+            // Within one road only a closed loop's two ends meet
+            if (o.r === v.r && !(o.end && v.end)) continue;
+            const dist = Math.sqrt((o.p[0] - v.p[0]) ** 2 + (o.p[2] - v.p[2]) ** 2);
+            if (dist >= this.mergeDistance) continue;
+            if (Math.abs(o.p[1] - v.p[1]) > this.maxHeightDifference) continue;
+            parent[find(other)] = find(k);
+          }
+        }
+      }
+
+      const key = `${cx},${cz}`;
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(k);
+    });
+
+    const clusters = new Map();
+    vertices.forEach((v, k) => {
+      const root = find(k);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push({ r: v.r, i: v.i });
+    });
+
+    return [...clusters.values()].filter(members => members.length >= 2);
+  }
+
+  /**
+   * Work out arms, trims and the surface polygon for one vertex cluster
+   * @returns {Object|null} Junction, or null when it is only a road continuing
+   */
+  buildJunction(roads, members) {
+    let cx = 0;
+    let cy = 0;
+    let cz = 0;
+    for (const { r, i } of members) {
+      const p = this.paths[r][i];
+      cx += p[0];
+      cy += p[1] || 0;
+      cz += p[2];
+    }
+    const center = { x: cx / members.length, y: cy / members.length, z: cz / members.length };
+
+    // Vertices of one road inside the cluster
+    const byRoad = new Map();
+    for (const { r, i } of members) {
+      if (!byRoad.has(r)) byRoad.set(r, []);
+      byRoad.get(r).push(i);
+    }
+
+    // One arm per direction a road leaves the cluster in
+    const arms = [];
+    const inside = [];
+    for (const [r, indices] of byRoad) {
+      const points = this.paths[r];
+      const distances = this.getDistances(r);
+      const last = points.length - 1;
+      const first = Math.min(...indices);
+      const final = Math.max(...indices);
+
+      // A closed loop leaves from both of its ends; otherwise from either side of the run
+      let exits;
+      if (first === 0 && final === last && last > 1) {
+        exits = [[0, 1], [last, -1]];
+      } else {
+        exits = [[first, -1], [final, 1]].filter(([i, sign]) => i + sign >= 0 && i + sign <= last);
+        if (final > first) inside.push([r, distances[first], distances[final]]);
+      }
+
+      const halfWidth = getRoadLayout(roads[r]).width / 2;
+      for (const [i, sign] of exits) {
+        const length = sign > 0 ? distances[last] - distances[i] : distances[i];
+        const probe = this.pointAt(r, distances[i] + sign * Math.min(this.directionDistance, length));
+        const dx = probe[0] - center.x;
+        const dz = probe[2] - center.z;
+        const len = Math.sqrt(dx * dx + dz * dz);
+        if (len < 0.01) continue;
+
+        arms.push({
+          road: roads[r],
+          r,
+          i,
+          sign,
+          length,
+          dirX: dx / len,
+          dirZ: dz / len,
+          angle: Math.atan2(dz, dx),
+          halfWidth,
+          trim: 0,
+        });
+      }
+    }
+
+    if (arms.length < 3) return null;
+    arms.sort((a, b) => a.angle - b.angle);
+
+    // Cut each arm back to where its edges clear both angular neighbours
+    const count = arms.length;
+    for (let k = 0; k < count; k++) {
+      const arm = arms[k];
+      const prev = arms[(k + count - 1) % count];
+      const next = arms[(k + 1) % count];
+      const toPrev = this.angleBetween(prev.angle, arm.angle);
+      const toNext = this.angleBetween(arm.angle, next.angle);
+
+      const clearance = Math.max(
+        this.cornerDistance(arm.halfWidth, prev.halfWidth, toPrev),
+        this.cornerDistance(arm.halfWidth, next.halfWidth, toNext),
+        arm.halfWidth
+      );
+      arm.trim = Math.min(clearance + this.trimMargin, this.maxTrim, arm.length * 0.45);
+    }
+
+    // Polygon corners in increasing angle: right then left edge of each trimmed end
+    const ring = [];
+    for (const arm of arms) {
+      const { r, i, sign } = arm;
+      const distances = this.getDistances(r);
+      const at = distances[i] + sign * arm.trim;
+      const end = this.pointAt(r, at);
+
+      // Match the ribbon's end, which is square to the road there
+      const [dirX, dirZ] = this.directionAt(r, at);
+      const perpX = -dirZ * sign;
+      const perpZ = dirX * sign;
+      ring.push([end[0] - perpX * arm.halfWidth, end[1], end[2] - perpZ * arm.halfWidth]);
+      ring.push([end[0] + perpX * arm.halfWidth, end[1], end[2] + perpZ * arm.halfWidth]);
+
+      this.cuts[r].push(sign > 0 ? [distances[i], at] : [at, distances[i]]);
+    }
+
+    // Stretches between clustered vertices of one road are covered too
+    for (const [r, start, end] of inside) this.cuts[r].push([start, end]);
+
+    // Drawn with the material of the widest road through it
+    const main = arms.reduce((best, arm) => (arm.halfWidth > best.halfWidth ? arm : best), arms[0]);
+
+    return {
+      center: [center.x, center.y, center.z],
+      ring,
+      road: main.road,
+      arms: arms.length,
+    };
+  }
+
+  /**
+   * Distance along an arm where its edge meets the neighbouring arm's edge
+   * @param {number} halfWidth - This arm
+   * @param {number} otherHalfWidth - Neighbouring arm
+   * @param {number} angle - Angle between the arms (radians)
+   */
+  cornerDistance(halfWidth, otherHalfWidth, angle) {
+    // Nearly straight on, the edges run on without meeting
+    if (angle > Math.PI * 0.85) return Math.max(halfWidth, otherHalfWidth);
+    return (otherHalfWidth + halfWidth * Math.cos(angle)) / Math.max(Math.sin(angle), 0.3);
+  }
+
+  /**
+   * Counter-clockwise angle from a to b in [0, 2pi)
+   */
+  angleBetween(a, b) {
+    let angle = b - a;
+    while (angle < 0) angle += Math.PI * 2;
+    return angle;
+  }
+
+  /**
+   * Cumulative distance along a road at each vertex
+   */
+  getDistances(r) {
+    let distances = this.distanceCache.get(r);
+    if (!distances) {
+      const points = this.paths[r];
+      distances = [0];
+      for (let i = 1; i < points.length; i++) {
+        const dx = points[i][0] - points[i - 1][0];
+        const dz = points[i][2] - points[i - 1][2];
+        distances.push(distances[i - 1] + Math.sqrt(dx * dx + dz * dz));
+      }
+      this.distanceCache.set(r, distances);
+    }
+    return distances;
+  }
+
+  /**
+   * Interpolated road point at a distance along the road
+   * @returns {number[]} [x, y, z]
+   */
+  pointAt(r, distance) {
+    const points = this.paths[r];
+    const distances = this.getDistances(r);
+    if (distance <= 0) return points[0].slice();
+
+    for (let i = 1; i < points.length; i++) {
+      if (distances[i] < distance) continue;
+      const span = distances[i] - distances[i - 1];
+      const t = span > 0 ? (distance - distances[i - 1]) / span : 0;
+      const a = points[i - 1];
+      const b = points[i];
+      return [a[0] + (b[0] - a[0]) * t, (a[1] || 0) + ((b[1] || 0) - (a[1] || 0)) * t, a[2] + (b[2] - a[2]) * t];
+    }
+    return points[points.length - 1].slice();
+  }
+
+  /**
+   * Unit direction [x, z] of the road segment at a distance along the road
+   */
+  directionAt(r, distance) {
+    const points = this.paths[r];
+    const distances = this.getDistances(r);
+    let i = 1;
+    while (i < points.length - 1 && distances[i] < distance) i++;
+
+    const dx = points[i][0] - points[i - 1][0];
+    const dz = points[i][2] - points[i - 1][2];
+    const len = Math.sqrt(dx * dx + dz * dz);
+    return len > 0.001 ? [dx / len, dz / len] : [1, 0];
+  }
+
+  /**
+   * Sort and merge overlapping [start, end] intervals in place
+   */
+  mergeIntervals(list) {
+    list.sort((a, b) => a[0] - b[0]);
+    let k = 0;
+    for (let n = 1; n < list.length; n++) {
+      if (list[n][0] <= list[k][1]) {
+        list[k][1] = Math.max(list[k][1], list[n][1]);
+      } else {
+        list[++k] = list[n];
+      }
+    }
+    list.length = list.length > 0 ? k + 1 : 0;
+  }
+
+  /**
+   * A road's points split into the pieces left between junctions
+   * @param {number} r - Index into the road array passed to build()
+   * @returns {Array<Array>} Point lists [x, y, z]
+   */
+  getPieces(r) {
+    const points = this.paths[r];
+    if (!points) return [];
+
+    const cuts = this.cuts[r];
+    if (!cuts || cuts.length === 0) return [points];
+
+    const distances = this.getDistances(r);
+    const total = distances[distances.length - 1];
+    const pieces = [];
+    let start = 0;
+
+    for (const [cutStart, cutEnd] of [...cuts, [total, total]]) {
+      if (cutStart - start > 0.05) {
+        const piece = [this.pointAt(r, start)];
+        for (let i = 0; i < points.length; i++) {
+          if (distances[i] > start && distances[i] < cutStart) piece.push(points[i]);
+        }
+        piece.push(this.pointAt(r, cutStart));
+        pieces.push(piece);
+      }
+      start = Math.max(start, cutEnd);
+    }
+
+    return pieces;
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * RoadColliders - Static physics for road surfaces
+ *
+ * Takes the same edge paths the road ribbons are built from and merges them
+ * into one triangle-mesh collider per spatial chunk and surface type. Each
+ * collider mesh carries its surface in metadata so wheel raycasts can read
+ * grip and rolling resistance from whatever they hit.
+ */
+
+import * as BABYLON from '@babylonjs/core';
+
+// Tire grip and rolling resistance multipliers, plus Havok friction for body contacts
+export const Surfaces = {
+  asphalt: { id: 'asphalt', name: 'Asphalt', grip: 1.0, rollingResistance: 1.0, friction: 0.8 },
+  concrete: { id: 'concrete', name: 'Concrete', grip: 0.95, rollingResistance: 1.0, friction: 0.8 },
+  gravel: { id: 'gravel', name: 'Gravel', grip: 0.7, rollingResistance: 2.0, friction: 0.6 },
+  unpaved: { id: 'unpaved', name: 'Unpaved', grip: 0.6, rollingResistance: 2.5, friction: 0.55 },
+  grass: { id: 'grass', name: 'Grass', grip: 0.55, rollingResistance: 3.0, friction: 0.5 },
+};
+
+// OSM surface values mapped onto the surfaces above
+const SURFACE_ALIASES = {
+  paved: 'asphalt',
+  metal: 'concrete',
+  paving_stones: 'concrete',
+  sett: 'concrete',
+  compacted: 'gravel',
+  fine_gravel: 'gravel',
+  dirt: 'unpaved',
+  earth: 'unpaved',
+  ground: 'unpaved',
+  mud: 'unpaved',
+  sand: 'unpaved',
+};
+
+/**
+ * Surface for a road's OSM `surface` tag (asphalt when missing or unknown)
+ * @param {Object} road
+ * @returns {Object} Entry from Surfaces
+ */
+export function getRoadSurface(road) {
+  const tag = road && road.surface;
+  return Surfaces[tag] || Surfaces[SURFACE_ALIASES[tag]] || Surfaces.asphalt;
+}
+
+export class RoadColliders {
+  constructor(scene) {
+    this.scene = scene;
+
+    // Meters per chunk side
+    this.chunkSize = 1000;
+
+    // Geometry waiting to be built, keyed by chunk and surface
+    this.chunks = new Map();
+
+    this.meshes = [];
+    this.aggregates = [];
+  }
+
+  /**
+   * Queue a road's surface for the colliders
+   * @param {Object} road - Road data (for the surface tag)
+   * @param {BABYLON.Vector3[]} leftPath - Left edge, one point per road point
+   * @param {BABYLON.Vector3[]} rightPath - Right edge, one point per road point
+   */
+  addRoad(road, leftPath, rightPath) {
+    const surface = getRoadSurface(road);
+
+    for (let i = 0; i < leftPath.length - 1; i++) {
+      const l0 = leftPath[i];
+      const r0 = rightPath[i];
+      const l1 = leftPath[i + 1];
+      const r1 = rightPath[i + 1];
+
+      // Each segment goes to the chunk holding its midpoint
+      const midX = (l0.x + r0.x + l1.x + r1.x) / 4;
+      const midZ = (l0.z + r0.z + l1.z + r1.z) / 4;
+      const chunk = this.getChunk(midX, midZ, surface);
+
+      const base = chunk.positions.length / 3;
+      for (const p of [l0, r0, r1, l1]) {
+        chunk.positions.push(p.x - chunk.originX, p.y, p.z - chunk.originZ);
+      }
+      chunk.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    }
+  }
+
+  /**
+   * Queue a junction's surface polygon for the colliders
+   * @param {Object} road - Main road through the junction (for the surface tag)
+   * @param {BABYLON.Vector3} center
+   * @param {BABYLON.Vector3[]} ring - Polygon corners, counter-clockwise seen from above
+   */
+  addJunction(road, center, ring) {
+    const chunk = this.getChunk(center.x, center.z, getRoadSurface(road));
+
+    const base = chunk.positions.length / 3;
+    for (const p of [center, ...ring]) {
+      chunk.positions.push(p.x - chunk.originX, p.y, p.z - chunk.originZ);
+    }
+    for (let k = 0; k < ring.length; k++) {
+      chunk.indices.push(base, base + 1 + k, base + 1 + ((k + 1) % ring.length));
+    }
+  }
+
+  /**
+   * Find or create the pending chunk for a position and surface
+   */
+  getChunk(x, z, surface) {
+    const cx = Math.floor(x / this.chunkSize);
+    const cz = Math.floor(z / this.chunkSize);
+    const key = `${cx}_${cz}_${surface.id}`;
+
+    let chunk = this.chunks.get(key);
+    if (!chunk) {
+      chunk = {
+        key,
+        surface,
+        originX: cx * this.chunkSize,
+        originZ: cz * this.chunkSize,
+        positions: [],
+        indices: [],
+      };
+      this.chunks.set(key, chunk);
+    }
+    return chunk;
+  }
+
+  /**
+   * Create one static mesh collider per queued chunk
+   */
+  build() {
+    let triangles = 0;
+
+    for (const chunk of this.chunks.values()) {
+      const vertexData = new BABYLON.VertexData();
+      vertexData.positions = chunk.positions;
+      vertexData.indices = chunk.indices;
+
+      // Colliders only, the ribbons do the drawing
+      const mesh = new BABYLON.Mesh(`roadCollider_${chunk.key}`, this.scene);
+      vertexData.applyToMesh(mesh);
+      mesh.position = new BABYLON.Vector3(chunk.originX, 0, chunk.originZ);
+      mesh.isVisible = false;
+      mesh.isPickable = false;
+      mesh.metadata = { surface: chunk.surface };
+      mesh.freezeWorldMatrix();
+
+      const aggregate = new BABYLON.PhysicsAggregate(
+        mesh,
+        BABYLON.PhysicsShapeType.MESH,
+        { mass: 0, friction: chunk.surface.friction, restitution: 0.1 },
+        this.scene
+      );
+
+      this.meshes.push(mesh);
+      this.aggregates.push(aggregate);
+      triangles += chunk.indices.length / 3;
+    }
+
+    console.log(`Road colliders built: ${this.meshes.length} chunks, ${triangles} triangles`);
+    this.chunks.clear();
+  }
+
+  /**
+   * Dispose of all colliders
+   */
+  dispose() {
+    this.aggregates.forEach(a => a.dispose());
+    this.meshes.forEach(m => m.dispose());
+    this.aggregates = [];
+    this.meshes = [];
+    this.chunks.clear();
+  }
+}
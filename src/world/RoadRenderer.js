@@ -0,0 +1,532 @@
+/**
+ * RoadRenderer - Tiled road meshes with shared materials and distance LOD
+ *
+ * Roads are cut into square tiles. Inside a tile all asphalt of one road
+ * class is merged into a single mesh and all markings into one mesh per
+ * marking material, so a tile costs a handful of draw calls however many
+ * roads cross it. Each tile also gets a coarse, marking-free mesh with
+ * decimated points; tiles swap between detail, low detail and hidden by
+ * distance from the camera.
+ *
+ * Markings are flat strips laid out from each road's width, lane count and
+ * one-way flag: centre lines between the two directions, dashed dividers
+ * between lanes going the same way and solid edge lines.
+ *
+ * Roads arrive already trimmed back from junctions (see JunctionBuilder);
+ * each junction adds a marking-free polygon that joins the trimmed ends.
+ */
+
+import * as BABYLON from '@babylonjs/core';
+
+// Asphalt colors - visible gray tones
+const ROAD_COLORS = {
+  motorway: new BABYLON.Color3(0.25, 0.25, 0.28),
+  trunk: new BABYLON.Color3(0.28, 0.28, 0.30),
+  primary: new BABYLON.Color3(0.30, 0.30, 0.32),
+  secondary: new BABYLON.Color3(0.32, 0.32, 0.34),
+  tertiary: new BABYLON.Color3(0.35, 0.35, 0.37),
+  default: new BABYLON.Color3(0.38, 0.38, 0.40),
+};
+
+// Fallback widths for roads without a width in the data
+export const ROAD_WIDTHS = {
+  motorway: 16,
+  trunk: 14,
+  primary: 12,
+  secondary: 10,
+  tertiary: 8,
+  default: 6,
+};
+
+// Road surface sits this far above the road points, markings slightly higher
+const SURFACE_OFFSET = 0.15;
+const MARKING_OFFSET = 0.02;
+
+// Narrowest lane the layout allows; wider lane counts widen the road
+const MIN_LANE_WIDTH = 2.75;
+
+// Marking sizes (meters)
+const CENTER_LINE_WIDTH = 0.3;
+const DOUBLE_LINE_WIDTH = 0.15;
+const DOUBLE_LINE_GAP = 0.2;
+const LANE_LINE_WIDTH = 0.15;
+const EDGE_LINE_WIDTH = 0.2;
+const EDGE_LINE_INSET = 0.3;
+const DASH_LENGTH = 3;
+const DASH_GAP = 6;
+
+// Classes whose two directions are split by a solid double line
+const DOUBLE_LINE_CLASSES = new Set(['motorway', 'trunk']);
+
+/**
+ * Lane layout of a road
+ *
+ * Lateral positions are measured to the right of the road's point order.
+ * Two-way roads always get at least one lane each way; the divider between
+ * directions sits after the backward (left-hand) lanes.
+ * @param {Object} road - Road data with width, lanes and oneway
+ * @returns {{width: number, lanes: number, laneWidth: number, oneway: boolean,
+ *   forwardLanes: number, backwardLanes: number, divider: number, centerLine: boolean}}
+ */
+export function getRoadLayout(road) {
+  const dataLanes = Math.max(1, Math.round(road.lanes || 2));
+  const oneway = road.oneway === true;
+  const backwardLanes = oneway ? 0 : Math.max(1, Math.floor(dataLanes / 2));
+  const forwardLanes = Math.max(1, dataLanes - backwardLanes);
+  const lanes = forwardLanes + backwardLanes;
+
+  const width = Math.max(road.width || ROAD_WIDTHS[road.type] || ROAD_WIDTHS.default, lanes * MIN_LANE_WIDTH);
+  const laneWidth = width / lanes;
+
+  return {
+    width,
+    lanes,
+    laneWidth,
+    oneway,
+    forwardLanes,
+    backwardLanes,
+    divider: -width / 2 + backwardLanes * laneWidth,
+    // Single-lane two-way roads are shared, with no line down the middle
+    centerLine: !oneway && dataLanes >= 2,
+  };
+}
+
+/**
+ * Offset of a lane's center to the right of the direction of travel
+ * @param {Object} layout - From getRoadLayout
+ * @param {number} laneIndex - 0 is the lane next to the centre line
+ * @param {boolean} forward - Travelling in the road's point order
+ * @returns {number} Meters
+ */
+export function getLaneOffset(layout, laneIndex, forward) {
+  const divider = forward ? layout.divider : -layout.divider;
+  return divider + layout.laneWidth * (laneIndex + 0.5);
+}
+
+export class RoadRenderer {
+  constructor(scene) {
+    this.scene = scene;
+
+    // Tile layout
+    this.tileSize = 1000; // meters per tile side
+
+    // Distance LOD (meters from camera to tile center)
+    this.detailDistance = 1500;
+    this.viewDistance = 6000;
+    this.lodPointStep = 3; // low detail keeps every Nth road point
+    this.updateInterval = 0.5; // seconds between visibility checks
+    this.updateTimer = 0;
+
+    // Tiles by key
+    this.tiles = new Map();
+
+    this.materials = null;
+  }
+
+  /**
+   * Create the shared road and marking materials
+   */
+  createMaterials() {
+    const asphalt = {};
+    for (const [roadClass, color] of Object.entries(ROAD_COLORS)) {
+      const material = new BABYLON.StandardMaterial(`roadMat_${roadClass}`, this.scene);
+      material.diffuseColor = color;
+      material.specularColor = new BABYLON.Color3(0.15, 0.15, 0.15);
+      material.emissiveColor = color.scale(0.15); // Slight ambient for visibility
+      asphalt[roadClass] = material;
+    }
+
+    const centerLine = new BABYLON.StandardMaterial('roadLineMat', this.scene);
+    centerLine.diffuseColor = new BABYLON.Color3(1, 1, 0.9); // Slightly warm white/yellow
+    centerLine.emissiveColor = new BABYLON.Color3(0.3, 0.3, 0.2);
+    centerLine.specularColor = new BABYLON.Color3(0.2, 0.2, 0.2);
+
+    const edgeLine = new BABYLON.StandardMaterial('edgeLineMat', this.scene);
+    edgeLine.diffuseColor = new BABYLON.Color3(1, 1, 1);
+    edgeLine.emissiveColor = new BABYLON.Color3(0.2, 0.2, 0.2);
+    edgeLine.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+
+    // Low detail tiles take their color per vertex
+    const low = new BABYLON.StandardMaterial('roadLowMat', this.scene);
+    low.diffuseColor = new BABYLON.Color3(1, 1, 1);
+    low.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+    low.emissiveColor = new BABYLON.Color3(0.05, 0.05, 0.05);
+
+    this.materials = { asphalt, centerLine, edgeLine, low };
+  }
+
+  /**
+   * Queue a road for the tiles
+   * @param {Object} road - Road data with type and points
+   * @param {Array<Array>} [pieces] - Parts of the road left between junctions (whole road by default)
+   * @returns {Array<{leftPath: BABYLON.Vector3[], rightPath: BABYLON.Vector3[]}>} Surface edges per piece (for colliders)
+   */
+  addRoad(road, pieces = [road.points]) {
+    if (!road.points || road.points.length < 2) return [];
+
+    const roadClass = this.getRoadClass(road);
+    const layout = getRoadLayout(road);
+    const halfWidth = layout.width / 2;
+
+    const surfaces = [];
+    for (const points of pieces) {
+      if (!points || points.length < 2) continue;
+
+      const edges = this.buildEdges(points, halfWidth, SURFACE_OFFSET);
+      this.addStrip(edges.leftPath, edges.rightPath, tile => this.getBuilder(tile.detail, roadClass));
+      this.addMarkings(road, points, layout);
+      surfaces.push(edges);
+    }
+
+    // Low detail: whole road, fewer points, no markings, color per vertex
+    const step = this.lodPointStep;
+    const coarse = road.points.filter((p, i) => i % step === 0 || i === road.points.length - 1);
+    const low = this.buildEdges(coarse, halfWidth, SURFACE_OFFSET);
+    this.addStrip(low.leftPath, low.rightPath, tile => this.getBuilder(tile, 'low'), ROAD_COLORS[roadClass]);
+
+    return surfaces;
+  }
+
+  /**
+   * Queue a junction's surface polygon (no markings inside)
+   * @param {Object} junction - From JunctionBuilder: center, ring and main road
+   * @returns {{center: BABYLON.Vector3, ring: BABYLON.Vector3[]}} Surface (for colliders)
+   */
+  addJunction(junction) {
+    const roadClass = this.getRoadClass(junction.road);
+    const toVector = p => new BABYLON.Vector3(p[0], (p[1] || 0) + SURFACE_OFFSET, p[2]);
+    const center = toVector(junction.center);
+    const ring = junction.ring.map(toVector);
+
+    const tile = this.getTile(center.x, center.z);
+    const builder = this.getBuilder(tile.detail, roadClass);
+
+    // Fan around the center; the ring runs counter-clockwise seen from above
+    const base = builder.positions.length / 3;
+    for (const p of [center, ...ring]) {
+      builder.positions.push(p.x - tile.originX, p.y, p.z - tile.originZ);
+    }
+    for (let k = 0; k < ring.length; k++) {
+      builder.indices.push(base, base + 1 + k, base + 1 + ((k + 1) % ring.length));
+    }
+
+    return { center, ring };
+  }
+
+  /**
+   * Asphalt material key for a road
+   */
+  getRoadClass(road) {
+    return ROAD_COLORS[road.type] ? road.type : 'default';
+  }
+
+  /**
+   * Lay out centre, lane and edge lines for a road
+   * @param {Object} road
+   * @param {Array} points - Road points [x, y, z] to mark (a piece between junctions)
+   * @param {Object} layout - From getRoadLayout
+   */
+  addMarkings(road, points, layout) {
+    const { laneWidth, divider } = layout;
+
+    // Between the two directions: solid double line on big roads, dashed otherwise
+    if (layout.centerLine) {
+      if (DOUBLE_LINE_CLASSES.has(road.type) || layout.lanes >= 4) {
+        const spacing = (DOUBLE_LINE_GAP + DOUBLE_LINE_WIDTH) / 2;
+        this.addLine(points, divider - spacing, DOUBLE_LINE_WIDTH, 'centerLine');
+        this.addLine(points, divider + spacing, DOUBLE_LINE_WIDTH, 'centerLine');
+      } else {
+        this.addLine(points, divider, CENTER_LINE_WIDTH, 'centerLine', true);
+      }
+    }
+
+    // Dashed dividers between lanes going the same way
+    for (let i = 1; i < layout.forwardLanes; i++) {
+      this.addLine(points, divider + laneWidth * i, LANE_LINE_WIDTH, 'edgeLine', true);
+    }
+    for (let i = 1; i < layout.backwardLanes; i++) {
+      this.addLine(points, divider - laneWidth * i, LANE_LINE_WIDTH, 'edgeLine', true);
+    }
+
+    // Solid edge lines
+    const edge = layout.width / 2 - EDGE_LINE_INSET;
+    this.addLine(points, -edge, EDGE_LINE_WIDTH, 'edgeLine');
+    this.addLine(points, edge, EDGE_LINE_WIDTH, 'edgeLine');
+  }
+
+  /**
+   * Add a solid or dashed marking line along a road
+   * @param {Array} points - Road points [x, y, z]
+   * @param {number} lateral - Offset to the right of the road center
+   * @param {number} width - Line width
+   * @param {string} material - Marking material key
+   * @param {boolean} [dashed]
+   */
+  addLine(points, lateral, width, material, dashed = false) {
+    const pickBuilder = tile => this.getBuilder(tile.markings, material);
+    const y = SURFACE_OFFSET + MARKING_OFFSET;
+
+    if (!dashed) {
+      const line = this.buildEdges(points, width / 2, y, -lateral);
+      this.addStrip(line.leftPath, line.rightPath, pickBuilder);
+      return;
+    }
+
+    // Walk the offset centerline, emitting one quad per dash (split at vertices)
+    const center = this.buildEdges(points, 0, y, -lateral).leftPath;
+    const cycle = DASH_LENGTH + DASH_GAP;
+    let phase = 0;
+
+    for (let i = 0; i < center.length - 1; i++) {
+      const a = center[i];
+      const b = center[i + 1];
+      const length = Math.sqrt((b.x - a.x) ** 2 + (b.z - a.z) ** 2);
+      if (length < 0.01) continue;
+
+      const dirX = (b.x - a.x) / length;
+      const dirZ = (b.z - a.z) / length;
+      const perpX = -dirZ * (width / 2);
+      const perpZ = dirX * (width / 2);
+
+      let t = 0;
+      while (t < length) {
+        const inDash = phase < DASH_LENGTH;
+        const step = Math.min(length - t, (inDash ? DASH_LENGTH : cycle) - phase);
+
+        if (inDash) {
+          const s = BABYLON.Vector3.Lerp(a, b, t / length);
+          const e = BABYLON.Vector3.Lerp(a, b, (t + step) / length);
+          this.addStrip(
+            [new BABYLON.Vector3(s.x + perpX, s.y, s.z + perpZ), new BABYLON.Vector3(e.x + perpX, e.y, e.z + perpZ)],
+            [new BABYLON.Vector3(s.x - perpX, s.y, s.z - perpZ), new BABYLON.Vector3(e.x - perpX, e.y, e.z - perpZ)],
+            pickBuilder
+          );
+        }
+
+        t += step;
+        phase = (phase + step) % cycle;
+      }
+    }
+  }
+
+  /**
+   * Offset a road's points sideways into left and right edges
+   * @param {Array} points - Road points [x, y, z]
+   * @param {number} halfWidth - Half the strip width
+   * @param {number} yOffset - Height above the road points
+   * @param {number} [centerOffset] - Shift of the strip center to the left
+   * @returns {{leftPath: BABYLON.Vector3[], rightPath: BABYLON.Vector3[]}}
+   */
+  buildEdges(points, halfWidth, yOffset, centerOffset = 0) {
+    const leftPath = [];
+    const rightPath = [];
+
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+
+      // Direction to the next point (previous for the last one)
+      const q = i < points.length - 1 ? points[i + 1] : points[i - 1];
+      const sign = i < points.length - 1 ? 1 : -1;
+      let dirX = (q[0] - p[0]) * sign;
+      let dirZ = (q[2] - p[2]) * sign;
+      const len = Math.sqrt(dirX * dirX + dirZ * dirZ);
+      if (len < 0.001) {
+        dirX = 1;
+        dirZ = 0;
+      } else {
+        dirX /= len;
+        dirZ /= len;
+      }
+
+      // Perpendicular (rotate 90 degrees in XZ plane), pointing left
+      const perpX = -dirZ;
+      const perpZ = dirX;
+      const y = (p[1] || 0) + yOffset;
+      const cx = p[0] + perpX * centerOffset;
+      const cz = p[2] + perpZ * centerOffset;
+
+      leftPath.push(new BABYLON.Vector3(cx + perpX * halfWidth, y, cz + perpZ * halfWidth));
+      rightPath.push(new BABYLON.Vector3(cx - perpX * halfWidth, y, cz - perpZ * halfWidth));
+    }
+
+    return { leftPath, rightPath };
+  }
+
+  /**
+   * Add a strip's quads to the tiles holding each segment's midpoint
+   * @param {BABYLON.Vector3[]} leftPath
+   * @param {BABYLON.Vector3[]} rightPath
+   * @param {Function} pickBuilder - Returns the geometry builder for a tile
+   * @param {BABYLON.Color3} [color] - Vertex color (low detail only)
+   */
+  addStrip(leftPath, rightPath, pickBuilder, color = null) {
+    for (let i = 0; i < leftPath.length - 1; i++) {
+      const l0 = leftPath[i];
+      const r0 = rightPath[i];
+      const l1 = leftPath[i + 1];
+      const r1 = rightPath[i + 1];
+
+      const tile = this.getTile((l0.x + r0.x + l1.x + r1.x) / 4, (l0.z + r0.z + l1.z + r1.z) / 4);
+      const builder = pickBuilder(tile);
+
+      // Vertices are stored relative to the tile origin
+      const base = builder.positions.length / 3;
+      for (const p of [l0, r0, r1, l1]) {
+        builder.positions.push(p.x - tile.originX, p.y, p.z - tile.originZ);
+        if (color) builder.colors.push(color.r, color.g, color.b, 1);
+      }
+      builder.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    }
+  }
+
+  /**
+   * Find or create the tile for a world position
+   */
+  getTile(x, z) {
+    const tx = Math.floor(x / this.tileSize);
+    const tz = Math.floor(z / this.tileSize);
+    const key = `${tx}_${tz}`;
+
+    let tile = this.tiles.get(key);
+    if (!tile) {
+      tile = {
+        key,
+        originX: tx * this.tileSize,
+        originZ: tz * this.tileSize,
+        detail: {},
+        markings: {},
+        low: null,
+        detailMeshes: [],
+        lowMesh: null,
+        state: null,
+      };
+      this.tiles.set(key, tile);
+    }
+    return tile;
+  }
+
+  /**
+   * Get (or start) the geometry builder stored under a key
+   */
+  getBuilder(group, key) {
+    if (!group[key]) {
+      group[key] = { positions: [], indices: [], colors: [] };
+    }
+    return group[key];
+  }
+
+  /**
+   * Turn queued geometry into tile meshes
+   */
+  build() {
+    if (!this.materials) this.createMaterials();
+
+    let meshCount = 0;
+    for (const tile of this.tiles.values()) {
+      for (const [roadClass, builder] of Object.entries(tile.detail)) {
+        tile.detailMeshes.push(this.createMesh(tile, `road_${tile.key}_${roadClass}`, builder, this.materials.asphalt[roadClass]));
+      }
+      for (const [marking, builder] of Object.entries(tile.markings)) {
+        tile.detailMeshes.push(this.createMesh(tile, `road_${tile.key}_${marking}`, builder, this.materials[marking]));
+      }
+      if (tile.low) {
+        tile.lowMesh = this.createMesh(tile, `road_${tile.key}_low`, tile.low, this.materials.low);
+      }
+
+      // Geometry now lives in the meshes
+      tile.detail = {};
+      tile.markings = {};
+      tile.low = null;
+
+      meshCount += tile.detailMeshes.length + (tile.lowMesh ? 1 : 0);
+      this.setTileState(tile, 'hidden');
+    }
+
+    console.log(`Road tiles built: ${this.tiles.size} tiles, ${meshCount} meshes`);
+  }
+
+  /**
+   * Create one static mesh from a geometry builder
+   */
+  createMesh(tile, name, builder, material) {
+    const vertexData = new BABYLON.VertexData();
+    vertexData.positions = builder.positions;
+    vertexData.indices = builder.indices;
+    const normals = [];
+    BABYLON.VertexData.ComputeNormals(builder.positions, builder.indices, normals);
+    vertexData.normals = normals;
+    if (builder.colors.length > 0) vertexData.colors = builder.colors;
+
+    const mesh = new BABYLON.Mesh(name, this.scene);
+    vertexData.applyToMesh(mesh);
+    mesh.position = new BABYLON.Vector3(tile.originX, 0, tile.originZ);
+    mesh.material = material;
+    mesh.receiveShadows = true;
+    mesh.isPickable = false;
+    mesh.freezeWorldMatrix();
+    return mesh;
+  }
+
+  /**
+   * Show the detail meshes, the low detail mesh or nothing
+   * @param {Object} tile
+   * @param {string} state - 'detail', 'low' or 'hidden'
+   */
+  setTileState(tile, state) {
+    if (tile.state === state) return;
+    tile.state = state;
+
+    tile.detailMeshes.forEach(m => m.setEnabled(state === 'detail'));
+    if (tile.lowMesh) tile.lowMesh.setEnabled(state === 'low');
+  }
+
+  /**
+   * Pick each tile's detail level from the camera distance
+   * @param {number} deltaTime - Time since last frame in seconds
+   * @param {BABYLON.Vector3} cameraPosition - Scene position of the camera
+   * @param {boolean} [force] - Skip the update interval
+   */
+  update(deltaTime, cameraPosition, force = false) {
+    this.updateTimer += deltaTime;
+    if (!force && this.updateTimer < this.updateInterval) return;
+    this.updateTimer = 0;
+
+    const half = this.tileSize / 2;
+    for (const tile of this.tiles.values()) {
+      // Any mesh carries the tile's current scene origin
+      const anchor = tile.lowMesh || tile.detailMeshes[0];
+      if (!anchor) continue;
+
+      const dx = anchor.position.x + half - cameraPosition.x;
+      const dz = anchor.position.z + half - cameraPosition.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+
+      if (distance < this.detailDistance) {
+        this.setTileState(tile, 'detail');
+      } else if (distance < this.viewDistance) {
+        this.setTileState(tile, 'low');
+      } else {
+        this.setTileState(tile, 'hidden');
+      }
+    }
+  }
+
+  /**
+   * Dispose of all tiles and materials
+   */
+  dispose() {
+    for (const tile of this.tiles.values()) {
+      tile.detailMeshes.forEach(m => m.dispose());
+      if (tile.lowMesh) tile.lowMesh.dispose();
+    }
+    this.tiles.clear();
+
+    if (this.materials) {
+      Object.values(this.materials.asphalt).forEach(m => m.dispose());
+      this.materials.centerLine.dispose();
+      this.materials.edgeLine.dispose();
+      this.materials.low.dispose();
+      this.materials = null;
+    }
+  }
+}
@@ -0,0 +1,355 @@
+/**
+ * Terrain - Heightmap ground generated from road elevations
+ *
+ * Road points carry real elevation, so the ground is built by sampling them
+ * (plus an optional DEM) onto a regular grid and filling the gaps in between.
+ * The grid becomes a vertex-colored mesh with a static mesh collider.
+ */
+
+import * as BABYLON from '@babylonjs/core';
+import { Surfaces } from './RoadColliders.js';
+
+// Vertex colors blended by height and slope
+const LOWLAND_COLOR = new BABYLON.Color3(0.24, 0.36, 0.24);
+const HIGHLAND_COLOR = new BABYLON.Color3(0.33, 0.37, 0.22);
+const ROCK_COLOR = new BABYLON.Color3(0.42, 0.38, 0.32);
+
+export class Terrain {
+  constructor(scene) {
+    this.scene = scene;
+
+    // Grid settings
+    this.cellSize = 100; // meters between height samples
+    this.margin = 1000; // meters of terrain beyond the outermost road
+    this.roadBed = 0.3; // terrain sits this far below road points
+    this.smoothingPasses = 60;
+
+    // Slope (1 - normal.y) where grass turns fully to rock
+    this.rockSlope = 0.25;
+
+    // Grid data
+    this.originX = 0;
+    this.originZ = 0;
+    this.cols = 0;
+    this.rows = 0;
+    this.heights = null;
+    this.minHeight = 0;
+    this.maxHeight = 0;
+
+    this.mesh = null;
+    this.aggregate = null;
+  }
+
+  /**
+   * Build the heightmap, mesh and collider
+   * @param {Array} roads - Road data array
+   * @param {Object} bounds - World bounds {minX, maxX, minZ, maxZ}
+   * @param {Object} dem - Optional elevation grid {minX, minZ, cellSize, cols, rows, heights}
+   */
+  build(roads, bounds, dem = null) {
+    this.originX = bounds.minX - this.margin;
+    this.originZ = bounds.minZ - this.margin;
+    this.cols = Math.ceil((bounds.maxX - bounds.minX + this.margin * 2) / this.cellSize) + 1;
+    this.rows = Math.ceil((bounds.maxZ - bounds.minZ + this.margin * 2) / this.cellSize) + 1;
+
+    const count = this.cols * this.rows;
+    this.heights = new Float32Array(count);
+    const known = new Uint8Array(count);
+
+    if (dem) this.sampleElevationGrid(dem, known);
+    this.sampleRoads(roads, known);
+    this.fillHeights(known);
+
+    this.buildMesh();
+    this.createCollider();
+
+    console.log(`Terrain built: ${this.cols}x${this.rows} grid, ${this.minHeight.toFixed(0)}-${this.maxHeight.toFixed(0)}m`);
+  }
+
+  /**
+   * Grid index of a vertex
+   */
+  index(col, row) {
+    return row * this.cols + col;
+  }
+
+  /**
+   * Write road elevations into the nearest grid vertices
+   *
+   * Segments are walked at half-cell spacing and each vertex keeps the lowest
+   * sample, so the terrain stays under roads (and under bridges) rather than
+   * poking through them.
+   */
+  sampleRoads(roads, known) {
+    const step = this.cellSize / 2;
+
+    const addSample = (x, y, z) => {
+      const col = Math.round((x - this.originX) / this.cellSize);
+      const row = Math.round((z - this.originZ) / this.cellSize);
+      if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return;
+
+      const i = this.index(col, row);
+      const h = y - this.roadBed;
+      if (known[i] !== 2 || h < this.heights[i]) {
+        this.heights[i] = h;
+        known[i] = 2;
+      }
+    };
+
+    for (const road of roads) {
+      const points = road.points;
+      if (!points || points.length === 0) continue;
+
+      for (let i = 0; i < points.length; i++) {
+        const p = points[i];
+        if (typeof p[1] !== 'number') continue;
+        addSample(p[0], p[1], p[2]);
+
+        const next = points[i + 1];
+        if (!next || typeof next[1] !== 'number') continue;
+
+        const dx = next[0] - p[0];
+        const dz = next[2] - p[2];
+        const steps = Math.floor(Math.sqrt(dx * dx + dz * dz) / step);
+        for (let s = 1; s < steps; s++) {
+          const t = s / steps;
+          addSample(p[0] + dx * t, p[1] + (next[1] - p[1]) * t, p[2] + dz * t);
+        }
+      }
+    }
+  }
+
+  /**
+   * Copy heights from a supplied DEM (road samples override it later)
+   */
+  sampleElevationGrid(dem, known) {
+    const sample = (x, z) => {
+      const gx = (x - dem.minX) / dem.cellSize;
+      const gz = (z - dem.minZ) / dem.cellSize;
+      if (gx < 0 || gz < 0 || gx > dem.cols - 1 || gz > dem.rows - 1) return null;
+
+      const c0 = Math.min(Math.floor(gx), dem.cols - 2);
+      const r0 = Math.min(Math.floor(gz), dem.rows - 2);
+      const fx = gx - c0;
+      const fz = gz - r0;
+      const h00 = dem.heights[r0 * dem.cols + c0];
+      const h10 = dem.heights[r0 * dem.cols + c0 + 1];
+      const h01 = dem.heights[(r0 + 1) * dem.cols + c0];
+      const h11 = dem.heights[(r0 + 1) * dem.cols + c0 + 1];
+      return (h00 * (1 - fx) + h10 * fx) * (1 - fz) + (h01 * (1 - fx) + h11 * fx) * fz;
+    };
+
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        const h = sample(this.originX + col * this.cellSize, this.originZ + row * this.cellSize);
+        if (h === null || !isFinite(h)) continue;
+
+        const i = this.index(col, row);
+        this.heights[i] = h;
+        known[i] = 1;
+      }
+    }
+  }
+
+  /**
+   * Fill vertices without samples, then smooth them towards their neighbours
+   *
+   * A breadth-first flood copies the nearest known height outward, and
+   * relaxation passes turn the resulting plateaus into smooth slopes while
+   * sampled vertices stay pinned.
+   */
+  fillHeights(known) {
+    const { cols, rows, heights } = this;
+    const count = cols * rows;
+    const filled = new Uint8Array(count);
+    const queue = new Int32Array(count);
+    let head = 0;
+    let tail = 0;
+
+    for (let i = 0; i < count; i++) {
+      if (known[i]) {
+        filled[i] = 1;
+        queue[tail++] = i;
+      }
+    }
+
+    // Nothing sampled, leave the terrain flat at zero
+    if (tail === 0) {
+      this.minHeight = 0;
+      this.maxHeight = 0;
+      return;
+    }
+
+    while (head < tail) {
+      const i = queue[head++];
+      const col = i % cols;
+      const row = (i - col) / cols;
+      const neighbours = [
+        col > 0 ? i - 1 : -1,
+        col < cols - 1 ? i + 1 : -1,
+        row > 0 ? i - cols : -1,
+        row < rows - 1 ? i + cols : -1,
+      ];
+      for (const n of neighbours) {
+        if (n < 0 || filled[n]) continue;
+        heights[n] = heights[i];
+        filled[n] = 1;
+        queue[tail++] = n;
+      }
+    }
+
+    for (let pass = 0; pass < this.smoothingPasses; pass++) {
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const i = this.index(col, row);
+          if (known[i]) continue;
+
+          let sum = 0;
+          let n = 0;
+          if (col > 0) { sum += heights[i - 1]; n++; }
+          if (col < cols - 1) { sum += heights[i + 1]; n++; }
+          if (row > 0) { sum += heights[i - cols]; n++; }
+          if (row < rows - 1) { sum += heights[i + cols]; n++; }
+          heights[i] = sum / n;
+        }
+      }
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < count; i++) {
+      if (heights[i] < min) min = heights[i];
+      if (heights[i] > max) max = heights[i];
+    }
+    this.minHeight = min;
+    this.maxHeight = max;
+  }
+
+  /**
+   * Build the terrain mesh with slope and height vertex colors
+   */
+  buildMesh() {
+    const { cols, rows, heights, cellSize } = this;
+    const positions = new Float32Array(cols * rows * 3);
+    const colors = new Float32Array(cols * rows * 4);
+    const indices = new Uint32Array((cols - 1) * (rows - 1) * 6);
+
+    // Vertices are local to the grid origin to keep float precision
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const i = this.index(col, row);
+        positions[i * 3] = col * cellSize;
+        positions[i * 3 + 1] = heights[i];
+        positions[i * 3 + 2] = row * cellSize;
+      }
+    }
+
+    // Two triangles per cell, split along the (col, row) - (col+1, row+1) diagonal
+    let k = 0;
+    for (let row = 0; row < rows - 1; row++) {
+      for (let col = 0; col < cols - 1; col++) {
+        const i00 = this.index(col, row);
+        const i10 = i00 + 1;
+        const i01 = i00 + cols;
+        const i11 = i01 + 1;
+        indices[k++] = i00; indices[k++] = i10; indices[k++] = i11;
+        indices[k++] = i00; indices[k++] = i11; indices[k++] = i01;
+      }
+    }
+
+    const normals = new Float32Array(positions.length);
+    BABYLON.VertexData.ComputeNormals(positions, indices, normals);
+
+    // Grass in the lowlands, drier grass up high, rock on steep ground
+    const range = Math.max(this.maxHeight - this.minHeight, 1);
+    const color = new BABYLON.Color3();
+    for (let i = 0; i < cols * rows; i++) {
+      const heightFactor = (heights[i] - this.minHeight) / range;
+      const slope = 1 - normals[i * 3 + 1];
+      const rockFactor = Math.min(slope / this.rockSlope, 1);
+
+      BABYLON.Color3.LerpToRef(LOWLAND_COLOR, HIGHLAND_COLOR, heightFactor, color);
+      BABYLON.Color3.LerpToRef(color, ROCK_COLOR, rockFactor, color);
+
+      colors[i * 4] = color.r;
+      colors[i * 4 + 1] = color.g;
+      colors[i * 4 + 2] = color.b;
+      colors[i * 4 + 3] = 1;
+    }
+
+    const vertexData = new BABYLON.VertexData();
+    vertexData.positions = positions;
+    vertexData.indices = indices;
+    vertexData.normals = normals;
+    vertexData.colors = colors;
+
+    const mesh = new BABYLON.Mesh('ground', this.scene);
+    vertexData.applyToMesh(mesh);
+    mesh.position = new BABYLON.Vector3(this.originX, 0, this.originZ);
+
+    const material = new BABYLON.StandardMaterial('groundMat', this.scene);
+    material.diffuseColor = new BABYLON.Color3(1, 1, 1);
+    material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+    mesh.material = material;
+    mesh.receiveShadows = true;
+    mesh.metadata = { surface: Surfaces.grass };
+    mesh.freezeWorldMatrix();
+
+    this.mesh = mesh;
+  }
+
+  /**
+   * Static triangle-mesh collider matching the visible terrain
+   */
+  createCollider() {
+    this.aggregate = new BABYLON.PhysicsAggregate(
+      this.mesh,
+      BABYLON.PhysicsShapeType.MESH,
+      { mass: 0, friction: 0.8, restitution: 0.1 },
+      this.scene
+    );
+  }
+
+  /**
+   * Terrain height at a world position (matches the mesh triangles)
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {number}
+   */
+  getHeightAt(x, z) {
+    if (!this.heights) return 0;
+
+    const gx = Math.max(0, Math.min((x - this.originX) / this.cellSize, this.cols - 1));
+    const gz = Math.max(0, Math.min((z - this.originZ) / this.cellSize, this.rows - 1));
+    const col = Math.min(Math.floor(gx), this.cols - 2);
+    const row = Math.min(Math.floor(gz), this.rows - 2);
+    const fx = gx - col;
+    const fz = gz - row;
+
+    const i00 = this.index(col, row);
+    const h00 = this.heights[i00];
+    const h10 = this.heights[i00 + 1];
+    const h01 = this.heights[i00 + this.cols];
+    const h11 = this.heights[i00 + this.cols + 1];
+
+    if (fx >= fz) {
+      return h00 + (h10 - h00) * fx + (h11 - h10) * fz;
+    }
+    return h00 + (h11 - h01) * fx + (h01 - h00) * fz;
+  }
+
+  /**
+   * Dispose of the terrain mesh and collider
+   */
+  dispose() {
+    if (this.aggregate) {
+      this.aggregate.dispose();
+      this.aggregate = null;
+    }
+    if (this.mesh) {
+      this.mesh.material?.dispose();
+      this.mesh.dispose();
+      this.mesh = null;
+    }
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * WeatherSystem - Dynamic weather with rain, fog and wet-road handling
+ *
+ * Blends between weather presets over time, driving rain particles,
+ * scene fog, lighting and the grip/braking multipliers used by the vehicle.
+ */
+
+import * as BABYLON from '@babylonjs/core';
+
+export const WeatherType = {
+  CLEAR: 'clear',
+  OVERCAST: 'overcast',
+  RAIN: 'rain',
+  HEAVY_RAIN: 'heavyRain',
+  FOG: 'fog',
+};
+
+// Target values for each weather state
+export const WeatherPresets = {
+  [WeatherType.CLEAR]: {
+    name: 'Clear',
+    rain: 0,
+    fogDensity: 0,
+    lightLevel: 1.0,
+    grip: 1.0,
+    braking: 1.0,
+  },
+  [WeatherType.OVERCAST]: {
+    name: 'Overcast',
+    rain: 0,
+    fogDensity: 0.0006,
+    lightLevel: 0.75,
+    grip: 1.0,
+    braking: 1.0,
+  },
+  [WeatherType.RAIN]: {
+    name: 'Rain',
+    rain: 0.5,
+    fogDensity: 0.0015,
+    lightLevel: 0.6,
+    grip: 0.8,
+    braking: 0.8,
+  },
+  [WeatherType.HEAVY_RAIN]: {
+    name: 'Heavy Rain',
+    rain: 1.0,
+    fogDensity: 0.003,
+    lightLevel: 0.45,
+    grip: 0.65,
+    braking: 0.65,
+  },
+  [WeatherType.FOG]: {
+    name: 'Fog',
+    rain: 0,
+    fogDensity: 0.008,
+    lightLevel: 0.7,
+    grip: 0.95,
+    braking: 0.95,
+  },
+};
+
+// Likely next states (tropical weather mostly swings between clear and rain)
+const WEATHER_TRANSITIONS = {
+  [WeatherType.CLEAR]: [WeatherType.CLEAR, WeatherType.OVERCAST, WeatherType.OVERCAST, WeatherType.FOG],
+  [WeatherType.OVERCAST]: [WeatherType.CLEAR, WeatherType.RAIN, WeatherType.RAIN, WeatherType.FOG],
+  [WeatherType.RAIN]: [WeatherType.OVERCAST, WeatherType.HEAVY_RAIN, WeatherType.RAIN],
+  [WeatherType.HEAVY_RAIN]: [WeatherType.RAIN, WeatherType.RAIN, WeatherType.OVERCAST],
+  [WeatherType.FOG]: [WeatherType.CLEAR, WeatherType.OVERCAST],
+};
+
+// Order used when forcing the next state
+const WEATHER_CYCLE = [
+  WeatherType.CLEAR,
+  WeatherType.OVERCAST,
+  WeatherType.RAIN,
+  WeatherType.HEAVY_RAIN,
+  WeatherType.FOG,
+];
+
+// Gray the sky fades towards in bad weather
+const STORM_SKY = new BABYLON.Color3(0.35, 0.37, 0.4);
+
+export class WeatherSystem {
+  constructor(scene, camera, ambientLight, sunLight, clock) {
+    this.scene = scene;
+    this.camera = camera;
+    this.ambientLight = ambientLight;
+    this.sunLight = sunLight;
+    this.clock = clock;
+
+    // Current state and blended values
+    this.weather = WeatherType.CLEAR;
+    this.current = { ...WeatherPresets[WeatherType.CLEAR] };
+    this.target = WeatherPresets[WeatherType.CLEAR];
+
+    // Transition speed (fraction of the gap closed per game second)
+    this.transitionRate = 0.08 / 60;
+
+    // Automatic changes (game seconds)
+    this.minDuration = 3 * 3600;
+    this.maxDuration = 8 * 3600;
+    this.timeUntilChange = this.randomDuration();
+
+    // Rain particles
+    this.rainParticles = null;
+    this.maxRainRate = 6000; // particles per second at full intensity
+    this.rainAreaSize = 60; // meters around the camera
+
+    // Callbacks
+    this.onWeatherChange = null;
+  }
+
+  /**
+   * Create the rain particle system
+   */
+  init() {
+    const useGPU = BABYLON.GPUParticleSystem.IsSupported;
+    const capacity = useGPU ? 20000 : 4000;
+
+    const rain = useGPU
+      ? new BABYLON.GPUParticleSystem('rain', { capacity }, this.scene)
+      : new BABYLON.ParticleSystem('rain', capacity, this.scene);
+
+    rain.particleTexture = this.createDropTexture();
+    rain.emitter = this.camera.position.clone();
+
+    const half = this.rainAreaSize / 2;
+    rain.createBoxEmitter(
+      new BABYLON.Vector3(-1, -20, 0),
+      new BABYLON.Vector3(1, -25, 0),
+      new BABYLON.Vector3(-half, 15, -half),
+      new BABYLON.Vector3(half, 25, half)
+    );
+
+    rain.minLifeTime = 0.8;
+    rain.maxLifeTime = 1.2;
+    rain.minEmitPower = 1;
+    rain.maxEmitPower = 1.5;
+    rain.minSize = 0.4;
+    rain.maxSize = 0.7;
+    rain.minScaleX = 0.08;
+    rain.maxScaleX = 0.12;
+    rain.color1 = new BABYLON.Color4(0.7, 0.75, 0.85, 0.5);
+    rain.color2 = new BABYLON.Color4(0.6, 0.65, 0.8, 0.35);
+    rain.colorDead = new BABYLON.Color4(0.6, 0.65, 0.8, 0);
+    rain.gravity = new BABYLON.Vector3(0, -9.81, 0);
+    rain.billboardMode = BABYLON.ParticleSystem.BILLBOARDMODE_STRETCHED;
+    rain.blendMode = BABYLON.ParticleSystem.BLENDMODE_STANDARD;
+    rain.emitRate = 0;
+    rain.start();
+
+    this.rainParticles = rain;
+    console.log(`WeatherSystem initialized (${useGPU ? 'GPU' : 'CPU'} rain particles)`);
+  }
+
+  /**
+   * Draw a soft raindrop streak texture
+   * @returns {BABYLON.DynamicTexture}
+   */
+  createDropTexture() {
+    const texture = new BABYLON.DynamicTexture('rainDrop', { width: 16, height: 64 }, this.scene, false);
+    const ctx = texture.getContext();
+    const gradient = ctx.createLinearGradient(0, 0, 0, 64);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
+    gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.9)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(6, 0, 4, 64);
+    texture.hasAlpha = true;
+    texture.update();
+    return texture;
+  }
+
+  /**
+   * Update weather by the game time the clock just advanced
+   * (call after the day/night cycle has set base lighting)
+   */
+  update() {
+    const deltaTime = this.clock.delta;
+
+    // Automatic weather changes
+    this.timeUntilChange -= deltaTime;
+    if (this.timeUntilChange <= 0) {
+      const options = WEATHER_TRANSITIONS[this.weather];
+      this.setWeather(options[Math.floor(Math.random() * options.length)]);
+    }
+
+    // Blend current values towards the target
+    const t = 1 - Math.exp(-this.transitionRate * deltaTime);
+    for (const key of ['rain', 'fogDensity', 'lightLevel', 'grip', 'braking']) {
+      this.current[key] += (this.target[key] - this.current[key]) * t;
+    }
+
+    this.applyEffects();
+  }
+
+  /**
+   * Apply blended weather values to the scene
+   */
+  applyEffects() {
+    const { rain, fogDensity, lightLevel } = this.current;
+
+    // Darken lighting on top of the time-of-day values
+    if (this.ambientLight) this.ambientLight.intensity *= 0.5 + lightLevel * 0.5;
+    if (this.sunLight) this.sunLight.intensity *= lightLevel;
+
+    // Fade the sky towards gray as the weather worsens
+    const gloom = 1 - lightLevel;
+    const sky = this.scene.clearColor;
+    const blended = BABYLON.Color3.Lerp(
+      new BABYLON.Color3(sky.r, sky.g, sky.b),
+      STORM_SKY.scale(0.5 + (sky.r + sky.g + sky.b) / 6),
+      gloom
+    );
+    this.scene.clearColor = new BABYLON.Color4(blended.r, blended.g, blended.b, 1);
+
+    // Fog matches the sky so distant geometry fades out
+    if (fogDensity > 0.0001) {
+      this.scene.fogMode = BABYLON.Scene.FOGMODE_EXP2;
+      this.scene.fogDensity = fogDensity;
+      this.scene.fogColor = blended;
+    } else {
+      this.scene.fogMode = BABYLON.Scene.FOGMODE_NONE;
+    }
+
+    // Rain follows the camera
+    if (this.rainParticles) {
+      this.rainParticles.emitRate = rain > 0.02 ? rain * this.maxRainRate : 0;
+      this.rainParticles.emitter.copyFrom(this.camera.position);
+    }
+  }
+
+  /**
+   * Change to a weather state (blends over time)
+   * @param {string} weather - WeatherType value
+   */
+  setWeather(weather) {
+    if (!WeatherPresets[weather]) return;
+
+    const changed = weather !== this.weather;
+    this.weather = weather;
+    this.target = WeatherPresets[weather];
+    this.timeUntilChange = this.randomDuration();
+
+    if (changed) {
+      console.log(`Weather: ${this.target.name}`);
+      if (this.onWeatherChange) {
+        this.onWeatherChange(weather, this.target);
+      }
+    }
+  }
+
+  /**
+   * Force the next weather state in the cycle (for testing)
+   */
+  cycleWeather() {
+    const index = WEATHER_CYCLE.indexOf(this.weather);
+    this.setWeather(WEATHER_CYCLE[(index + 1) % WEATHER_CYCLE.length]);
+  }
+
+  /**
+   * Get a random duration until the next automatic change
+   * @returns {number} Game seconds
+   */
+  randomDuration() {
+    return this.minDuration + Math.random() * (this.maxDuration - this.minDuration);
+  }
+
+  /**
+   * Get current weather state
+   * @returns {string}
+   */
+  getWeather() {
+    return this.weather;
+  }
+
+  /**
+   * Get display name of current weather
+   * @returns {string}
+   */
+  getWeatherName() {
+    return WeatherPresets[this.weather].name;
+  }
+
+  /**
+   * Get tire grip multiplier (0-1)
+   * @returns {number}
+   */
+  getGripMultiplier() {
+    return this.current.grip;
+  }
+
+  /**
+   * Get braking multiplier (0-1)
+   * @returns {number}
+   */
+  getBrakingMultiplier() {
+    return this.current.braking;
+  }
+
+  /**
+   * Get rain intensity (0-1)
+   * @returns {number}
+   */
+  getRainIntensity() {
+    return this.current.rain;
+  }
+
+  /**
+   * Check if roads are wet enough to matter
+   * @returns {boolean}
+   */
+  isRaining() {
+    return this.current.rain > 0.2;
+  }
+
+  /**
+   * Get save data
+   * @returns {Object}
+   */
+  getSaveData() {
+    return {
+      weather: this.weather,
+      timeUntilChange: this.timeUntilChange,
+    };
+  }
+
+  /**
+   * Load save data (applies the saved weather immediately)
+   * @param {Object} data
+   */
+  loadSaveData(data) {
+    if (!WeatherPresets[data.weather]) return;
+
+    this.weather = data.weather;
+    this.target = WeatherPresets[data.weather];
+    this.current = { ...this.target };
+    if (typeof data.timeUntilChange === 'number') {
+      this.timeUntilChange = data.timeUntilChange;
+    }
+  }
+
+  /**
+   * Dispose of resources
+   */
+  dispose() {
+    if (this.rainParticles) {
+      this.rainParticles.dispose();
+      this.rainParticles = null;
+    }
+  }
+}